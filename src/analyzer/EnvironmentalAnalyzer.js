@@ -1,21 +1,68 @@
 import { spawn } from 'child_process'
 import { performance } from 'perf_hooks'
+import { createReadStream } from 'fs'
 import fs from 'fs/promises'
+import os from 'os'
 import path from 'path'
+import { fileURLToPath } from 'url'
 import { 
   AnalysisResult, 
   PerformanceMetrics, 
   AnalyzerConfig 
 } from '../core/interfaces/Types.js'
-import { ProcessMonitoringStrategy } from '../monitoring/MonitoringStrategies.js'
+import {
+  ProcessMonitoringStrategy,
+  ProcessTreeMonitoringStrategy,
+  RaplMonitoringStrategy
+} from '../monitoring/MonitoringStrategies.js'
 import { 
   EnergyCalculationStrategy,
   CO2CalculationStrategy,
   EcoScoreCalculationStrategy,
   EquivalencesCalculationStrategy,
-  ScalingCalculationStrategy
+  ScalingCalculationStrategy,
+  RuntimeDiagnosisCalculationStrategy,
+  FunctionEnergyCalculationStrategy,
+  FlameGraphCalculationStrategy,
+  AllocationEnergyCalculationStrategy,
+  ContinuousRateCalculationStrategy,
+  RunStatisticsCalculationStrategy,
+  PhaseEnergyCalculationStrategy,
+  LoadEnergyCalculationStrategy,
+  CloudProjectionCalculationStrategy,
+  CarbonScheduleCalculationStrategy,
+  SciCalculationStrategy
 } from '../calculations/CalculationStrategies.js'
-import { validateFilePath } from '../utils/Formatters.js'
+import { resolveGridRegion, getIntensityAt } from '../calculations/GridIntensity.js'
+import { loadIntensityProfile, createIntensityForecast } from '../scheduling/CarbonForecast.js'
+import { OutputCapture } from '../monitoring/OutputCapture.js'
+import { LoadGenerator, waitForPort } from '../load/LoadGenerator.js'
+import { resolveCpuList, findExecutable, terminateProcess, isHeapOutOfMemory } from '../monitoring/ResourceLimits.js'
+import { getPermissionFlag, findPackageRoot, buildPermissionArgs, parsePermissionErrors } from '../sandbox/PermissionSandbox.js'
+import { CgroupAccountant } from '../monitoring/CgroupAccounting.js'
+import { readProcessCommand } from '../monitoring/ProcFs.js'
+import {
+  getDefaultBaselineCachePath,
+  getBaselineKey,
+  readCachedBaseline,
+  writeCachedBaseline
+} from '../calibration/BaselineCache.js'
+import { readProfileFiles, summarizeCpuProfiles, buildCallTree } from '../profiling/CpuProfile.js'
+import { summarizeHeapProfiles } from '../profiling/HeapProfile.js'
+import { validateFilePath, generateId, formatCommandLine } from '../utils/Formatters.js'
+
+const TELEMETRY_PRELOAD_PATH = fileURLToPath(new URL('../instrumentation/TelemetryPreload.cjs', import.meta.url))
+const TELEMETRY_MESSAGE_TYPE = 'gayacode:telemetry'
+const PHASE_MESSAGE_TYPE = 'gayacode:phase'
+// Inherited even in allow-list mode; without them most tools fail to start
+const ESSENTIAL_ENV_VARS = ['PATH', 'HOME', 'TMPDIR', 'TEMP', 'TMP', 'SystemRoot']
+const HEAP_PROFILER_PRELOAD_PATH = fileURLToPath(new URL('../instrumentation/HeapProfilerPreload.cjs', import.meta.url))
+const SANDBOX_PRELOAD_PATH = fileURLToPath(new URL('../instrumentation/SandboxPreload.cjs', import.meta.url))
+const PERMISSION_MESSAGE_TYPE = 'gayacode:permission'
+const TEST_CPU_PRELOAD_PATH = fileURLToPath(new URL('../instrumentation/TestCpuPreload.cjs', import.meta.url))
+const TEST_REPORTER_URL = new URL('../testing/TestEnergyReporter.js', import.meta.url).href
+// An empty program that reports its own resource usage on exit; it writes nothing else
+const BASELINE_SCRIPT = "process.on('exit', () => process.stdout.write(JSON.stringify(process.resourceUsage())))"
 
 /**
  * Refactored Environmental Analyzer
@@ -25,14 +72,50 @@ export class EnvironmentalAnalyzer {
   constructor(options = {}, strategies = {}) {
     this.config = new AnalyzerConfig(options)
     this.config.validate()
+
+    // A grid region or intensity file sets the emission factor to the intensity at this hour
+    const grid = this.config.region ? resolveGridRegion(this.config.region) : null
+    const profile = this.config.intensityFile ? loadIntensityProfile(this.config.intensityFile) : null
+    this.intensityForecast = createIntensityForecast({ profile, grid })
+    const intensityNow = this.intensityForecast ? this.intensityForecast.intensityAt(Date.now()) : null
+    if (intensityNow !== null) this.config.emissionFactor = intensityNow
+    this.grid = grid ? { ...getIntensityAt(grid), intensity: intensityNow } : null
     
     // Dependency injection for strategies (Open/Closed Principle)
-    this.monitoringStrategy = strategies.monitoring || new ProcessMonitoringStrategy(this.config.monitoringInterval)
+    this.monitoringStrategy = strategies.monitoring || this.createMonitoringStrategy()
     this.energyCalculator = strategies.energy || new EnergyCalculationStrategy(this.config)
     this.co2Calculator = strategies.co2 || new CO2CalculationStrategy(this.config.emissionFactor)
     this.ecoScoreCalculator = strategies.ecoScore || new EcoScoreCalculationStrategy()
     this.equivalencesCalculator = strategies.equivalences || new EquivalencesCalculationStrategy()
     this.scalingCalculator = strategies.scaling || new ScalingCalculationStrategy()
+    this.runtimeDiagnosisCalculator = strategies.runtimeDiagnosis || new RuntimeDiagnosisCalculationStrategy()
+    this.functionEnergyCalculator = strategies.functionEnergy || new FunctionEnergyCalculationStrategy()
+    this.flameGraphCalculator = strategies.flameGraph || new FlameGraphCalculationStrategy()
+    this.allocationEnergyCalculator = strategies.allocationEnergy || new AllocationEnergyCalculationStrategy()
+    this.continuousRateCalculator = strategies.continuousRate || new ContinuousRateCalculationStrategy()
+    this.runStatisticsCalculator = strategies.runStatistics || new RunStatisticsCalculationStrategy()
+    this.phaseEnergyCalculator = strategies.phaseEnergy || new PhaseEnergyCalculationStrategy()
+    this.loadEnergyCalculator = strategies.loadEnergy || new LoadEnergyCalculationStrategy()
+    this.cloudProjectionCalculator = strategies.cloudProjection || new CloudProjectionCalculationStrategy(this.config)
+    this.carbonScheduleCalculator = strategies.carbonSchedule || new CarbonScheduleCalculationStrategy()
+    this.sciCalculator = strategies.sci || new SciCalculationStrategy(this.config)
+  }
+
+  /**
+   * Create the default monitoring strategy for the current configuration
+   * @returns {IMonitoringStrategy} Monitoring strategy
+   */
+  createMonitoringStrategy() {
+    const processMonitor = this.config.monitorChildren
+      ? new ProcessTreeMonitoringStrategy(this.config.monitoringInterval)
+      : new ProcessMonitoringStrategy(this.config.monitoringInterval)
+
+    if (!this.config.useRapl) return processMonitor
+
+    return new RaplMonitoringStrategy(this.config.monitoringInterval, {
+      sysfsRoot: this.config.raplSysfsRoot,
+      processMonitor
+    })
   }
 
   /**
@@ -41,65 +124,271 @@ export class EnvironmentalAnalyzer {
    * @returns {Promise<AnalysisResult>} Analysis results
    */
   async analyzeScript(scriptPath) {
+    // Validate script path
+    if (!(await validateFilePath(scriptPath))) {
+      console.error(`❌ Analysis failed: Script not found: ${scriptPath}`)
+      return new AnalysisResult({
+        success: false,
+        error: `Script not found: ${scriptPath}`,
+        scriptName: path.basename(scriptPath),
+        scriptPath
+      })
+    }
+
+    return this.runAnalysis({ scriptPath }, {
+      mode: 'script',
+      scriptName: path.basename(scriptPath),
+      scriptPath,
+      command: formatCommandLine(['node', scriptPath, ...this.config.scriptArgs])
+    })
+  }
+
+  /**
+   * Analyze any executable (npm, npx, a build tool, a shell pipeline) for environmental impact
+   * Node instrumentation (telemetry, CPU/heap profiles) only applies to analyzeScript()
+   * @param {string} command - Executable, or a full command line when options.shell is set
+   * @param {Array<string>} args - Command arguments
+   * @param {Object} options - { shell } to run the command through the system shell
+   * @returns {Promise<AnalysisResult>} Analysis results
+   */
+  async analyzeCommand(command, args = [], options = {}) {
+    const shell = Boolean(options.shell)
+
+    return this.runAnalysis({ command, args, shell }, {
+      mode: 'command',
+      scriptName: path.basename(command.trim().split(/\s+/)[0]),
+      scriptPath: '',
+      command: shell ? [command, ...args].join(' ') : formatCommandLine([command, ...args])
+    })
+  }
+
+  /**
+   * Analyze a node:test run and attribute energy to each test, suite and file
+   * The whole `node --test` run is monitored like a command; per-test CPU time comes from
+   * a preload in every test file process and the energy reporter (see TestEnergyReporter.js)
+   * @param {Array<string>} patterns - Test files or globs passed to `node --test`
+   * @param {Object} options - { nodeArgs, top }
+   * @param {Array<string>} options.nodeArgs - Extra Node.js options such as --test-concurrency=1
+   * @param {number} options.top - Tests in the ranking the reporter prints (default 10)
+   * @returns {Promise<AnalysisResult>} Analysis results with testEnergy from the last measured run
+   */
+  async analyzeTests(patterns = [], options = {}) {
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gayacode-test-'))
+    const reportFile = path.join(workDir, 'test-energy.json')
+    const args = [
+      '--test',
+      ...(options.nodeArgs || []),
+      '--require', TEST_CPU_PRELOAD_PATH,
+      // Keep the familiar spec output and add the energy ranking after it
+      '--test-reporter=spec', '--test-reporter-destination=stdout',
+      `--test-reporter=${TEST_REPORTER_URL}`, '--test-reporter-destination=stdout',
+      ...patterns
+    ]
+    const env = {
+      GAYACODE_TEST_CPU_FILE: path.join(workDir, 'test-cpu.jsonl'),
+      GAYACODE_TEST_REPORT_FILE: reportFile,
+      GAYACODE_TEST_TOP: String(options.top || 10),
+      GAYACODE_TEST_CONFIG: JSON.stringify({
+        emissionFactor: this.config.emissionFactor,
+        // The resolved profile, so test processes need not detect the machine again
+        machine: this.energyCalculator.machineProfile || this.config.machine,
+        cpuPowerCoefficient: this.config.cpuPowerCoefficient,
+        memoryPowerCoefficient: this.config.memoryPowerCoefficient
+      })
+    }
+
+    try {
+      const result = await this.runAnalysis({ command: process.execPath, args, env }, {
+        mode: 'test',
+        scriptName: patterns.length > 0 ? patterns.join(' ') : 'node --test',
+        scriptPath: '',
+        command: formatCommandLine(['node', '--test', ...(options.nodeArgs || []), ...patterns])
+      })
+
+      if (result.success) {
+        try {
+          result.testEnergy = JSON.parse(await fs.readFile(reportFile, 'utf8'))
+        } catch (error) {
+          // The runner failed before reporting (e.g. no test files matched)
+          result.testEnergy = null
+        }
+      }
+      return result
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true })
+    }
+  }
+
+  /**
+   * Analyze an HTTP service under load
+   * Starts the server script, waits for its port, drives a local open-loop load generator
+   * and stops the server afterwards; energy during the load window is divided by the
+   * requests the server answered
+   * @param {string} scriptPath - Path to the server script
+   * @param {Object} load - Load settings
+   * @param {number} load.port - Port the server listens on
+   * @param {string} load.host - Host to connect to (default 127.0.0.1)
+   * @param {Array<string>} load.urls - Paths or full URLs, requested round-robin (default ['/'])
+   * @param {number} load.rate - Requests per second
+   * @param {number} load.durationMs - Load duration
+   * @param {number} load.readyTimeoutMs - How long to wait for the port (default 30s)
+   * @param {number} load.settleMs - Pause between the port opening and the load (default 500ms)
+   * @returns {Promise<AnalysisResult>} Analysis results with load statistics
+   */
+  async analyzeService(scriptPath, load = {}) {
+    if (!(await validateFilePath(scriptPath))) {
+      console.error(`❌ Analysis failed: Script not found: ${scriptPath}`)
+      return new AnalysisResult({
+        success: false,
+        error: `Script not found: ${scriptPath}`,
+        scriptName: path.basename(scriptPath),
+        scriptPath
+      })
+    }
+
+    const { port, host = '127.0.0.1', readyTimeoutMs = 30000, settleMs = 500, ...settings } = load
+    if (!Number.isInteger(port) || port <= 0 || port > 65535) {
+      throw new Error('Load mode needs the port the server listens on')
+    }
+    const base = `http://${host.includes(':') ? `[${host}]` : host}:${port}`
+    // Fails fast on bad URLs or rates, before the server is started
+    const generator = new LoadGenerator({
+      ...settings,
+      urls: (settings.urls && settings.urls.length > 0 ? settings.urls : ['/']).map(url => new URL(url, base).href)
+    })
+
+    const driver = async ({ signal, spawnTime }) => {
+      await waitForPort({ port, host, timeoutMs: readyTimeoutMs, signal })
+      console.log(`🚦 Port ${port} is open, sending ${generator.rate} requests/s for ${generator.durationMs}ms`)
+      // Let the server finish starting up (caches, connection pools) before measuring
+      await new Promise(resolve => setTimeout(resolve, settleMs))
+      const result = await generator.run({ signal })
+      return {
+        ...result,
+        startSeconds: (result.startTime - spawnTime) / 1000,
+        endSeconds: (result.endTime - spawnTime) / 1000
+      }
+    }
+
+    return this.runAnalysis({ scriptPath, driver }, {
+      mode: 'load',
+      scriptName: path.basename(scriptPath),
+      scriptPath,
+      command: formatCommandLine(['node', scriptPath, ...this.config.scriptArgs])
+    })
+  }
+
+  /**
+   * Launch, monitor and evaluate a process
+   * @param {Object} target - { scriptPath } or { command, args, shell }
+   * @param {Object} identity - { mode, scriptName, scriptPath, command } describing the run
+   * @returns {Promise<AnalysisResult>} Analysis results
+   */
+  async runAnalysis(target, identity) {
     const startTime = performance.now()
+    const { mode, ...names } = identity
+    const instrumented = Boolean(target.scriptPath)
     
     try {
-      // Validate script path
-      if (!(await validateFilePath(scriptPath))) {
-        throw new Error(`Script not found: ${scriptPath}`)
-      }
+      await this.validateLaunchSettings()
+      console.log(`🔍 Starting analysis of: ${names.scriptName}`)
 
-      const scriptName = path.basename(scriptPath)
-      console.log(`🔍 Starting analysis of: ${scriptName}`)
+      // The idle baseline is Node's own cost, so it only applies to scripts
+      const baseline = instrumented && this.config.netEnergy ? await this.getBaseline() : null
 
-      // Execute and monitor the script
-      const executionResult = await this.executeAndMonitor(scriptPath)
+      // Execute and monitor the process, once or repeatedly
+      const { failure, runs } = await this.executeRuns(target)
       
-      if (!executionResult.success) {
+      if (failure) {
         return new AnalysisResult({
           success: false,
-          error: executionResult.error,
-          scriptName,
-          scriptPath
+          error: failure.error,
+          ...names,
+          output: failure.output,
+          limitHit: failure.limitHit,
+          permissionViolations: failure.permissionViolations
         })
       }
 
-      // Calculate environmental metrics
-      const metrics = this.calculateMetrics(executionResult)
+      if (baseline) {
+        runs.forEach(run => this.applyBaseline(run.metrics, baseline))
+      }
+
+      // Statistics over repeated runs; the detailed views show the most typical run
+      const statistics = this.runStatisticsCalculator.calculate({
+        runs: runs.map(run => run.metrics),
+        warmupRuns: this.config.warmupRuns
+      })
+      const { executionResult, metrics } = runs[statistics ? statistics.representativeRun : 0]
+      const aggregate = this.getAggregateMetrics(metrics, statistics)
       
       // Calculate additional insights
       const ecoScore = this.ecoScoreCalculator.calculate({ 
-        metrics, 
-        executionTime: executionResult.executionTime 
+        metrics: aggregate, 
+        executionTime: aggregate.executionTime 
       })
       
       const equivalences = this.equivalencesCalculator.calculate({
-        energyKwh: metrics.energyKwh,
-        co2Grams: metrics.co2Grams
+        energyKwh: aggregate.energyKwh,
+        co2Grams: aggregate.co2Grams
       })
       
       const scalingProjections = this.scalingCalculator.calculate({
-        energyKwh: metrics.energyKwh,
-        co2Grams: metrics.co2Grams
+        energyKwh: aggregate.energyKwh,
+        co2Grams: aggregate.co2Grams
       })
 
+      const runtime = this.runtimeDiagnosisCalculator.calculate({
+        samples: executionResult.telemetrySamples,
+        executionTime: executionResult.executionTime
+      })
+
+      const functionEnergy = this.calculateFunctionEnergy(executionResult.cpuProfiles, metrics)
+      const flameGraph = this.calculateFlameGraph(executionResult.cpuProfiles, executionResult.timeline, metrics)
+      const heapAllocations = this.calculateAllocationEnergy(executionResult.heapProfiles, metrics)
+      const phases = this.calculatePhaseEnergy(executionResult, metrics)
+      const load = this.calculateLoadEnergy(executionResult, metrics)
+      const cloudProjection = this.calculateCloudProjection(executionResult, metrics)
+      const schedule = this.calculateSchedule(aggregate)
+      const sci = this.calculateSci(aggregate, load)
+
       const analysisTime = performance.now() - startTime
       console.log(`✅ Analysis completed in ${analysisTime.toFixed(0)}ms`)
 
       return new AnalysisResult({
         success: true,
-        scriptName,
-        scriptPath,
+        ...names,
         metrics,
         timeline: executionResult.timeline,
+        processes: executionResult.processes,
         ecoScore,
         equivalences,
         scalingProjections,
+        runtime,
+        functionEnergy,
+        flameGraph,
+        heapAllocations,
+        output: executionResult.output,
+        statistics,
+        phases,
+        load,
+        cloudProjection,
+        schedule,
+        sci,
+        permissionViolations: executionResult.permissionViolations,
         analysis: {
-          emissionFactor: this.config.emissionFactor,
-          cpuPowerCoefficient: this.config.cpuPowerCoefficient,
-          memoryPowerCoefficient: this.config.memoryPowerCoefficient,
-          monitoringInterval: this.config.monitoringInterval,
+          mode,
+          shell: Boolean(target.shell),
+          exitCode: executionResult.exitCode,
+          launch: this.describeLaunch(target),
+          runs: runs.length,
+          warmupRuns: this.config.warmupRuns,
+          baseline: baseline && this.describeBaseline(baseline),
+          ...this.describeModel(executionResult),
+          // Node instrumentation is only injected into scripts
+          telemetry: instrumented && this.config.telemetry,
+          cpuProfile: instrumented && this.config.cpuProfile,
+          heapProfile: instrumented && this.config.heapProfile,
           analysisTime
         }
       })
@@ -109,30 +398,548 @@ export class EnvironmentalAnalyzer {
       return new AnalysisResult({
         success: false,
         error: error.message,
-        scriptName: path.basename(scriptPath),
-        scriptPath
+        ...names
+      })
+    }
+  }
+
+  /**
+   * Execute the warmup runs, then the measured runs
+   * @param {Object} target - { scriptPath } or { command, args, shell }
+   * @returns {Promise<Object>} { runs: [{ executionResult, metrics }] } or { failure } for the first failed run
+   */
+  async executeRuns(target) {
+    const { runs: runCount, warmupRuns } = this.config
+    const repeated = runCount > 1 || warmupRuns > 0
+
+    for (let i = 0; i < warmupRuns; i++) {
+      console.log(`🔥 Warmup run ${i + 1}/${warmupRuns}`)
+      const executionResult = await this.executeAndMonitor(target)
+      if (!executionResult.success) return { failure: executionResult }
+    }
+
+    const runs = []
+    for (let i = 0; i < runCount; i++) {
+      const executionResult = await this.executeAndMonitor(target)
+      if (!executionResult.success) return { failure: executionResult }
+
+      const metrics = this.calculateMetrics(executionResult)
+      runs.push({ executionResult, metrics })
+      if (repeated) {
+        console.log(`⏱️  Run ${i + 1}/${runCount}: ${executionResult.executionTime.toFixed(0)}ms`)
+      }
+    }
+    return { runs }
+  }
+
+  /**
+   * Measure the idle cost of an empty Node.js process, or load it from the cache
+   * @returns {Promise<Object>} Cache entry plus { key, cached, metrics } under the current configuration
+   */
+  async getBaseline() {
+    const cachePath = this.config.baselineCachePath || getDefaultBaselineCachePath()
+    const key = getBaselineKey(this.config.cgroupAccounting ? 'cgroup' : 'sampling')
+
+    let entry = this.config.recalibrateBaseline ? null : await readCachedBaseline(cachePath, key)
+    const cached = Boolean(entry)
+    if (!entry) {
+      entry = await this.calibrateBaseline()
+      await writeCachedBaseline(cachePath, key, entry)
+    }
+
+    // Energy is derived from the raw measurement so energy model changes apply to cached baselines
+    return { ...entry, key, cached, metrics: this.calculateMetrics(entry.measurement) }
+  }
+
+  /**
+   * Run an empty Node.js process several times and keep the median of each measured value
+   * The process exits before the first sample, so CPU time and memory come from its own
+   * resource usage at exit rather than from sampling
+   * @returns {Promise<Object>} { measurement, runs, nodeVersion, calibratedAt }
+   */
+  async calibrateBaseline() {
+    const runCount = this.config.baselineRuns
+    console.log(`📏 Calibrating idle Node.js baseline (${runCount} runs)...`)
+
+    const results = []
+    for (let i = 0; i < runCount; i++) {
+      const result = await this.executeAndMonitor({ command: process.execPath, args: ['-e', BASELINE_SCRIPT] })
+      if (!result.success) throw new Error(`Baseline calibration failed: ${result.error}`)
+      results.push({ ...result, ...this.readBaselineUsage(result) })
+    }
+
+    const median = (values) => {
+      const sorted = [...values].sort((a, b) => a - b)
+      const middle = Math.floor(sorted.length / 2)
+      return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+    }
+    const medianOf = (read) => median(results.map(result => read(result) || 0))
+    const ioKeys = ['diskReadBytes', 'diskWriteBytes', 'networkRxBytes', 'networkTxBytes', 'readSyscalls', 'writeSyscalls']
+
+    return {
+      measurement: {
+        executionTime: medianOf(result => result.executionTime),
+        avgCpuUsage: medianOf(result => result.avgCpuUsage),
+        peakCpuUsage: medianOf(result => result.peakCpuUsage),
+        avgMemoryUsage: medianOf(result => result.avgMemoryUsage),
+        peakMemoryUsage: medianOf(result => result.peakMemoryUsage),
+        samples: medianOf(result => result.samples),
+        io: Object.fromEntries(ioKeys.map(ioKey => [ioKey, medianOf(result => result.io && result.io[ioKey])]))
+      },
+      runs: runCount,
+      nodeVersion: process.version,
+      calibratedAt: new Date().toISOString()
+    }
+  }
+
+  /**
+   * CPU and memory of a baseline run from the resource usage it printed at exit
+   * @param {Object} result - Result of one baseline run
+   * @returns {Object} { avgCpuUsage, peakCpuUsage, avgMemoryUsage, peakMemoryUsage }
+   */
+  readBaselineUsage(result) {
+    const line = (result.output?.lines || []).find(entry => entry.stream === 'stdout')
+    let usage
+    try {
+      usage = JSON.parse(line.text)
+    } catch {
+      throw new Error('Baseline calibration failed: the baseline process did not report its resource usage')
+    }
+
+    const cpuMs = (usage.userCPUTime + usage.systemCPUTime) / 1000
+    const cpuUsage = result.executionTime > 0 ? (cpuMs / result.executionTime) * 100 : 0
+    const memoryMB = usage.maxRSS / 1024
+    return { avgCpuUsage: cpuUsage, peakCpuUsage: cpuUsage, avgMemoryUsage: memoryMB, peakMemoryUsage: memoryMB }
+  }
+
+  /**
+   * Add the baseline and the net energy/CO₂ attributable to the script to a run's metrics
+   * @param {PerformanceMetrics} metrics - Metrics of one run, updated in place
+   * @param {Object} baseline - Baseline from getBaseline()
+   */
+  applyBaseline(metrics, baseline) {
+    metrics.baselineEnergyKwh = baseline.metrics.energyKwh
+    // Noise can make a tiny script look cheaper than an empty one
+    metrics.netEnergyKwh = Math.max(0, metrics.energyKwh - metrics.baselineEnergyKwh)
+    metrics.netCo2Grams = this.co2Calculator.calculate(metrics.netEnergyKwh)
+  }
+
+  /**
+   * Baseline details recorded with the result
+   * @param {Object} baseline - Baseline from getBaseline()
+   * @returns {Object} { executionTime, energyKwh, co2Grams, runs, nodeVersion, calibratedAt, cached }
+   */
+  describeBaseline(baseline) {
+    return {
+      executionTime: baseline.metrics.executionTime,
+      energyKwh: baseline.metrics.energyKwh,
+      co2Grams: baseline.metrics.co2Grams,
+      runs: baseline.runs,
+      nodeVersion: baseline.nodeVersion,
+      calibratedAt: baseline.calibratedAt,
+      cached: baseline.cached
+    }
+  }
+
+  /**
+   * Metrics used for scoring: medians across runs, which outliers barely move
+   * @param {PerformanceMetrics} metrics - Metrics of the representative run
+   * @param {Object|null} statistics - Run statistics, null for a single run
+   * @returns {Object} Metrics with median time, energy, CO₂ and CPU usage
+   */
+  getAggregateMetrics(metrics, statistics) {
+    if (!statistics) return metrics
+
+    const median = (key) => statistics.metrics[key].median
+    return {
+      ...metrics,
+      executionTime: median('executionTime'),
+      energyKwh: median('energyKwh'),
+      co2Grams: median('co2Grams'),
+      avgCpuUsage: median('avgCpuUsage'),
+      peakCpuUsage: median('peakCpuUsage')
+    }
+  }
+
+  /**
+   * Monitor an already-running process (e.g. a long-lived service) for a fixed window
+   * Energy is reported for the window and as continuous per-minute/per-hour rates
+   * @param {number} pid - Process ID to attach to
+   * @param {Object} options - { durationMs } how long to monitor; defaults to maxExecutionTime
+   * @returns {Promise<AnalysisResult>} Analysis results
+   */
+  async attachToProcess(pid, options = {}) {
+    const startTime = performance.now()
+    const durationMs = options.durationMs || this.config.maxExecutionTime
+    const scriptName = `PID ${pid}`
+
+    try {
+      if (!this.isProcessRunning(pid)) {
+        throw new Error(`No running process with PID ${pid}`)
+      }
+
+      const command = await readProcessCommand(pid)
+      console.log(`🔍 Attaching to PID ${pid}${command ? `: ${command}` : ''}`)
+
+      let peakCpuUsage = 0
+      let peakMemoryUsage = 0
+      const monitorStart = performance.now()
+      const monitoringResult = await this.monitoringStrategy.monitor(pid, durationMs, (cpu, memory) => {
+        peakCpuUsage = Math.max(peakCpuUsage, cpu)
+        peakMemoryUsage = Math.max(peakMemoryUsage, memory)
+      }, { attached: true })
+
+      // The window ends early if the process exits while we watch it
+      const executionResult = {
+        success: true,
+        executionTime: performance.now() - monitorStart,
+        peakCpuUsage,
+        peakMemoryUsage,
+        ...monitoringResult,
+        accounting: { mode: 'sampling', reason: null }
+      }
+
+      const metrics = this.calculateMetrics(executionResult)
+      const rates = this.continuousRateCalculator.calculate({
+        energyKwh: metrics.energyKwh,
+        co2Grams: metrics.co2Grams,
+        durationMs: executionResult.executionTime
+      })
+
+      const analysisTime = performance.now() - startTime
+      console.log(`✅ Analysis completed in ${analysisTime.toFixed(0)}ms`)
+
+      return new AnalysisResult({
+        success: true,
+        scriptName,
+        scriptPath: '',
+        command,
+        metrics,
+        timeline: executionResult.timeline,
+        processes: executionResult.processes,
+        ecoScore: this.ecoScoreCalculator.calculate({
+          metrics,
+          executionTime: executionResult.executionTime
+        }),
+        equivalences: this.equivalencesCalculator.calculate({
+          energyKwh: metrics.energyKwh,
+          co2Grams: metrics.co2Grams
+        }),
+        // Per-execution scaling is meaningless for a service; project running time instead
+        scalingProjections: rates ? rates.projections : null,
+        rates,
+        cloudProjection: this.calculateCloudProjection(executionResult, metrics),
+        sci: this.calculateSci(metrics, null),
+        analysis: {
+          mode: 'attach',
+          pid,
+          command,
+          durationMs,
+          ...this.describeModel(executionResult),
+          analysisTime
+        }
       })
+
+    } catch (error) {
+      console.error(`❌ Analysis failed: ${error.message}`)
+      return new AnalysisResult({
+        success: false,
+        error: error.message,
+        scriptName
+      })
+    }
+  }
+
+  /**
+   * Check that the configured working directory and stdin file exist before spawning
+   */
+  async validateLaunchSettings() {
+    if (this.config.cwd) {
+      const stats = await fs.stat(this.config.cwd).catch(() => null)
+      if (!stats || !stats.isDirectory()) {
+        throw new Error(`Working directory not found: ${this.config.cwd}`)
+      }
+    }
+
+    if (this.config.stdinFile && !(await validateFilePath(this.config.stdinFile))) {
+      throw new Error(`Stdin file not found: ${this.config.stdinFile}`)
+    }
+
+    if (this.config.sandbox) {
+      if (this.config.cwd) throw new Error('Sandboxed runs use a temporary working directory; --cwd cannot be combined with --sandbox')
+      if (!getPermissionFlag()) throw new Error('Sandboxing needs Node.js 20 or newer (permission model)')
+      // Both profilers run on the inspector, which the permission model turns off
+      if (this.config.cpuProfile || this.config.heapProfile) {
+        throw new Error('CPU and heap profiles cannot be captured in the sandbox (the permission model disables the inspector)')
+      }
+    }
+
+    if (this.config.cpus !== null) {
+      resolveCpuList(this.config.cpus)
+      if (process.platform !== 'linux' || !(await findExecutable('taskset'))) {
+        throw new Error('CPU limits need Linux with taskset (util-linux) installed')
+      }
+    }
+  }
+
+  /**
+   * Create the sandbox directory and decide what the script may read and write
+   * Reads: the script's package, the sandbox, GayaCode's preloads and --sandbox-allow-read paths
+   * Writes: the sandbox and --sandbox-allow-write paths
+   * @param {string} scriptPath - Script to sandbox
+   * @returns {Promise<Object>} { workDir, allowRead, allowWrite }
+   */
+  async prepareSandbox(scriptPath) {
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gayacode-sandbox-'))
+    const allowWrite = [workDir, ...this.config.sandboxAllowWrite.map(dir => path.resolve(dir))]
+    const allowRead = [
+      await findPackageRoot(scriptPath),
+      path.dirname(SANDBOX_PRELOAD_PATH),
+      ...allowWrite,
+      ...this.config.sandboxAllowRead.map(dir => path.resolve(dir))
+    ]
+    return { workDir, allowRead: [...new Set(allowRead)], allowWrite: [...new Set(allowWrite)] }
+  }
+
+  /**
+   * Combine violations reported by the preload with those the script printed itself
+   * An uncaught violation is both reported and printed, so printed ones are only added
+   * for permission/resource pairs the preload did not report
+   * @param {Array<Object>} reported - Violations sent over IPC
+   * @param {Object|null} output - Captured output
+   * @returns {Array<Object>} Violations in time order
+   */
+  mergePermissionViolations(reported, output) {
+    const key = (violation) => `${violation.permission}\0${violation.resource}`
+    const seen = new Set(reported.map(key))
+    const printed = parsePermissionErrors(output)
+      .filter(violation => !seen.has(key(violation)))
+      .map(violation => ({ ...violation, message: 'Access to this API has been restricted', origin: 'logged' }))
+
+    return [...reported, ...printed].sort((a, b) => a.timeSeconds - b.timeSeconds)
+  }
+
+  /**
+   * Explain which limit stopped a process, when, and how
+   * @param {Object} limitHit - { limit, threshold, value, timeSeconds, signal }
+   * @returns {string} Error message
+   */
+  describeLimitHit(limitHit) {
+    const { limit, threshold, value, timeSeconds, signal } = limitHit
+    const stopped = signal ? `; stopped with ${signal}` : ''
+
+    if (limit === 'time') return `Process timed out after ${threshold}ms${stopped}`
+    if (limit === 'rss') {
+      return `RSS limit of ${threshold}MB exceeded (${value.toFixed(0)}MB) at ${timeSeconds.toFixed(2)}s${stopped}`
+    }
+    return `Heap limit of ${threshold}MB exceeded at ${timeSeconds.toFixed(2)}s (V8 ran out of memory)`
+  }
+
+  /**
+   * Launch settings recorded with the result so a run can be reproduced
+   * Only the names of explicitly set variables are recorded, since their values may be
+   * secrets; inherited variables never are
+   * @param {Object} target - { scriptPath } or { command, args, shell }
+   * @returns {Object} Arguments, cwd, stdin and environment changes
+   */
+  describeLaunch(target) {
+    return {
+      args: target.scriptPath ? this.config.scriptArgs : (target.args || []),
+      cwd: path.resolve(this.config.cwd || process.cwd()),
+      stdinFile: this.config.stdinFile ? path.resolve(this.config.stdinFile) : null,
+      nodeEnv: this.config.nodeEnv,
+      env: {
+        set: Object.keys(this.config.env),
+        unset: this.config.unsetEnv,
+        allowList: this.config.envAllowList
+      },
+      limits: {
+        timeMs: this.config.maxExecutionTime,
+        maxHeapMB: this.config.maxHeapMB,
+        maxRssMB: this.config.maxRssMB,
+        cpus: this.config.cpus !== null ? resolveCpuList(this.config.cpus) : null,
+        killGraceMs: this.config.killGraceMs
+      },
+      // The sandbox's own directories are temporary, so only the extra paths are recorded
+      sandbox: target.scriptPath && this.config.sandbox
+        ? {
+            allowRead: this.config.sandboxAllowRead.map(dir => path.resolve(dir)),
+            allowWrite: this.config.sandboxAllowWrite.map(dir => path.resolve(dir))
+          }
+        : null
     }
   }
 
   /**
-   * Execute script and monitor its performance
-   * @param {string} scriptPath - Path to script
+   * Build the child environment from the parent's
+   * In allow-list mode only listed (and essential) variables are inherited, which keeps
+   * tokens and credentials out of the analyzed process; sandboxed runs always use it
+   * @param {Object} options - { sandboxed }
+   * @returns {Object} Environment variables for the child
+   */
+  buildEnvironment(options = {}) {
+    const { unsetEnv, env, nodeEnv } = this.config
+    const envAllowList = this.config.envAllowList || (options.sandboxed ? [] : null)
+    let inherited = { ...process.env }
+
+    if (envAllowList) {
+      const allowed = new Set([...ESSENTIAL_ENV_VARS, ...envAllowList])
+      inherited = Object.fromEntries(Object.entries(process.env).filter(([name]) => allowed.has(name)))
+    }
+
+    for (const name of unsetEnv) delete inherited[name]
+
+    // Explicit variables win over NODE_ENV and anything inherited
+    return { ...inherited, NODE_ENV: nodeEnv, ...env }
+  }
+
+  /**
+   * Check whether a process exists (it may belong to another user)
+   * @param {number} pid - Process ID
+   * @returns {boolean} True if the process exists
+   */
+  isProcessRunning(pid) {
+    try {
+      process.kill(pid, 0)
+      return true
+    } catch (error) {
+      return error.code === 'EPERM'
+    }
+  }
+
+  /**
+   * Energy model and monitoring settings recorded with every result
+   * @param {Object} executionResult - Execution results with monitoring data
+   * @returns {Object} Settings for the result's analysis block
+   */
+  describeModel(executionResult) {
+    return {
+      emissionFactor: this.config.emissionFactor,
+      grid: this.grid,
+      intensityFile: this.config.intensityFile,
+      // Injected energy strategies may not use a machine profile
+      machine: this.energyCalculator.machineProfile || null,
+      targetInstance: this.config.targetInstance,
+      cpuPowerCoefficient: this.config.cpuPowerCoefficient,
+      memoryPowerCoefficient: this.config.memoryPowerCoefficient,
+      storageEnergyCoefficient: this.config.storageEnergyCoefficient,
+      networkEnergyCoefficient: this.config.networkEnergyCoefficient,
+      namespaceNetwork: this.config.namespaceNetwork,
+      monitoringInterval: this.config.monitoringInterval,
+      monitorChildren: this.config.monitorChildren,
+      rapl: executionResult.rapl || null,
+      accounting: executionResult.accounting
+    }
+  }
+
+  /**
+   * Execute a script or command and monitor its performance
+   * A target with a driver (see analyzeService) runs until the driver is done and is then
+   * stopped with SIGTERM; exiting earlier is a failure
+   * @param {Object} target - { scriptPath, driver } or { command, args, shell, env }
    * @returns {Promise<Object>} Execution results with monitoring data
    */
-  async executeAndMonitor(scriptPath) {
+  async executeAndMonitor(target) {
     const startTime = performance.now()
     let childProcess = null
+    let timeoutHandle = null
     let peakCpuUsage = 0
     let peakMemoryUsage = 0
+    const telemetrySamples = []
+    const phaseMarkers = []
+    const permissionViolations = []
+    let exited = false
+    let stopRequested = false
+    const driverAbort = new AbortController()
+
+    // Exact kernel accounting when requested and available, polling otherwise
+    const cgroup = this.config.cgroupAccounting
+      ? new CgroupAccountant({ cgroupRoot: this.config.cgroupRoot })
+      : null
+    let cgroupReady = cgroup ? await cgroup.create(generateId()) : false
+
+    // V8 writes profiles into this directory when the child exits
+    const profileDir = target.scriptPath && (this.config.cpuProfile || this.config.heapProfile)
+      ? await fs.mkdtemp(path.join(os.tmpdir(), 'gayacode-profile-'))
+      : null
+
+    // Sandboxed scripts get a throwaway working (and home) directory
+    const sandbox = target.scriptPath && this.config.sandbox
+      ? await this.prepareSandbox(target.scriptPath)
+      : null
 
     try {
       // Start the process
-      childProcess = spawn('node', [scriptPath], {
-        stdio: 'pipe',
-        env: { ...process.env, NODE_ENV: 'gayacode_analysis' }
+      const launch = this.buildLaunchOptions(target, { profileDir, sandbox })
+      let spawnTime = Date.now()
+      if (cgroupReady) {
+        const gated = this.applyCgroupGate(launch)
+        childProcess = spawn(gated.command, gated.args, gated.options)
+        cgroupReady = await this.releaseIntoCgroup(childProcess, gated.gateFd, cgroup)
+      }
+      if (!cgroupReady) {
+        spawnTime = Date.now()
+        childProcess = spawn(launch.command, launch.args, launch.options)
+      }
+
+      if (childProcess.pid === undefined) {
+        // Spawning failed (e.g. command not found); the error event carries the reason
+        const error = await new Promise(resolve => childProcess.once('error', resolve))
+        return {
+          success: false,
+          error: `Process error: ${error.message}`,
+          executionTime: performance.now() - startTime
+        }
+      }
+
+      const output = new OutputCapture({
+        maxLines: this.config.maxOutputLines,
+        tee: this.config.teeOutput,
+        startTime: spawnTime
+      })
+      output.attach(childProcess.stdout, 'stdout')
+      output.attach(childProcess.stderr, 'stderr')
+
+      if (this.config.stdinFile) {
+        // The child may exit without reading all of it
+        childProcess.stdin.on('error', () => {})
+        createReadStream(this.config.stdinFile).pipe(childProcess.stdin)
+      }
+
+      childProcess.on('message', (message) => {
+        if (message && message.type === TELEMETRY_MESSAGE_TYPE) {
+          telemetrySamples.push({ ...message, timeSeconds: (message.time - spawnTime) / 1000 })
+        } else if (message && message.type === PHASE_MESSAGE_TYPE && this.config.phases) {
+          phaseMarkers.push({ event: message.event, name: message.name, timeSeconds: (message.time - spawnTime) / 1000 })
+        } else if (message && message.type === PERMISSION_MESSAGE_TYPE) {
+          permissionViolations.push({
+            permission: message.permission,
+            resource: message.resource,
+            message: message.message,
+            origin: message.origin,
+            timeSeconds: (message.time - spawnTime) / 1000
+          })
+        }
       })
 
+      // A process over a limit is stopped with SIGTERM, then SIGKILL after the grace period
+      let limitHit = null
+      let resolveLimit = null
+      const limitPromise = new Promise(resolve => { resolveLimit = resolve })
+      const limitFailure = () => ({
+        success: false,
+        error: this.describeLimitHit(limitHit),
+        executionTime: performance.now() - startTime,
+        limitHit
+      })
+      const enforceLimit = (limit) => {
+        // A service being stopped after its load is not over a limit
+        if (limitHit || exited || stopRequested) return
+        limitHit = { ...limit, timeSeconds: (Date.now() - spawnTime) / 1000, signal: null }
+        terminateProcess(childProcess, this.config.killGraceMs, (signal) => { limitHit.signal = signal })
+          .then(() => resolveLimit(limitFailure()))
+      }
+
       // Start monitoring
       const monitoringPromise = this.monitoringStrategy.monitor(
         childProcess.pid,
@@ -140,6 +947,9 @@ export class EnvironmentalAnalyzer {
         (cpu, memory) => {
           peakCpuUsage = Math.max(peakCpuUsage, cpu)
           peakMemoryUsage = Math.max(peakMemoryUsage, memory)
+          if (this.config.maxRssMB && memory > this.config.maxRssMB) {
+            enforceLimit({ limit: 'rss', threshold: this.config.maxRssMB, value: memory })
+          }
         }
       )
 
@@ -147,8 +957,27 @@ export class EnvironmentalAnalyzer {
       const processPromise = new Promise((resolve) => {
         childProcess.on('close', (code, signal) => {
           const executionTime = performance.now() - startTime
-          
-          if (signal) {
+          exited = true
+          driverAbort.abort()
+
+          if (limitHit) {
+            resolve(limitFailure())
+            return
+          }
+
+          if (target.driver && !stopRequested) {
+            resolve({
+              success: false,
+              error: signal
+                ? `Server terminated by signal ${signal} before the load test finished`
+                : `Server exited with code ${code} before the load test finished`,
+              executionTime
+            })
+            return
+          }
+
+          // A signal the analyzer sent to stop a service is the normal end of the run
+          if (signal && !stopRequested) {
             resolve({
               success: false,
               error: `Process terminated by signal: ${signal}`,
@@ -176,37 +1005,59 @@ export class EnvironmentalAnalyzer {
       })
 
       // Set up timeout
-      const timeoutPromise = new Promise((resolve) => {
-        setTimeout(() => {
-          if (childProcess && !childProcess.killed) {
-            childProcess.kill('SIGTERM')
-          }
-          resolve({
-            success: false,
-            error: `Process timed out after ${this.config.maxExecutionTime}ms`,
-            executionTime: this.config.maxExecutionTime
+      timeoutHandle = setTimeout(() => {
+        enforceLimit({ limit: 'time', threshold: this.config.maxExecutionTime, value: performance.now() - startTime })
+      }, this.config.maxExecutionTime)
+
+      let driverResult = null
+      const driverPromise = target.driver
+        ? target.driver({ signal: driverAbort.signal, spawnTime })
+          .then(result => ({ result }), error => ({ error }))
+          .then(async ({ result, error }) => {
+            // The process ended first; its own result explains what happened
+            if (exited) return processPromise
+            stopRequested = true
+            await terminateProcess(childProcess, this.config.killGraceMs)
+            const stopped = await processPromise
+            if (error) return { ...stopped, success: false, error: error.message }
+            driverResult = result
+            return stopped
           })
-        }, this.config.maxExecutionTime)
-      })
+        : null
+
+      // Wait for first to complete: process (or its driver) or a limit
+      const processResult = await Promise.race([driverPromise || processPromise, limitPromise])
+      clearTimeout(timeoutHandle)
+      processResult.output = output.getResult()
+      if (sandbox) {
+        processResult.permissionViolations = this.mergePermissionViolations(permissionViolations, processResult.output)
+      }
+
+      // V8 enforces the heap limit itself by aborting; its message tells the crash apart
+      const crashed = !processResult.success || processResult.exitCode
+      if (crashed && !processResult.limitHit && this.config.maxHeapMB && isHeapOutOfMemory(processResult.output)) {
+        processResult.limitHit = {
+          limit: 'heap',
+          threshold: this.config.maxHeapMB,
+          value: null,
+          timeSeconds: processResult.executionTime / 1000,
+          signal: null
+        }
+        processResult.success = false
+        processResult.error = this.describeLimitHit(processResult.limitHit)
+      }
 
-      // Wait for first to complete: process or timeout
-      const processResult = await Promise.race([processPromise, timeoutPromise])
-      
       if (!processResult.success) {
         return processResult
       }
 
       // Wait for monitoring to complete
+      let monitoringResult
       try {
-        const monitoringResult = await monitoringPromise
-        return {
-          ...processResult,
-          ...monitoringResult
-        }
+        monitoringResult = await monitoringPromise
       } catch (error) {
-        // If monitoring fails, return process result with defaults
-        return {
-          ...processResult,
+        // If monitoring fails, continue with defaults
+        monitoringResult = {
           avgCpuUsage: peakCpuUsage || 0,
           avgMemoryUsage: peakMemoryUsage || 0,
           samples: 1,
@@ -214,15 +1065,462 @@ export class EnvironmentalAnalyzer {
         }
       }
 
+      const executionResult = { ...processResult, ...monitoringResult, phaseMarkers, driverResult }
+
+      if (this.config.telemetry) {
+        executionResult.telemetrySamples = telemetrySamples
+        this.mergeTelemetry(executionResult.timeline, telemetrySamples)
+      }
+
+      if (profileDir && this.config.cpuProfile) {
+        executionResult.cpuProfiles = await readProfileFiles(profileDir, '.cpuprofile')
+      }
+
+      if (profileDir && this.config.heapProfile) {
+        executionResult.heapProfiles = await readProfileFiles(profileDir, '.heapprofile')
+      }
+
+      if (!cgroupReady) {
+        executionResult.accounting = {
+          mode: 'sampling',
+          reason: cgroup ? cgroup.reason : null
+        }
+        return executionResult
+      }
+
+      return this.applyCgroupAccounting(executionResult, await cgroup.readStats(), cgroup.reason)
+
     } catch (error) {
+      clearTimeout(timeoutHandle)
+      // Never leave the process running unmonitored
+      if (childProcess && childProcess.pid !== undefined && childProcess.exitCode === null && childProcess.signalCode === null) {
+        process.kill(childProcess.pid, 'SIGKILL')
+      }
       return {
         success: false,
         error: `Failed to start process: ${error.message}`,
         executionTime: performance.now() - startTime
       }
+    } finally {
+      if (cgroup) await cgroup.destroy()
+      if (profileDir) await fs.rm(profileDir, { recursive: true, force: true })
+      if (sandbox) await fs.rm(sandbox.workDir, { recursive: true, force: true })
+    }
+  }
+
+  /**
+   * Build the command, arguments and spawn options for a script or command
+   * @param {Object} target - { scriptPath } or { command, args, shell, env }
+   * @param {Object} runtime - Per-run resources such as the profile directory
+   * @returns {Object} { command, args, options } for child_process.spawn
+   */
+  buildLaunchOptions(target, runtime = {}) {
+    const nodeArgs = []
+    const sandbox = target.scriptPath ? runtime.sandbox : null
+    // Variables the analyzer itself needs in the child (target.env) are never filtered out
+    const env = { ...this.buildEnvironment({ sandboxed: Boolean(sandbox) }), ...target.env }
+    const cwd = sandbox ? sandbox.workDir : (this.config.cwd || undefined)
+    // Without a stdin file the child reads EOF instead of waiting forever
+    const stdin = this.config.stdinFile ? 'pipe' : 'ignore'
+    let stdio = [stdin, 'pipe', 'pipe']
+
+    if (!target.scriptPath) {
+      if (this.config.maxHeapMB) {
+        // Reaches every Node.js process the command starts
+        env.NODE_OPTIONS = [env.NODE_OPTIONS, `--max-old-space-size=${this.config.maxHeapMB}`].filter(Boolean).join(' ')
+      }
+      return this.applyCpuAffinity({
+        command: target.command,
+        args: target.args || [],
+        options: { stdio, env, cwd, shell: Boolean(target.shell) }
+      })
+    }
+
+    // An IPC channel changes how the script behaves (process.send exists, the channel can keep
+    // it alive), so it is only opened for the features that report over it
+    if (this.config.phases || this.config.telemetry || sandbox) {
+      stdio = [...stdio, 'ipc']
+    }
+
+    if (sandbox) {
+      nodeArgs.push(...buildPermissionArgs(sandbox), '--require', SANDBOX_PRELOAD_PATH)
+      // Tools that write to home or temp directories stay inside the sandbox
+      for (const name of ['HOME', 'TMPDIR', 'TMP', 'TEMP']) env[name] = sandbox.workDir
+    }
+
+    if (this.config.telemetry) {
+      nodeArgs.push('--require', TELEMETRY_PRELOAD_PATH)
+      env.GAYACODE_TELEMETRY_INTERVAL = String(this.config.monitoringInterval)
+    }
+
+    if (this.config.cpuProfile) {
+      nodeArgs.push('--cpu-prof', '--cpu-prof-dir', runtime.profileDir)
+    }
+
+    if (this.config.heapProfile) {
+      nodeArgs.push('--require', HEAP_PROFILER_PRELOAD_PATH)
+      env.GAYACODE_HEAP_PROFILE_DIR = runtime.profileDir
+      env.GAYACODE_HEAP_PROFILE_INTERVAL = String(this.config.heapProfileInterval)
+    }
+
+    if (this.config.maxHeapMB) {
+      nodeArgs.push(`--max-old-space-size=${this.config.maxHeapMB}`)
+    }
+
+    return this.applyCpuAffinity({
+      command: 'node',
+      // Absolute, so a custom cwd does not change which script runs
+      args: [...nodeArgs, path.resolve(target.scriptPath), ...this.config.scriptArgs],
+      options: { stdio, env, cwd }
+    })
+  }
+
+  /**
+   * Start the process held at a gate until it is inside the cgroup
+   * A shell waits for a line on an extra pipe, then execs the real command (keeping its
+   * PID), so everything from Node's startup on is accounted by the kernel
+   * @param {Object} launch - { command, args, options } for child_process.spawn
+   * @returns {Object} Launch through the gate, plus the gate's stdio index as gateFd
+   */
+  applyCgroupGate(launch) {
+    const gateFd = launch.options.stdio.length
+    const commandArgs = launch.options.shell
+      ? ['/bin/sh', '-c', [launch.command, ...launch.args].join(' ')]
+      : [launch.command, ...launch.args]
+    return {
+      command: '/bin/sh',
+      // The command does not inherit the gate pipe
+      args: ['-c', `read _ <&${gateFd}; exec "$@" ${gateFd}<&-`, 'gayacode-launcher', ...commandArgs],
+      options: { ...launch.options, stdio: [...launch.options.stdio, 'pipe'], shell: false },
+      gateFd
     }
   }
 
+  /**
+   * Move a gated process into the cgroup and let it start
+   * When the move fails the gated process is killed before it ran anything, so the
+   * caller can start the command again and fall back to polling
+   * @param {ChildProcess} childProcess - Process started through applyCgroupGate()
+   * @param {number} gateFd - stdio index of the gate pipe
+   * @param {CgroupAccountant} cgroup - Created cgroup
+   * @returns {Promise<boolean>} True when the process runs inside the cgroup
+   */
+  async releaseIntoCgroup(childProcess, gateFd, cgroup) {
+    if (childProcess.pid === undefined) {
+      // The plain launch that follows reports why spawning failed
+      childProcess.once('error', () => {})
+      return false
+    }
+
+    try {
+      await cgroup.addProcess(childProcess.pid)
+      childProcess.stdio[gateFd].end('\n')
+      return true
+    } catch (error) {
+      cgroup.reason = `Could not move the process into the cgroup: ${error.message}`
+      const exitedPromise = new Promise(resolve => childProcess.once('exit', resolve))
+      process.kill(childProcess.pid, 'SIGKILL')
+      await exitedPromise
+      return false
+    }
+  }
+
+  /**
+   * Pin the process to the configured CPUs by starting it through taskset
+   * taskset replaces itself with the command, so the monitored PID stays the same
+   * @param {Object} launch - { command, args, options } for child_process.spawn
+   * @returns {Object} The launch, wrapped in taskset when a CPU limit is set
+   */
+  applyCpuAffinity(launch) {
+    if (this.config.cpus === null) return launch
+
+    const cpuList = resolveCpuList(this.config.cpus)
+    if (launch.options.shell) {
+      // Pin the whole shell command line, not just its first command
+      const commandLine = [launch.command, ...launch.args].join(' ')
+      return {
+        command: 'taskset',
+        args: ['-c', cpuList, '/bin/sh', '-c', commandLine],
+        options: { ...launch.options, shell: false }
+      }
+    }
+    return {
+      command: 'taskset',
+      args: ['-c', cpuList, launch.command, ...launch.args],
+      options: launch.options
+    }
+  }
+
+  /**
+   * Attach in-process telemetry to the timeline
+   * Each sample lands on the last point at or before its time; when two samples
+   * share a point the newer one wins and GC pauses are accumulated
+   * @param {Array<TimelinePoint>} timeline - Monitoring timeline
+   * @param {Array} samples - Telemetry samples with timeSeconds
+   */
+  mergeTelemetry(timeline, samples) {
+    let pointIndex = -1
+
+    for (const sample of samples) {
+      while (pointIndex + 1 < timeline.length && timeline[pointIndex + 1].timeSeconds <= sample.timeSeconds) {
+        pointIndex++
+      }
+      if (pointIndex < 0) continue
+
+      const { type, time, timeSeconds, ...telemetry } = sample
+      const point = timeline[pointIndex]
+
+      if (point.telemetry) {
+        const previousGc = point.telemetry.gc
+        const byKind = { ...previousGc.byKind }
+        for (const [kind, pauseMs] of Object.entries(telemetry.gc.byKind)) {
+          byKind[kind] = (byKind[kind] || 0) + pauseMs
+        }
+        telemetry.gc = {
+          count: telemetry.gc.count + previousGc.count,
+          pauseMs: telemetry.gc.pauseMs + previousGc.pauseMs,
+          byKind
+        }
+      }
+      point.telemetry = telemetry
+    }
+  }
+
+  /**
+   * Replace averaged samples with exact cgroup totals where the kernel provided them
+   * @param {Object} executionResult - Sampled execution results
+   * @param {Object} stats - Totals from CgroupAccountant.readStats()
+   * @param {string|null} reason - Why some totals are missing, such as controllers that could not be enabled
+   * @returns {Object} Execution results with exact CPU/memory figures
+   */
+  applyCgroupAccounting(executionResult, stats, reason = null) {
+    const result = {
+      ...executionResult,
+      accounting: { mode: 'cgroup', reason, ...stats }
+    }
+
+    if (stats.cpuUsageUsec !== null && executionResult.executionTime > 0) {
+      // Expressed like the sampled value: percent of one core over the run
+      result.avgCpuUsage = (stats.cpuUsageUsec / 1000) / executionResult.executionTime * 100
+    }
+
+    if (stats.memoryPeakBytes !== null) {
+      result.peakMemoryUsage = stats.memoryPeakBytes / (1024 * 1024)
+    }
+
+    if (stats.ioReadBytes !== null) {
+      result.io = {
+        ...executionResult.io,
+        diskReadBytes: stats.ioReadBytes,
+        diskWriteBytes: stats.ioWriteBytes
+      }
+    }
+
+    return result
+  }
+
+  /**
+   * Attribute CPU energy to functions sampled by the V8 CPU profiler
+   * @param {Array<Object>|undefined} cpuProfiles - Parsed .cpuprofile files
+   * @param {PerformanceMetrics} metrics - Calculated metrics
+   * @returns {Object|null} Function energy breakdown, or null without a profile
+   */
+  calculateFunctionEnergy(cpuProfiles, metrics) {
+    if (!cpuProfiles || cpuProfiles.length === 0) return null
+
+    return this.functionEnergyCalculator.calculate({
+      profile: summarizeCpuProfiles(cpuProfiles),
+      ...this.getResourceEnergy(metrics, 'cpuKwh')
+    })
+  }
+
+  /**
+   * Attribute energy to the phases the script marked with the phase markers helper
+   * @param {Object} executionResult - Execution results with phaseMarkers and timeline
+   * @param {PerformanceMetrics} metrics - Calculated metrics
+   * @returns {Object|null} Phases and per-phase summary, or null without markers
+   */
+  calculatePhaseEnergy(executionResult, metrics) {
+    return this.phaseEnergyCalculator.calculate({
+      markers: executionResult.phaseMarkers,
+      timeline: executionResult.timeline,
+      durationSeconds: metrics.executionTime / 1000,
+      energyKwh: metrics.energyKwh,
+      co2Grams: metrics.co2Grams,
+      energyBreakdown: metrics.energyBreakdown
+    })
+  }
+
+  /**
+   * Attribute the energy used during the load window to the requests sent in it
+   * The window is measured like a phase, so startup and shutdown are left out
+   * @param {Object} executionResult - Execution results with driverResult from the load generator
+   * @param {PerformanceMetrics} metrics - Calculated metrics
+   * @returns {Object|null} Load statistics, or null outside load mode
+   */
+  calculateLoadEnergy(executionResult, metrics) {
+    const load = executionResult.driverResult
+    if (!load) return null
+
+    const window = this.phaseEnergyCalculator.calculate({
+      markers: [
+        { event: 'start', name: 'load', timeSeconds: load.startSeconds },
+        { event: 'end', name: null, timeSeconds: load.endSeconds }
+      ],
+      timeline: executionResult.timeline,
+      durationSeconds: metrics.executionTime / 1000,
+      energyKwh: metrics.energyKwh,
+      co2Grams: metrics.co2Grams,
+      energyBreakdown: metrics.energyBreakdown
+    })
+    const row = window && window.summary.find(entry => !entry.unmarked)
+
+    return this.loadEnergyCalculator.calculate({
+      load,
+      window: row
+        ? {
+          energyKwh: row.energyKwh,
+          co2Grams: row.co2Grams,
+          energyShare: row.energyShare,
+          avgCpuUsage: row.avgCpuUsage,
+          peakCpuUsage: row.peakCpuUsage,
+          peakMemoryUsage: row.peakMemoryUsage
+        }
+        : {
+          energyKwh: metrics.energyKwh,
+          co2Grams: metrics.co2Grams,
+          energyShare: 1,
+          avgCpuUsage: metrics.avgCpuUsage,
+          peakCpuUsage: metrics.peakCpuUsage,
+          peakMemoryUsage: metrics.peakMemoryUsage
+        }
+    })
+  }
+
+  /**
+   * Build an energy-weighted flame graph from the V8 CPU profile
+   * Samples are weighted by the process CPU usage monitored at the same moment, so
+   * frames running while the whole process (GC threads, workers) was busy cost more
+   * @param {Array<Object>|undefined} cpuProfiles - Parsed .cpuprofile files
+   * @param {Array<TimelinePoint>} timeline - Monitoring timeline
+   * @param {PerformanceMetrics} metrics - Calculated metrics
+   * @returns {Object|null} Flame graph tree, or null without a profile
+   */
+  calculateFlameGraph(cpuProfiles, timeline, metrics) {
+    if (!cpuProfiles || cpuProfiles.length === 0) return null
+
+    return this.flameGraphCalculator.calculate({
+      callTree: buildCallTree(cpuProfiles, this.createCpuWeightLookup(timeline)),
+      ...this.getResourceEnergy(metrics, 'cpuKwh')
+    })
+  }
+
+  /**
+   * Attribute memory energy to allocation sites from the sampling heap profile
+   * @param {Array<Object>|undefined} heapProfiles - Parsed .heapprofile files
+   * @param {PerformanceMetrics} metrics - Calculated metrics
+   * @returns {Object|null} Allocation breakdown, or null without a profile
+   */
+  calculateAllocationEnergy(heapProfiles, metrics) {
+    if (!heapProfiles || heapProfiles.length === 0) return null
+
+    return this.allocationEnergyCalculator.calculate({
+      profile: summarizeHeapProfiles(heapProfiles),
+      ...this.getResourceEnergy(metrics, 'memoryKwh')
+    })
+  }
+
+  /**
+   * Create a lookup from seconds since start to the monitored CPU usage
+   * The profile clock starts slightly after monitoring, which is close enough at 50ms sampling
+   * @param {Array<TimelinePoint>} timeline - Monitoring timeline
+   * @returns {Function} seconds => relative weight (at least 1 so no sample is dropped)
+   */
+  createCpuWeightLookup(timeline) {
+    if (!timeline || timeline.length === 0) return () => 1
+
+    // Samples arrive in time order, so keep a cursor and only rewind for the next profile
+    let index = 0
+    return (seconds) => {
+      if (timeline[index].timeSeconds > seconds) index = 0
+      while (index + 1 < timeline.length && timeline[index + 1].timeSeconds <= seconds) index++
+      return Math.max(timeline[index].cpu, 1)
+    }
+  }
+
+  /**
+   * Energy of one resource from the breakdown, for attributing it to code
+   * Injected energy strategies without a breakdown fall back to the total
+   * @param {PerformanceMetrics} metrics - Calculated metrics
+   * @param {string} resource - Breakdown key such as 'cpuKwh' or 'memoryKwh'
+   * @returns {Object} { energyKwh, co2Grams } attributable to the resource
+   */
+  getResourceEnergy(metrics, resource) {
+    const energyKwh = metrics.energyBreakdown ? metrics.energyBreakdown[resource] : metrics.energyKwh
+    return { energyKwh, co2Grams: this.co2Calculator.calculate(energyKwh) }
+  }
+
+  /**
+   * Monitored CPU % over time, for energy models with a non-linear power curve
+   * @param {Object} executionResult - Execution results with monitoring data
+   * @returns {Array<number>|undefined} CPU samples
+   */
+  getCpuSamples(executionResult) {
+    return executionResult.timeline ? executionResult.timeline.map(point => point.cpu) : undefined
+  }
+
+  /**
+   * Project a run onto the target cloud instance
+   * @param {Object} executionResult - Execution results with monitoring data
+   * @param {PerformanceMetrics} metrics - Calculated metrics
+   * @returns {Object|null} Cloud projection, or null without --target-instance
+   */
+  calculateCloudProjection(executionResult, metrics) {
+    return this.cloudProjectionCalculator.calculate({ metrics, cpuSamples: this.getCpuSamples(executionResult) })
+  }
+
+  /**
+   * Find the greenest time to run the analyzed job again
+   * @param {PerformanceMetrics} metrics - Metrics of a typical run
+   * @returns {Object|null} Carbon schedule, or null without an hourly intensity forecast
+   */
+  calculateSchedule(metrics) {
+    if (!this.intensityForecast || !this.intensityForecast.varies) return null
+
+    return this.carbonScheduleCalculator.calculate({
+      energyKwh: metrics.energyKwh,
+      windowMs: metrics.executionTime,
+      horizonMs: this.config.scheduleHorizonMs,
+      forecast: this.intensityForecast
+    })
+  }
+
+  /**
+   * Software Carbon Intensity of a typical run per functional unit
+   * Per request, energy and reserved time are those of the load window
+   * @param {PerformanceMetrics} metrics - Metrics of a typical run
+   * @param {Object|null} load - Load statistics in load mode
+   * @returns {Object} SCI score and terms
+   */
+  calculateSci(metrics, load) {
+    const { functionalUnit, functionalUnitCount, embodiedCarbonKg } = this.config
+    const requestLoad = functionalUnit === 'request' ? load : null
+    // Without a declared count, a run is one unit and requests are those answered under load
+    const builtInUnits = functionalUnit === 'run' ? 1 : requestLoad ? requestLoad.requests.answered : null
+    const machine = this.energyCalculator.machineProfile
+    // Same utilization the CPU power is charged at; explicit coefficients have no profile cores
+    const cores = machine ? machine.cores : os.cpus().length
+    const avgCpuUsage = requestLoad ? requestLoad.window.avgCpuUsage : metrics.avgCpuUsage
+
+    return this.sciCalculator.calculate({
+      energyKwh: requestLoad ? requestLoad.window.energyKwh : metrics.energyKwh,
+      durationMs: requestLoad ? requestLoad.durationMs : metrics.executionTime,
+      units: functionalUnitCount ?? builtInUnits,
+      embodiedKg: embodiedCarbonKg ?? (machine ? machine.embodiedKg ?? null : null),
+      utilization: Math.min(1, (avgCpuUsage || 0) / (100 * cores))
+    })
+  }
+
   /**
    * Calculate environmental metrics from execution results
    * @param {Object} executionResult - Results from script execution
@@ -235,19 +1533,30 @@ export class EnvironmentalAnalyzer {
       peakMemoryUsage,
       avgCpuUsage,
       avgMemoryUsage,
-      samples
+      samples,
+      rapl
     } = executionResult
+    const io = executionResult.io || {}
+    const diskBytes = (io.diskReadBytes || 0) + (io.diskWriteBytes || 0)
+    // Network counters cover the whole namespace, so they are only charged when asked for
+    const networkBytes = this.config.namespaceNetwork ? (io.networkRxBytes || 0) + (io.networkTxBytes || 0) : 0
 
-    // Calculate energy consumption
-    const energyKwh = this.energyCalculator.calculate({
-      avgCpuUsage,
-      avgMemoryUsage,
-      executionTime
-    })
+    // Calculate energy consumption (injected strategies may not offer a breakdown)
+    const energyInput = { avgCpuUsage, avgMemoryUsage, executionTime, diskBytes, networkBytes, cpuSamples: this.getCpuSamples(executionResult) }
+    const energyBreakdown = typeof this.energyCalculator.calculateBreakdown === 'function'
+      ? this.energyCalculator.calculateBreakdown(energyInput)
+      : null
+    const energyKwh = energyBreakdown
+      ? energyBreakdown.totalKwh
+      : this.energyCalculator.calculate(energyInput)
 
     // Calculate CO2 emissions
     const co2Grams = this.co2Calculator.calculate(energyKwh)
 
+    // Hardware-measured energy is reported alongside the modelled value
+    const measuredEnergyKwh = rapl && rapl.available ? rapl.attributedJoules / 3600000 : null
+    const measuredCo2Grams = measuredEnergyKwh !== null ? this.co2Calculator.calculate(measuredEnergyKwh) : null
+
     return new PerformanceMetrics({
       executionTime,
       peakCpuUsage,
@@ -256,7 +1565,16 @@ export class EnvironmentalAnalyzer {
       avgMemoryUsage,
       samples,
       energyKwh,
-      co2Grams
+      co2Grams,
+      energyBreakdown,
+      diskReadBytes: io.diskReadBytes,
+      diskWriteBytes: io.diskWriteBytes,
+      networkRxBytes: io.networkRxBytes,
+      networkTxBytes: io.networkTxBytes,
+      readSyscalls: io.readSyscalls,
+      writeSyscalls: io.writeSyscalls,
+      measuredEnergyKwh,
+      measuredCo2Grams
     })
   }
 }
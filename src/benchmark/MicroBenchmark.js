@@ -0,0 +1,192 @@
+import { performance } from 'perf_hooks'
+import { AnalyzerConfig } from '../core/interfaces/Types.js'
+import {
+  EnergyCalculationStrategy,
+  CO2CalculationStrategy
+} from '../calculations/CalculationStrategies.js'
+import { resolveGridRegion, getIntensityAt } from '../calculations/GridIntensity.js'
+import { formatEnergy, formatCO2, formatBytes } from '../utils/Formatters.js'
+
+// Per-operation figures are tiny, so comparisons are shown per million operations
+const OPS_PER_REPORT = 1000000
+
+/**
+ * In-process micro-benchmark
+ * Runs a function many times inside the current process and estimates energy and CO₂
+ * per operation from its CPU time and heap, using the same energy and CO₂ strategies
+ * (and configuration) as the script analyzer
+ */
+export class MicroBenchmark {
+  /**
+   * @param {Object} options - AnalyzerConfig options (emission factor, machine profile)
+   * @param {Object} strategies - Optional { energy, co2 } strategy overrides
+   */
+  constructor(options = {}, strategies = {}) {
+    this.config = new AnalyzerConfig(options)
+    this.config.validate()
+
+    // A grid region sets the emission factor to the region's intensity at this hour
+    this.grid = this.config.region ? getIntensityAt(resolveGridRegion(this.config.region)) : null
+    if (this.grid) this.config.emissionFactor = this.grid.intensity
+
+    this.energyCalculator = strategies.energy || new EnergyCalculationStrategy(this.config)
+    this.co2Calculator = strategies.co2 || new CO2CalculationStrategy(this.config.emissionFactor)
+  }
+
+  /**
+   * Measure a synchronous or async function
+   * @param {Function} fn - Function to benchmark; returned promises are awaited
+   * @param {Object} options - { name, iterations, warmup }
+   * @param {number} options.iterations - Measured calls (default 1000)
+   * @param {number} options.warmup - Unmeasured calls first, so the JIT has optimized fn (default 10% of iterations)
+   * @returns {Promise<Object>} Timing, CPU, heap, energy and CO₂ totals and per operation
+   */
+  async measure(fn, options = {}) {
+    if (typeof fn !== 'function') throw new Error('measure() expects a function')
+
+    const name = options.name || fn.name || 'anonymous'
+    const iterations = options.iterations ?? 1000
+    const warmup = options.warmup ?? Math.ceil(iterations / 10)
+    if (!Number.isInteger(iterations) || iterations < 1) throw new Error('Iterations must be a positive integer')
+    if (!Number.isInteger(warmup) || warmup < 0) throw new Error('Warmup must be a non-negative integer')
+
+    await this.run(fn, warmup)
+
+    // Start from a clean heap when the process was started with --expose-gc
+    if (typeof global.gc === 'function') global.gc()
+
+    const heapBefore = process.memoryUsage().heapUsed
+    const cpuBefore = process.cpuUsage()
+    const startTime = performance.now()
+
+    await this.run(fn, iterations)
+
+    const executionTime = performance.now() - startTime
+    const cpu = process.cpuUsage(cpuBefore)
+    const heapAfter = process.memoryUsage().heapUsed
+
+    const cpuTimeMs = (cpu.user + cpu.system) / 1000
+    // Same units as the monitored analyzer: percent of one core and MB in use
+    const avgCpuUsage = executionTime > 0 ? (cpuTimeMs / executionTime) * 100 : 0
+    const avgMemoryUsage = (heapBefore + heapAfter) / 2 / (1024 * 1024)
+
+    const energyInput = { avgCpuUsage, avgMemoryUsage, executionTime }
+    const energyBreakdown = typeof this.energyCalculator.calculateBreakdown === 'function'
+      ? this.energyCalculator.calculateBreakdown(energyInput)
+      : null
+    const energyKwh = energyBreakdown ? energyBreakdown.totalKwh : this.energyCalculator.calculate(energyInput)
+    const co2Grams = this.co2Calculator.calculate(energyKwh)
+
+    return {
+      name,
+      iterations,
+      warmup,
+      executionTime,
+      cpuTimeMs,
+      avgCpuUsage,
+      avgMemoryUsage,
+      heapDeltaBytes: heapAfter - heapBefore,
+      energyKwh,
+      co2Grams,
+      energyBreakdown,
+      timePerOpMs: executionTime / iterations,
+      opsPerSecond: executionTime > 0 ? iterations / (executionTime / 1000) : Infinity,
+      energyPerOpKwh: energyKwh / iterations,
+      co2PerOpGrams: co2Grams / iterations
+    }
+  }
+
+  /**
+   * Measure several implementations and compare them
+   * @param {Object|Array<Object>} benchmarks - { name: fn } or [{ name, fn, iterations?, warmup? }]
+   * @param {Object} options - Defaults for measure() plus { print } (default true) and { log } (default console.log)
+   * @returns {Promise<Object>} { results, fastest, greenest } with results relative to the greenest
+   */
+  async suite(benchmarks, options = {}) {
+    const { print = true, log = console.log, ...measureOptions } = options
+    const cases = Array.isArray(benchmarks)
+      ? benchmarks
+      : Object.entries(benchmarks).map(([name, fn]) => ({ name, fn }))
+    if (cases.length === 0) throw new Error('suite() expects at least one benchmark')
+
+    // Sequential on purpose: concurrent runs would share the CPU time being measured
+    const measured = []
+    for (const { fn, ...caseOptions } of cases) {
+      measured.push(await this.measure(fn, { ...measureOptions, ...caseOptions }))
+    }
+
+    const greenest = measured.reduce((best, result) => (result.energyPerOpKwh < best.energyPerOpKwh ? result : best))
+    const fastest = measured.reduce((best, result) => (result.timePerOpMs < best.timePerOpMs ? result : best))
+    const results = measured.map(result => ({
+      ...result,
+      relativeEnergy: greenest.energyPerOpKwh > 0 ? result.energyPerOpKwh / greenest.energyPerOpKwh : 1
+    }))
+
+    if (print) log(this.formatTable(results))
+    return { results, fastest: fastest.name, greenest: greenest.name }
+  }
+
+  /**
+   * Render suite results as a plain-text comparison table
+   * @param {Array<Object>} results - Results from suite()
+   * @returns {string} Table, greenest first
+   */
+  formatTable(results) {
+    const header = ['Benchmark', 'ops/sec', 'Time/op', 'CPU', 'Heap Δ', 'Energy/1M ops', 'CO₂/1M ops', 'vs Greenest']
+    const rows = [...results]
+      .sort((a, b) => a.energyPerOpKwh - b.energyPerOpKwh)
+      .map(result => [
+        result.name,
+        Math.round(result.opsPerSecond).toLocaleString(),
+        formatTime(result.timePerOpMs),
+        `${result.avgCpuUsage.toFixed(0)}%`,
+        `${result.heapDeltaBytes < 0 ? '-' : ''}${formatBytes(Math.abs(result.heapDeltaBytes))}`,
+        formatEnergy(result.energyPerOpKwh * OPS_PER_REPORT),
+        formatCO2(result.co2PerOpGrams * OPS_PER_REPORT),
+        result.relativeEnergy === 1 ? '🌱 greenest' : `${result.relativeEnergy.toFixed(2)}×`
+      ])
+
+    const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)))
+    const line = (cells) => cells.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd()
+
+    return [
+      line(header),
+      widths.map(width => '─'.repeat(width)).join('  '),
+      ...rows.map(line)
+    ].join('\n')
+  }
+
+  async run(fn, count) {
+    for (let i = 0; i < count; i++) {
+      const result = fn()
+      // Only async functions pay for an await
+      if (result && typeof result.then === 'function') await result
+    }
+  }
+}
+
+function formatTime(ms) {
+  if (ms < 0.001) return `${(ms * 1000000).toFixed(0)}ns`
+  if (ms < 1) return `${(ms * 1000).toFixed(2)}µs`
+  return `${ms.toFixed(2)}ms`
+}
+
+/**
+ * Measure a function with a default-configured MicroBenchmark
+ * @param {Function} fn - Function to benchmark
+ * @param {Object} options - measure() options plus AnalyzerConfig options
+ * @returns {Promise<Object>} Measurement
+ */
+export function measure(fn, options = {}) {
+  return new MicroBenchmark(options).measure(fn, options)
+}
+
+/**
+ * Compare functions with a default-configured MicroBenchmark
+ * @param {Object|Array<Object>} benchmarks - { name: fn } or [{ name, fn }]
+ * @param {Object} options - suite() options plus AnalyzerConfig options
+ * @returns {Promise<Object>} Suite results
+ */
+export function suite(benchmarks, options = {}) {
+  return new MicroBenchmark(options).suite(benchmarks, options)
+}
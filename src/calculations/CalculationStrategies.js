@@ -1,14 +1,23 @@
 import { ICalculationStrategy, EcoScore } from '../core/interfaces/Types.js'
+import { resolveMachineProfile, interpolatePower } from './MachineProfiles.js'
+import { resolveCloudInstance } from './CloudCatalog.js'
 
 /**
  * Energy consumption calculation strategy
  * Implements Single Responsibility Principle - only handles energy calculations
+ * CPU and memory power come from a machine profile (see MachineProfiles.js); explicit
+ * linear coefficients (kW per 1% CPU, kW per MB) replace the profile when given
  */
 export class EnergyCalculationStrategy extends ICalculationStrategy {
   constructor(config) {
     super()
-    this.cpuPowerCoefficient = config.cpuPowerCoefficient
-    this.memoryPowerCoefficient = config.memoryPowerCoefficient
+    this.cpuPowerCoefficient = config.cpuPowerCoefficient ?? null
+    this.memoryPowerCoefficient = config.memoryPowerCoefficient ?? null
+    this.storageEnergyCoefficient = config.storageEnergyCoefficient || 0
+    this.networkEnergyCoefficient = config.networkEnergyCoefficient || 0
+    this.machineProfile = this.cpuPowerCoefficient !== null && this.memoryPowerCoefficient !== null
+      ? null
+      : resolveMachineProfile(config.machine)
   }
 
   /**
@@ -17,13 +26,70 @@ export class EnergyCalculationStrategy extends ICalculationStrategy {
    * @returns {number} Energy consumption in kWh
    */
   calculate(data) {
-    const { avgCpuUsage, avgMemoryUsage, executionTime } = data
+    return this.calculateBreakdown(data).totalKwh
+  }
+
+  /**
+   * Calculate energy consumption split by resource
+   * @param {Object} data - Performance data with CPU, memory and optional I/O byte counts
+   * @param {Array<number>} data.cpuSamples - Optional monitored CPU % over time; the power
+   *   curve is not linear, so bursts cost more than their average suggests
+   * @returns {Object} cpuKwh, memoryKwh, storageKwh, networkKwh and totalKwh
+   */
+  calculateBreakdown(data) {
+    const { avgCpuUsage, avgMemoryUsage, executionTime, diskBytes = 0, networkBytes = 0, cpuSamples } = data
     const executionTimeHours = executionTime / (1000 * 60 * 60)
+    const bytesPerGB = 1024 * 1024 * 1024
     
-    const cpuEnergyKwh = (avgCpuUsage * this.cpuPowerCoefficient) * executionTimeHours
-    const memoryEnergyKwh = (avgMemoryUsage * this.memoryPowerCoefficient) * executionTimeHours
+    const cpuKwh = (this.calculateCpuWatts(avgCpuUsage, cpuSamples) / 1000) * executionTimeHours
+    const memoryKwh = (this.calculateMemoryWatts(avgMemoryUsage) / 1000) * executionTimeHours
+    // Data movement is charged per GB, independent of run time
+    const storageKwh = (diskBytes / bytesPerGB) * this.storageEnergyCoefficient
+    const networkKwh = (networkBytes / bytesPerGB) * this.networkEnergyCoefficient
     
-    return cpuEnergyKwh + memoryEnergyKwh
+    return {
+      cpuKwh,
+      memoryKwh,
+      storageKwh,
+      networkKwh,
+      totalKwh: cpuKwh + memoryKwh + storageKwh + networkKwh
+    }
+  }
+
+  /**
+   * Average CPU power attributed to a process
+   * The process is charged the idle power of the share of cores it kept busy plus the
+   * curve's power above idle at its utilization, so a process using every core is charged
+   * the machine's full power
+   * @param {number} avgCpuUsage - Average CPU % (100 = one core)
+   * @param {Array<number>} cpuSamples - Optional CPU % samples, rescaled to the average
+   * @returns {number} Watts
+   */
+  calculateCpuWatts(avgCpuUsage, cpuSamples) {
+    if (this.cpuPowerCoefficient !== null) return avgCpuUsage * this.cpuPowerCoefficient * 1000
+
+    const profile = this.machineProfile
+    const watts = (cpuPercent) => {
+      const utilization = Math.min(1, cpuPercent / (100 * profile.cores))
+      return profile.idleWatts * utilization + interpolatePower(profile, utilization) - profile.idleWatts
+    }
+    if (!cpuSamples || cpuSamples.length === 0) return watts(avgCpuUsage)
+
+    // Samples give the shape, the average (exact with cgroup accounting) the level
+    const sampleMean = cpuSamples.reduce((sum, cpu) => sum + cpu, 0) / cpuSamples.length
+    if (sampleMean <= 0) return watts(avgCpuUsage)
+    const scale = avgCpuUsage / sampleMean
+    return cpuSamples.reduce((sum, cpu) => sum + watts(cpu * scale), 0) / cpuSamples.length
+  }
+
+  /**
+   * Average memory power attributed to a process
+   * @param {number} avgMemoryUsage - Average memory in MB
+   * @returns {number} Watts
+   */
+  calculateMemoryWatts(avgMemoryUsage) {
+    if (this.memoryPowerCoefficient !== null) return avgMemoryUsage * this.memoryPowerCoefficient * 1000
+    return (avgMemoryUsage / 1024) * this.machineProfile.dramWattsPerGB
   }
 }
 
@@ -202,3 +268,976 @@ export class ScalingCalculationStrategy extends ICalculationStrategy {
     ]
   }
 }
+
+/**
+ * Runtime diagnosis calculation strategy
+ * Summarizes in-process telemetry and explains what kept the CPU busy
+ */
+export class RuntimeDiagnosisCalculationStrategy extends ICalculationStrategy {
+  constructor(thresholds = {}) {
+    super()
+    this.gcShareThreshold = thresholds.gcShare ?? 0.1 // 10% of wall time in GC pauses
+    this.blockedDelayThresholdMs = thresholds.blockedDelayMs ?? 100
+    this.busyUtilizationThreshold = thresholds.busyUtilization ?? 0.8
+    this.idleUtilizationThreshold = thresholds.idleUtilization ?? 0.3
+  }
+
+  /**
+   * Summarize telemetry samples and derive a diagnosis
+   * @param {Object} data - { samples, executionTime } with samples carrying timeSeconds
+   * @returns {Object|null} Runtime summary, or null without samples
+   */
+  calculate(data) {
+    const { samples, executionTime } = data
+    if (!samples || samples.length === 0) return null
+
+    let weightedUtilization = 0
+    let coveredSeconds = 0
+    let previousTime = 0
+    const gcByKind = {}
+
+    for (const sample of samples) {
+      // Each sample describes the window since the previous one
+      const window = Math.max(0, sample.timeSeconds - previousTime)
+      weightedUtilization += sample.eventLoopUtilization * window
+      coveredSeconds += window
+      previousTime = sample.timeSeconds
+
+      for (const [kind, pauseMs] of Object.entries(sample.gc.byKind)) {
+        gcByKind[kind] = (gcByKind[kind] || 0) + pauseMs
+      }
+    }
+
+    const gcPauseMs = samples.reduce((sum, sample) => sum + sample.gc.pauseMs, 0)
+    const summary = {
+      avgEventLoopUtilization: coveredSeconds > 0 ? weightedUtilization / coveredSeconds : 0,
+      p99EventLoopDelayMs: Math.max(...samples.map(sample => sample.eventLoopDelay.p99Ms)),
+      maxEventLoopDelayMs: Math.max(...samples.map(sample => sample.eventLoopDelay.maxMs)),
+      gcCount: samples.reduce((sum, sample) => sum + sample.gc.count, 0),
+      gcPauseMs,
+      gcShare: executionTime > 0 ? gcPauseMs / executionTime : 0,
+      gcByKind,
+      peakHeapUsedMB: Math.max(...samples.map(sample => sample.heapUsedMB)),
+      cpuTimeMs: samples.reduce((sum, sample) => sum + sample.cpuUserMs + sample.cpuSystemMs, 0)
+    }
+
+    summary.findings = this.getFindings(summary)
+    summary.diagnosis = summary.findings[0]
+    return summary
+  }
+
+  getFindings(summary) {
+    const findings = []
+
+    if (summary.gcShare >= this.gcShareThreshold) {
+      findings.push({
+        key: 'gc-pressure',
+        label: 'GC storm',
+        description: `${(summary.gcShare * 100).toFixed(1)}% of the run was spent in garbage collection pauses. Reduce short-lived allocations or reuse buffers.`
+      })
+    }
+
+    if (summary.maxEventLoopDelayMs >= this.blockedDelayThresholdMs) {
+      findings.push({
+        key: 'blocked-event-loop',
+        label: 'Blocked event loop',
+        description: `The event loop stalled for up to ${summary.maxEventLoopDelayMs.toFixed(0)}ms. Long synchronous work delays timers and I/O.`
+      })
+    }
+
+    if (summary.avgEventLoopUtilization >= this.busyUtilizationThreshold) {
+      findings.push({
+        key: 'cpu-bound',
+        label: 'Hot loop',
+        description: `The event loop was busy ${(summary.avgEventLoopUtilization * 100).toFixed(0)}% of the time running JavaScript. Look for hot loops and algorithmic cost.`
+      })
+    }
+
+    if (summary.avgEventLoopUtilization < this.idleUtilizationThreshold) {
+      findings.push({
+        key: 'io-wait',
+        label: 'Mostly waiting',
+        description: 'The event loop was idle most of the time, waiting on timers or I/O rather than burning CPU.'
+      })
+    }
+
+    if (findings.length === 0) {
+      findings.push({
+        key: 'balanced',
+        label: 'Balanced',
+        description: 'No dominant cause: CPU time is split between JavaScript, GC and waiting.'
+      })
+    }
+
+    return findings
+  }
+}
+
+/**
+ * Function energy attribution strategy
+ * Distributes CPU energy across functions and files by their share of sampled CPU time
+ */
+export class FunctionEnergyCalculationStrategy extends ICalculationStrategy {
+  constructor(options = {}) {
+    super()
+    this.maxFunctions = options.maxFunctions ?? 25
+    this.maxFiles = options.maxFiles ?? 10
+  }
+
+  /**
+   * Attribute energy to profiled functions
+   * @param {Object} data - { profile, energyKwh, co2Grams } with profile from summarizeCpuProfiles()
+   * @returns {Object|null} Top functions and files with energy, or null without active samples
+   */
+  calculate(data) {
+    const { profile, energyKwh, co2Grams } = data
+    if (!profile || profile.activeMs <= 0) return null
+
+    // Idle time burns no CPU, so only active samples share the energy
+    const attribute = (timeMs) => {
+      const share = timeMs / profile.activeMs
+      return { share, energyKwh: energyKwh * share, co2Grams: co2Grams * share }
+    }
+
+    const functions = profile.functions.slice(0, this.maxFunctions).map(fn => {
+      const self = attribute(fn.selfTimeMs)
+      const total = attribute(fn.totalTimeMs)
+      return {
+        ...fn,
+        selfShare: self.share,
+        selfEnergyKwh: self.energyKwh,
+        selfCo2Grams: self.co2Grams,
+        totalShare: total.share,
+        totalEnergyKwh: total.energyKwh,
+        totalCo2Grams: total.co2Grams
+      }
+    })
+
+    const selfTimeByFile = new Map()
+    for (const fn of profile.functions) {
+      if (!fn.url) continue
+      selfTimeByFile.set(fn.url, (selfTimeByFile.get(fn.url) || 0) + fn.selfTimeMs)
+    }
+
+    const files = [...selfTimeByFile.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, this.maxFiles)
+      .map(([url, selfTimeMs]) => ({ url, selfTimeMs, ...attribute(selfTimeMs) }))
+
+    return {
+      sampledMs: profile.sampledMs,
+      activeMs: profile.activeMs,
+      idleMs: profile.idleMs,
+      energyKwh,
+      co2Grams,
+      functions,
+      files
+    }
+  }
+}
+
+/**
+ * Flame graph calculation strategy
+ * Converts a weighted call tree into energy and CO₂ per frame and prunes negligible frames
+ */
+export class FlameGraphCalculationStrategy extends ICalculationStrategy {
+  constructor(options = {}) {
+    super()
+    this.minShare = options.minShare ?? 0.001 // frames below 0.1% of time and energy are dropped
+  }
+
+  /**
+   * Attribute energy to call tree frames by weight
+   * @param {Object} data - { callTree, energyKwh, co2Grams } with callTree from buildCallTree()
+   * @returns {Object|null} { timeMs, energyKwh, co2Grams, root }, or null for an empty tree
+   */
+  calculate(data) {
+    const { callTree, energyKwh, co2Grams } = data
+    if (!callTree || callTree.timeMs <= 0 || callTree.weight <= 0) return null
+
+    const convert = (node) => {
+      const share = node.weight / callTree.weight
+      return {
+        name: node.name,
+        url: node.url,
+        lineNumber: node.lineNumber,
+        timeMs: node.timeMs,
+        selfTimeMs: node.selfTimeMs,
+        energyKwh: energyKwh * share,
+        co2Grams: co2Grams * share,
+        children: node.children
+          .filter(child => child.timeMs / callTree.timeMs >= this.minShare ||
+            child.weight / callTree.weight >= this.minShare)
+          .map(convert)
+      }
+    }
+
+    return {
+      timeMs: callTree.timeMs,
+      energyKwh,
+      co2Grams,
+      root: convert(callTree)
+    }
+  }
+}
+
+/**
+ * Allocation energy attribution strategy
+ * Distributes memory energy across call sites by their share of sampled bytes allocated
+ * and flags functions that allocate a large share of all memory
+ */
+export class AllocationEnergyCalculationStrategy extends ICalculationStrategy {
+  constructor(options = {}) {
+    super()
+    this.maxSites = options.maxSites ?? 25
+    this.heavyShare = options.heavyShare ?? 0.1 // 10% of all allocations, inclusive of callees
+  }
+
+  /**
+   * Attribute memory energy to allocation sites
+   * @param {Object} data - { profile, energyKwh, co2Grams } with profile from summarizeHeapProfiles()
+   * @returns {Object|null} Top allocation sites and heavy allocators, or null without allocations
+   */
+  calculate(data) {
+    const { profile, energyKwh, co2Grams } = data
+    if (!profile || profile.totalBytes <= 0) return null
+
+    const sites = profile.sites.map(site => {
+      const selfShare = site.selfBytes / profile.totalBytes
+      const totalShare = site.totalBytes / profile.totalBytes
+      return {
+        ...site,
+        selfShare,
+        totalShare,
+        energyKwh: energyKwh * selfShare,
+        co2Grams: co2Grams * selfShare,
+        heavy: totalShare >= this.heavyShare
+      }
+    })
+
+    // Only functions with a source location are actionable
+    const heavyFunctions = sites
+      .filter(site => site.heavy && site.url && !site.url.startsWith('node:'))
+      .sort((a, b) => b.totalBytes - a.totalBytes)
+
+    return {
+      totalBytes: profile.totalBytes,
+      energyKwh,
+      co2Grams,
+      sites: sites.slice(0, this.maxSites),
+      heavyFunctions
+    }
+  }
+}
+
+/**
+ * Continuous rate calculation strategy
+ * Turns energy observed over a monitoring window into rates and 24/7 projections
+ * for long-running processes
+ */
+export class ContinuousRateCalculationStrategy extends ICalculationStrategy {
+  /**
+   * Calculate per-minute/per-hour rates and running-time projections
+   * @param {Object} data - { energyKwh, co2Grams, durationMs } for the observed window
+   * @returns {Object|null} Rates and projections, or null for an empty window
+   */
+  calculate(data) {
+    const { energyKwh, co2Grams, durationMs } = data
+    if (!durationMs || durationMs <= 0) return null
+
+    const minute = 60 * 1000
+    const hour = 60 * minute
+    const day = 24 * hour
+    const over = (periodMs) => ({
+      energyKwh: energyKwh / durationMs * periodMs,
+      co2Grams: co2Grams / durationMs * periodMs
+    })
+
+    return {
+      durationMs,
+      perMinute: over(minute),
+      perHour: over(hour),
+      projections: [
+        { icon: '📅', label: 'Per Day (24/7)', periodMs: day, ...over(day) },
+        { icon: '🗓️', label: 'Per Month (30 days)', periodMs: 30 * day, ...over(30 * day) },
+        { icon: '🌍', label: 'Per Year', periodMs: 365 * day, ...over(365 * day) }
+      ]
+    }
+  }
+}
+
+/**
+ * Phase energy calculation strategy
+ * Splits a run into the phases marked by the script and attributes energy to each:
+ * CPU and memory energy follow the monitored usage during the phase, storage and
+ * network energy (only known as totals) follow the phase duration
+ */
+export class PhaseEnergyCalculationStrategy extends ICalculationStrategy {
+  /**
+   * Calculate per-phase energy, CO₂ and peak resources
+   * @param {Object} data - { markers, timeline, durationSeconds, energyKwh, co2Grams, energyBreakdown }
+   * @returns {Object|null} { phases, summary }, or null when the script marked no phases
+   */
+  calculate(data) {
+    const { markers, timeline, durationSeconds, energyKwh, co2Grams, energyBreakdown } = data
+    if (!markers || markers.length === 0 || durationSeconds <= 0) return null
+
+    const phases = this.buildPhases(markers, durationSeconds)
+    if (phases.length === 0) return null
+
+    const segments = this.buildSegments(timeline, durationSeconds)
+    const usage = (start, end) => this.measureUsage(segments, start, end)
+    const total = usage(0, durationSeconds)
+
+    // Without a breakdown all energy follows CPU usage
+    const cpuKwh = energyBreakdown ? energyBreakdown.cpuKwh : energyKwh
+    const memoryKwh = energyBreakdown ? energyBreakdown.memoryKwh : 0
+    const otherKwh = Math.max(0, energyKwh - cpuKwh - memoryKwh)
+    const shareOf = (part, whole, fallback) => (whole > 0 ? part / whole : fallback)
+
+    const rows = new Map()
+    const addRow = (name, intervals, unmarked = false) => {
+      const row = rows.get(name) || {
+        name,
+        unmarked,
+        occurrences: 0,
+        durationSeconds: 0,
+        cpuPercentSeconds: 0,
+        memoryMBSeconds: 0,
+        peakCpuUsage: 0,
+        peakMemoryUsage: 0
+      }
+      for (const [start, end] of intervals) {
+        const measured = usage(start, end)
+        row.occurrences++
+        row.durationSeconds += end - start
+        row.cpuPercentSeconds += measured.cpuPercentSeconds
+        row.memoryMBSeconds += measured.memoryMBSeconds
+        row.peakCpuUsage = Math.max(row.peakCpuUsage, measured.peakCpuUsage)
+        row.peakMemoryUsage = Math.max(row.peakMemoryUsage, measured.peakMemoryUsage)
+      }
+      rows.set(name, row)
+    }
+
+    for (const phase of phases) addRow(phase.name, [[phase.startSeconds, phase.endSeconds]])
+    const gaps = this.findGaps(phases, durationSeconds)
+    if (gaps.length > 0) addRow('(unmarked)', gaps, true)
+
+    const summary = [...rows.values()].map(row => {
+      const timeShare = row.durationSeconds / durationSeconds
+      const rowKwh =
+        cpuKwh * shareOf(row.cpuPercentSeconds, total.cpuPercentSeconds, timeShare) +
+        memoryKwh * shareOf(row.memoryMBSeconds, total.memoryMBSeconds, timeShare) +
+        otherKwh * timeShare
+
+      return {
+        name: row.name,
+        unmarked: row.unmarked,
+        occurrences: row.occurrences,
+        durationMs: row.durationSeconds * 1000,
+        timeShare,
+        avgCpuUsage: row.durationSeconds > 0 ? row.cpuPercentSeconds / row.durationSeconds : 0,
+        peakCpuUsage: row.peakCpuUsage,
+        peakMemoryUsage: row.peakMemoryUsage,
+        energyKwh: rowKwh,
+        co2Grams: co2Grams * shareOf(rowKwh, energyKwh, 0),
+        energyShare: shareOf(rowKwh, energyKwh, 0)
+      }
+    })
+
+    return { phases, summary }
+  }
+
+  /**
+   * Turn start/end markers into phase intervals
+   * A phase lasts until the next marker, or until the process ended
+   * @param {Array<Object>} markers - { event, name, timeSeconds }
+   * @param {number} durationSeconds - Run duration
+   * @returns {Array<Object>} { name, startSeconds, endSeconds }
+   */
+  buildPhases(markers, durationSeconds) {
+    const clamp = (seconds) => Math.min(durationSeconds, Math.max(0, seconds))
+    const phases = []
+    let current = null
+
+    for (const marker of [...markers].sort((a, b) => a.timeSeconds - b.timeSeconds)) {
+      if (current) {
+        phases.push({ ...current, endSeconds: clamp(marker.timeSeconds) })
+        current = null
+      }
+      if (marker.event === 'start') {
+        current = { name: marker.name, startSeconds: clamp(marker.timeSeconds) }
+      }
+    }
+    if (current) phases.push({ ...current, endSeconds: durationSeconds })
+
+    return phases
+  }
+
+  /**
+   * Time ranges not covered by any phase
+   * @param {Array<Object>} phases - Phases in time order
+   * @param {number} durationSeconds - Run duration
+   * @returns {Array<Array<number>>} [start, end] pairs
+   */
+  findGaps(phases, durationSeconds) {
+    const gaps = []
+    let covered = 0
+    for (const phase of phases) {
+      if (phase.startSeconds > covered) gaps.push([covered, phase.startSeconds])
+      covered = Math.max(covered, phase.endSeconds)
+    }
+    if (covered < durationSeconds) gaps.push([covered, durationSeconds])
+    return gaps
+  }
+
+  /**
+   * Each monitoring sample stands for the time until the next sample
+   * @param {Array<TimelinePoint>} timeline - Monitoring timeline
+   * @param {number} durationSeconds - Run duration
+   * @returns {Array<Object>} { start, end, cpu, memoryMB }
+   */
+  buildSegments(timeline, durationSeconds) {
+    return timeline.map((point, index) => ({
+      start: index === 0 ? 0 : point.timeSeconds,
+      end: index + 1 < timeline.length ? timeline[index + 1].timeSeconds : Math.max(point.timeSeconds, durationSeconds),
+      cpu: point.cpu,
+      memoryMB: point.memoryMB
+    }))
+  }
+
+  /**
+   * Integrate CPU and memory usage over a time range
+   * @param {Array<Object>} segments - Timeline segments
+   * @param {number} start - Range start in seconds
+   * @param {number} end - Range end in seconds
+   * @returns {Object} { cpuPercentSeconds, memoryMBSeconds, peakCpuUsage, peakMemoryUsage }
+   */
+  measureUsage(segments, start, end) {
+    const usage = { cpuPercentSeconds: 0, memoryMBSeconds: 0, peakCpuUsage: 0, peakMemoryUsage: 0 }
+    for (const segment of segments) {
+      const overlap = Math.min(end, segment.end) - Math.max(start, segment.start)
+      // Zero-length phases still report the sample they fall in
+      if (overlap < 0 || (overlap === 0 && !(segment.start <= start && start < segment.end))) continue
+      usage.cpuPercentSeconds += segment.cpu * overlap
+      usage.memoryMBSeconds += segment.memoryMB * overlap
+      usage.peakCpuUsage = Math.max(usage.peakCpuUsage, segment.cpu)
+      usage.peakMemoryUsage = Math.max(usage.peakMemoryUsage, segment.memoryMB)
+    }
+    return usage
+  }
+}
+
+/**
+ * Test energy calculation strategy
+ * Turns per-test CPU time from the node:test preload into energy and CO₂ per test,
+ * suite and test file, using the same energy model as the analyzer
+ */
+export class TestEnergyCalculationStrategy extends ICalculationStrategy {
+  constructor(config, options = {}) {
+    super()
+    this.energyCalculator = new EnergyCalculationStrategy(config)
+    this.co2Calculator = new CO2CalculationStrategy(config.emissionFactor)
+    this.maxTests = options.maxTests ?? 50
+  }
+
+  /**
+   * Calculate energy per test, suite and file
+   * @param {Object} data - { tests, files }
+   * @param {Array<Object>} data.tests - { id, parentId, name, type ('test'|'suite'), file, status, durationMs, cpuMs, heapUsedMB }
+   * @param {Array<Object>} data.files - { file, cpuMs, durationMs } for whole test file processes
+   * @returns {Object|null} { totals, tests, suites, files } ranked by energy, or null without tests;
+   *   each test's and suite's share is of totals.energyKwh
+   */
+  calculate(data) {
+    const { tests = [], files = [] } = data
+    if (tests.length === 0) return null
+
+    // Suites have no hooks of their own; they cost what their children cost
+    const childrenByParent = new Map()
+    for (const test of tests) {
+      if (!childrenByParent.has(test.parentId)) childrenByParent.set(test.parentId, [])
+      childrenByParent.get(test.parentId).push(test)
+    }
+    const cpuOf = (test) => {
+      if (test.type !== 'suite') return test.cpuMs || 0
+      return (childrenByParent.get(test.id) || []).reduce((sum, child) => sum + cpuOf(child), 0)
+    }
+
+    const entries = tests.map(test => {
+      const cpuMs = cpuOf(test)
+      return { ...test, cpuMs, ...this.estimate(cpuMs, test.durationMs, test.heapUsedMB || 0) }
+    })
+
+    const topLevel = entries.filter(entry => !entries.some(other => other.id === entry.parentId))
+    const testCpuByFile = new Map()
+    for (const entry of topLevel) {
+      testCpuByFile.set(entry.file, (testCpuByFile.get(entry.file) || 0) + entry.cpuMs)
+    }
+
+    const fileEntries = files.map(file => {
+      const testCpuMs = testCpuByFile.get(file.file) || 0
+      return {
+        ...file,
+        testCpuMs,
+        // Module loading, hooks and teardown outside any test
+        overheadCpuMs: Math.max(0, file.cpuMs - testCpuMs),
+        ...this.estimate(file.cpuMs, file.durationMs, 0)
+      }
+    })
+
+    const byEnergy = (a, b) => b.energyKwh - a.energyKwh
+    const totalTestEnergyKwh = topLevel.reduce((sum, entry) => sum + entry.energyKwh, 0)
+
+    const totals = fileEntries.length > 0
+      ? fileEntries.reduce((sum, file) => ({
+        cpuMs: sum.cpuMs + file.cpuMs,
+        energyKwh: sum.energyKwh + file.energyKwh,
+        co2Grams: sum.co2Grams + file.co2Grams
+      }), { cpuMs: 0, energyKwh: 0, co2Grams: 0 })
+      : {
+        cpuMs: topLevel.reduce((sum, entry) => sum + entry.cpuMs, 0),
+        energyKwh: totalTestEnergyKwh,
+        co2Grams: topLevel.reduce((sum, entry) => sum + entry.co2Grams, 0)
+      }
+
+    // Shares are of the reported total, so with whole-file figures the tests add up to less
+    // than 100% and the rest is loading, hooks and teardown
+    const withShare = (entry) => ({
+      ...entry,
+      share: totals.energyKwh > 0 ? entry.energyKwh / totals.energyKwh : 0
+    })
+
+    const testsOnly = entries.filter(entry => entry.type !== 'suite')
+    return {
+      totals: {
+        ...totals,
+        testEnergyKwh: totalTestEnergyKwh,
+        testCount: testsOnly.length,
+        failedCount: testsOnly.filter(entry => entry.status === 'fail').length,
+        suiteCount: entries.length - testsOnly.length,
+        fileCount: fileEntries.length
+      },
+      tests: testsOnly.sort(byEnergy).slice(0, this.maxTests).map(withShare),
+      suites: entries.filter(entry => entry.type === 'suite').sort(byEnergy).map(withShare),
+      files: fileEntries.sort(byEnergy)
+    }
+  }
+
+  /**
+   * Estimate energy from CPU time spent over a wall-clock duration
+   * @param {number} cpuMs - CPU time in milliseconds
+   * @param {number} durationMs - Wall-clock duration in milliseconds
+   * @param {number} memoryMB - Memory in use
+   * @returns {Object} { avgCpuUsage, energyKwh, co2Grams }
+   */
+  estimate(cpuMs, durationMs, memoryMB) {
+    // CPU time can outlast a very short wall-clock measurement; never divide by less than it
+    const executionTime = Math.max(durationMs || 0, cpuMs)
+    const avgCpuUsage = executionTime > 0 ? (cpuMs / executionTime) * 100 : 0
+    const energyKwh = this.energyCalculator.calculate({ avgCpuUsage, avgMemoryUsage: memoryMB, executionTime })
+    return { avgCpuUsage, energyKwh, co2Grams: this.co2Calculator.calculate(energyKwh) }
+  }
+}
+
+/**
+ * Load energy calculation strategy
+ * Relates the energy a server used while under load to the requests it answered:
+ * energy and CO₂ per request and per 1K requests, throughput and latency percentiles
+ */
+export class LoadEnergyCalculationStrategy extends ICalculationStrategy {
+  constructor(options = {}) {
+    super()
+    this.percentiles = options.percentiles || [50, 90, 95, 99]
+    this.bucketSeconds = options.bucketSeconds || 1
+  }
+
+  /**
+   * Calculate per-request energy and load statistics
+   * @param {Object} data - { load, window }
+   * @param {Object} data.load - LoadGenerator result plus { startSeconds, endSeconds } since process start
+   * @param {Object} data.window - Energy, CO₂ and CPU of the server during the load window
+   * @returns {Object|null} Load statistics, or null without load
+   */
+  calculate(data) {
+    const { load, window } = data
+    if (!load) return null
+
+    const answered = load.samples.filter(sample => sample.status !== null)
+    const failed = load.samples.length - answered.length
+    const successful = answered.filter(sample => sample.status < 400).length
+    const durationSeconds = Math.max(0.001, load.endSeconds - load.startSeconds)
+    // Error responses cost the server work too, so every answered request counts
+    const perRequest = (value) => (answered.length > 0 ? value / answered.length : null)
+
+    return {
+      settings: load.settings,
+      startSeconds: load.startSeconds,
+      endSeconds: load.endSeconds,
+      durationMs: durationSeconds * 1000,
+      requests: {
+        sent: load.samples.length,
+        answered: answered.length,
+        successful,
+        httpErrors: answered.length - successful,
+        failed,
+        skipped: load.skipped
+      },
+      statusCodes: load.statusCodes,
+      errors: load.errors,
+      throughput: answered.length / durationSeconds,
+      latency: this.describeLatency(answered.map(sample => sample.latencyMs)),
+      window,
+      perRequest: {
+        energyKwh: perRequest(window.energyKwh),
+        co2Grams: perRequest(window.co2Grams)
+      },
+      per1kRequests: {
+        energyKwh: answered.length > 0 ? perRequest(window.energyKwh) * 1000 : null,
+        co2Grams: answered.length > 0 ? perRequest(window.co2Grams) * 1000 : null
+      },
+      timeline: this.buildTimeline(load)
+    }
+  }
+
+  /**
+   * Latency summary with nearest-rank percentiles
+   * @param {Array<number>} latencies - Latencies in milliseconds
+   * @returns {Object|null} { min, mean, max, percentiles: { p50, ... } }
+   */
+  describeLatency(latencies) {
+    if (latencies.length === 0) return null
+    const sorted = [...latencies].sort((a, b) => a - b)
+    const percentiles = {}
+    for (const p of this.percentiles) {
+      percentiles[`p${p}`] = sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)]
+    }
+    return {
+      min: sorted[0],
+      mean: sorted.reduce((sum, value) => sum + value, 0) / sorted.length,
+      max: sorted[sorted.length - 1],
+      percentiles
+    }
+  }
+
+  /**
+   * Throughput and latency per time bucket, on the process timeline
+   * @param {Object} load - Load result with startSeconds
+   * @returns {Array<Object>} { timeSeconds, requests, failed, p50, p95 }
+   */
+  buildTimeline(load) {
+    const buckets = new Map()
+    for (const sample of load.samples) {
+      const index = Math.floor(sample.offsetMs / 1000 / this.bucketSeconds)
+      if (!buckets.has(index)) buckets.set(index, [])
+      buckets.get(index).push(sample)
+    }
+
+    return [...buckets.entries()]
+      .sort((a, b) => a[0] - b[0])
+      .map(([index, samples]) => {
+        const latencies = samples.filter(sample => sample.status !== null).map(sample => sample.latencyMs)
+        const described = this.describeLatency(latencies)
+        return {
+          timeSeconds: load.startSeconds + index * this.bucketSeconds,
+          requests: latencies.length / this.bucketSeconds,
+          failed: samples.length - latencies.length,
+          p50: described ? described.percentiles.p50 ?? null : null,
+          p95: described ? described.percentiles.p95 ?? null : null
+        }
+      })
+  }
+}
+
+/**
+ * Cloud projection calculation strategy
+ * Re-projects the measured CPU and memory use onto a cloud instance from the offline
+ * catalog (see CloudCatalog.js): the same CPU-seconds on the instance's vCPUs, power per
+ * vCPU of its microarchitecture and the provider's PUE. Storage and network energy do not
+ * depend on the machine and are carried over unchanged
+ */
+export class CloudProjectionCalculationStrategy extends ICalculationStrategy {
+  constructor(config) {
+    super()
+    this.instance = config.targetInstance ? resolveCloudInstance(config.targetInstance) : null
+    this.energyCalculator = this.instance ? new EnergyCalculationStrategy({ machine: this.instance.profile }) : null
+    this.co2Calculator = new CO2CalculationStrategy(config.emissionFactor)
+  }
+
+  /**
+   * Calculate energy and CO₂ of the run on the target instance
+   * @param {Object} data - { metrics, cpuSamples }
+   * @returns {Object|null} Projection next to the local estimate, or null without a target instance
+   */
+  calculate(data) {
+    if (!this.instance) return null
+
+    const { metrics, cpuSamples } = data
+    const { avgCpuUsage, avgMemoryUsage, executionTime } = metrics
+    const { id, providerName, type, vcpus, memoryGB, microarchitecture, pue } = this.instance
+
+    // More CPU than the instance has means the same work simply takes longer there
+    const stretch = Math.max(1, avgCpuUsage / (100 * vcpus))
+    const breakdown = this.energyCalculator.calculateBreakdown({
+      avgCpuUsage: avgCpuUsage / stretch,
+      avgMemoryUsage,
+      executionTime: executionTime * stretch,
+      cpuSamples: stretch > 1 ? undefined : cpuSamples
+    })
+
+    const local = metrics.energyBreakdown
+    const otherKwh = local ? local.storageKwh + local.networkKwh : 0
+    const cpuKwh = breakdown.cpuKwh * pue
+    const memoryKwh = breakdown.memoryKwh * pue
+    const energyKwh = cpuKwh + memoryKwh + otherKwh
+
+    return {
+      instance: { id, providerName, type, vcpus, memoryGB, microarchitecture, pue },
+      utilization: Math.min(1, avgCpuUsage / (100 * vcpus)),
+      executionTime: executionTime * stretch,
+      cpuSaturated: stretch > 1,
+      memoryExceeded: avgMemoryUsage / 1024 > memoryGB,
+      cpuKwh,
+      memoryKwh,
+      otherKwh,
+      energyKwh,
+      co2Grams: this.co2Calculator.calculate(energyKwh),
+      local: { energyKwh: metrics.energyKwh, co2Grams: metrics.co2Grams },
+      ratio: metrics.energyKwh > 0 ? energyKwh / metrics.energyKwh : null
+    }
+  }
+}
+
+/**
+ * Carbon schedule calculation strategy
+ * Finds the greenest time to start a job within a horizon: every full hour is a candidate
+ * start, each scored by the average forecast intensity over the job's window
+ */
+export class CarbonScheduleCalculationStrategy extends ICalculationStrategy {
+  constructor(options = {}) {
+    super()
+    this.sampleMs = options.sampleMs ?? 15 * 60 * 1000
+    this.alternatives = options.alternatives ?? 5
+  }
+
+  /**
+   * Calculate the greenest start and the CO₂ saved versus starting now
+   * @param {Object} data - { energyKwh, windowMs, horizonMs, forecast, now }
+   * @param {Object} data.forecast - { intensityAt(time) } in g CO₂/kWh, null where unknown
+   * @returns {Object|null} { now, best, savedGrams, savedShare, alternatives, timeline }, or null without a forecast for now
+   */
+  calculate(data) {
+    const { energyKwh, windowMs, horizonMs, forecast, now = Date.now() } = data
+    const hourMs = 3600000
+    const window = Math.max(windowMs, 1)
+
+    const score = (start) => {
+      // Sample the window so jobs spanning several hours see every hour they run in
+      const samples = []
+      for (let time = start; time < start + window; time += Math.min(this.sampleMs, window)) {
+        const intensity = forecast.intensityAt(time)
+        if (intensity === null) return null
+        samples.push(intensity)
+      }
+      const intensity = samples.reduce((sum, value) => sum + value, 0) / samples.length
+      return { start, end: start + window, intensity, co2Grams: energyKwh * intensity }
+    }
+
+    const current = score(now)
+    if (!current) return null
+
+    const timeline = [current]
+    for (let start = Math.ceil(now / hourMs) * hourMs; start <= now + horizonMs; start += hourMs) {
+      const candidate = score(start)
+      if (candidate) timeline.push(candidate)
+    }
+
+    const ranked = [...timeline].sort((a, b) => a.co2Grams - b.co2Grams || a.start - b.start)
+    const best = ranked[0]
+    // A typical-day profile repeats every day, so only the earliest start of each intensity is an alternative
+    const alternatives = []
+    for (const slot of ranked) {
+      if (alternatives.length === this.alternatives) break
+      if (![best, ...alternatives].some(other => Math.round(other.intensity) === Math.round(slot.intensity))) alternatives.push(slot)
+    }
+    const savedGrams = current.co2Grams - best.co2Grams
+    return {
+      energyKwh,
+      windowMs,
+      horizonMs,
+      now: current,
+      best,
+      savedGrams,
+      savedShare: current.co2Grams > 0 ? savedGrams / current.co2Grams : 0,
+      alternatives,
+      timeline
+    }
+  }
+}
+
+/**
+ * Software Carbon Intensity calculation strategy
+ * The Green Software Foundation's SCI: ((E × I) + M) per R. E is the energy used, I the grid
+ * intensity, M the hardware's embodied emissions amortized over the time and share of it the
+ * software reserved (M = TE × TS × RS) and R the number of functional units
+ */
+export class SciCalculationStrategy extends ICalculationStrategy {
+  constructor(config) {
+    super()
+    this.config = config
+  }
+
+  /**
+   * Calculate the SCI score and its terms
+   * @param {Object} data - { energyKwh, durationMs, units, embodiedKg, utilization }
+   * @param {number|null} data.units - Functional units in the measured span, null when unknown
+   * @param {number|null} data.embodiedKg - Embodied emissions of the hardware (TE), null when unknown
+   * @param {number} data.utilization - Cores used ÷ cores, the share reserved (RS) unless one is configured
+   * @returns {Object} { functionalUnit, units, score, energyKwh, intensity, operationalGrams, embodiedGrams, embodied, totalGrams }
+   */
+  calculate(data) {
+    const { energyKwh, durationMs, units, embodiedKg, utilization } = data
+    const { emissionFactor, hardwareLifespanYears } = this.config
+    // RS: a declared reservation, or else the share of the cores the software kept busy
+    const resourceShare = this.config.resourceShare ?? utilization
+
+    const operationalGrams = energyKwh * emissionFactor
+    // TS: the time reserved as a share of the hardware's expected life
+    const timeShare = durationMs / (hardwareLifespanYears * 365.25 * 86400000)
+    const embodiedGrams = embodiedKg === null ? 0 : embodiedKg * 1000 * timeShare * resourceShare
+    const totalGrams = operationalGrams + embodiedGrams
+
+    return {
+      functionalUnit: this.config.functionalUnit,
+      units,
+      score: units > 0 ? totalGrams / units : null,
+      energyKwh,
+      intensity: emissionFactor,
+      operationalGrams,
+      embodiedGrams,
+      embodied: {
+        totalKg: embodiedKg,
+        lifespanYears: hardwareLifespanYears,
+        reservedMs: durationMs,
+        timeShare,
+        resourceShare,
+        resourceShareDeclared: this.config.resourceShare !== null
+      },
+      totalGrams
+    }
+  }
+}
+
+// Two-sided 95% Student's t critical values for 1-30 degrees of freedom
+const T_CRITICAL_95 = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+  2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042
+]
+
+/**
+ * Run statistics calculation strategy
+ * Summarizes repeated runs of the same target: central tendency, spread,
+ * 95% confidence intervals and IQR-based outliers per metric
+ */
+export class RunStatisticsCalculationStrategy extends ICalculationStrategy {
+  constructor(options = {}) {
+    super()
+    this.metricKeys = options.metricKeys || [
+      'executionTime', 'energyKwh', 'co2Grams', 'avgCpuUsage', 'peakCpuUsage', 'peakMemoryUsage'
+    ]
+    // Runs outside these metrics' Tukey fences are flagged as outliers
+    this.outlierKeys = options.outlierKeys || ['executionTime', 'energyKwh']
+  }
+
+  /**
+   * Calculate per-metric statistics over repeated runs
+   * @param {Object} data - { runs: Array<PerformanceMetrics>, warmupRuns }
+   * @returns {Object|null} { runCount, warmupRuns, metrics, runs, outlierRuns, representativeRun }, or null for a single run
+   */
+  calculate(data) {
+    const { runs, warmupRuns = 0 } = data
+    if (!runs || runs.length < 2) return null
+
+    const metrics = {}
+    for (const key of this.metricKeys) {
+      metrics[key] = this.describe(runs.map(run => run[key] || 0))
+    }
+
+    const outlierRuns = [...new Set(this.outlierKeys.flatMap(key => metrics[key].outliers))]
+      .sort((a, b) => a - b)
+
+    // The run closest to the median energy is the most typical one
+    const medianEnergy = metrics.energyKwh.median
+    const distances = runs.map(run => Math.abs((run.energyKwh || 0) - medianEnergy))
+    const representativeRun = distances.indexOf(Math.min(...distances))
+
+    return {
+      runCount: runs.length,
+      warmupRuns,
+      metrics,
+      runs: runs.map((run, index) => ({
+        index,
+        ...Object.fromEntries(this.metricKeys.map(key => [key, run[key] || 0])),
+        outlier: outlierRuns.includes(index)
+      })),
+      outlierRuns,
+      representativeRun
+    }
+  }
+
+  /**
+   * Describe a sample of values
+   * @param {Array<number>} values - One value per run, in run order
+   * @returns {Object} { values, mean, median, stddev, min, max, q1, q3, ci95, outliers }
+   */
+  describe(values) {
+    const n = values.length
+    const sorted = [...values].sort((a, b) => a - b)
+    const mean = values.reduce((sum, value) => sum + value, 0) / n
+    // Sample standard deviation (n - 1)
+    const stddev = Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (n - 1))
+    const margin = this.getTCritical(n - 1) * stddev / Math.sqrt(n)
+
+    const q1 = this.quantile(sorted, 0.25)
+    const q3 = this.quantile(sorted, 0.75)
+    const iqr = q3 - q1
+    const lowerFence = q1 - 1.5 * iqr
+    const upperFence = q3 + 1.5 * iqr
+
+    return {
+      values,
+      mean,
+      median: this.quantile(sorted, 0.5),
+      stddev,
+      relativeStddev: mean !== 0 ? stddev / mean : 0,
+      min: sorted[0],
+      max: sorted[n - 1],
+      q1,
+      q3,
+      ci95: { low: mean - margin, high: mean + margin, margin },
+      outliers: values
+        .map((value, index) => (value < lowerFence || value > upperFence ? index : -1))
+        .filter(index => index >= 0)
+    }
+  }
+
+  /**
+   * Linearly interpolated quantile of sorted values
+   * @param {Array<number>} sorted - Values in ascending order
+   * @param {number} q - Quantile between 0 and 1
+   * @returns {number} Quantile value
+   */
+  quantile(sorted, q) {
+    const position = (sorted.length - 1) * q
+    const lower = Math.floor(position)
+    const upper = Math.ceil(position)
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower)
+  }
+
+  getTCritical(degreesOfFreedom) {
+    if (degreesOfFreedom <= T_CRITICAL_95.length) return T_CRITICAL_95[degreesOfFreedom - 1]
+    // Close enough to the normal distribution beyond 30 degrees of freedom
+    return 1.96
+  }
+}
@@ -0,0 +1,139 @@
+/**
+ * Offline catalog of cloud instance types
+ * Power per vCPU follows published averages for each CPU microarchitecture (SPECpower
+ * based, as used by Cloud Carbon Footprint): a vCPU draws minWatts when idle and maxWatts
+ * at full load, linearly in between. Memory draws wattsPerGB, and the provider's PUE adds
+ * data center cooling and power distribution on top
+ */
+
+const MEMORY_WATTS_PER_GB = 0.392
+
+// Idle and full-load watts per vCPU
+const MICROARCHITECTURES = {
+  haswell: { label: 'Intel Haswell', minWatts: 1.9, maxWatts: 6.01 },
+  broadwell: { label: 'Intel Broadwell', minWatts: 0.71, maxWatts: 3.69 },
+  skylake: { label: 'Intel Skylake', minWatts: 0.65, maxWatts: 4.26 },
+  'cascade-lake': { label: 'Intel Cascade Lake', minWatts: 0.64, maxWatts: 3.97 },
+  'ice-lake': { label: 'Intel Ice Lake', minWatts: 0.66, maxWatts: 3.82 },
+  'epyc-2': { label: 'AMD EPYC 2nd Gen', minWatts: 0.47, maxWatts: 1.64 },
+  'epyc-3': { label: 'AMD EPYC 3rd Gen', minWatts: 0.45, maxWatts: 2.02 },
+  graviton2: { label: 'AWS Graviton2', minWatts: 0.47, maxWatts: 1.69 },
+  graviton3: { label: 'AWS Graviton3', minWatts: 0.45, maxWatts: 1.6 },
+  'ampere-altra': { label: 'Ampere Altra', minWatts: 0.44, maxWatts: 1.58 }
+}
+
+export const CLOUD_PROVIDERS = {
+  aws: {
+    name: 'AWS',
+    pue: 1.135,
+    // [vCPUs, memory GB, microarchitecture]
+    instances: {
+      't3.micro': [2, 1, 'skylake'],
+      't3.medium': [2, 4, 'skylake'],
+      't3.large': [2, 8, 'skylake'],
+      't4g.small': [2, 2, 'graviton2'],
+      't4g.medium': [2, 4, 'graviton2'],
+      'm5.large': [2, 8, 'skylake'],
+      'm5.xlarge': [4, 16, 'skylake'],
+      'm5.2xlarge': [8, 32, 'skylake'],
+      'm6i.large': [2, 8, 'ice-lake'],
+      'm6i.xlarge': [4, 16, 'ice-lake'],
+      'm6a.large': [2, 8, 'epyc-3'],
+      'm6g.large': [2, 8, 'graviton2'],
+      'm6g.xlarge': [4, 16, 'graviton2'],
+      'm7g.large': [2, 8, 'graviton3'],
+      'c5.large': [2, 4, 'cascade-lake'],
+      'c5.xlarge': [4, 8, 'cascade-lake'],
+      'c6g.large': [2, 4, 'graviton2'],
+      'c7g.large': [2, 4, 'graviton3'],
+      'r5.large': [2, 16, 'skylake'],
+      'r6g.large': [2, 16, 'graviton2']
+    }
+  },
+  gcp: {
+    name: 'Google Cloud',
+    pue: 1.1,
+    instances: {
+      'e2-small': [2, 2, 'skylake'],
+      'e2-medium': [2, 4, 'skylake'],
+      'e2-standard-2': [2, 8, 'skylake'],
+      'e2-standard-4': [4, 16, 'skylake'],
+      'n1-standard-2': [2, 7.5, 'broadwell'],
+      'n2-standard-2': [2, 8, 'cascade-lake'],
+      'n2-standard-4': [4, 16, 'cascade-lake'],
+      'n2d-standard-2': [2, 8, 'epyc-2'],
+      'c2-standard-4': [4, 16, 'cascade-lake'],
+      't2a-standard-2': [2, 8, 'ampere-altra'],
+      't2d-standard-2': [2, 8, 'epyc-3']
+    }
+  },
+  azure: {
+    name: 'Azure',
+    pue: 1.185,
+    instances: {
+      B1s: [1, 1, 'broadwell'],
+      B2s: [2, 4, 'broadwell'],
+      D2s_v3: [2, 8, 'broadwell'],
+      D2s_v5: [2, 8, 'ice-lake'],
+      D4s_v5: [4, 16, 'ice-lake'],
+      D2as_v5: [2, 8, 'epyc-3'],
+      D2ps_v5: [2, 8, 'ampere-altra'],
+      E2s_v5: [2, 16, 'ice-lake'],
+      F2s_v2: [2, 4, 'cascade-lake'],
+      F4s_v2: [4, 8, 'cascade-lake']
+    }
+  }
+}
+
+/**
+ * All catalog entries as provider:type identifiers
+ * @returns {Array<string>} Identifiers such as aws:m5.large
+ */
+export function listCloudInstances() {
+  return Object.entries(CLOUD_PROVIDERS)
+    .flatMap(([provider, { instances }]) => Object.keys(instances).map(type => `${provider}:${type}`))
+}
+
+/**
+ * Look up an instance type
+ * The result carries a machine profile (see MachineProfiles.js) so the instance can be
+ * used with the regular energy strategy
+ * @param {string} identifier - provider:type such as aws:m5.large (type is case-insensitive)
+ * @returns {Object} { id, provider, providerName, type, vcpus, memoryGB, microarchitecture, pue, profile }
+ */
+export function resolveCloudInstance(identifier) {
+  const separator = String(identifier).indexOf(':')
+  const providerKey = separator > 0 ? identifier.slice(0, separator).toLowerCase() : null
+  const provider = CLOUD_PROVIDERS[providerKey]
+  if (!provider) {
+    throw new Error(`Invalid target instance "${identifier}", expected provider:type with provider ${Object.keys(CLOUD_PROVIDERS).join(', ')} (e.g. aws:m5.large)`)
+  }
+
+  const wanted = identifier.slice(separator + 1).toLowerCase()
+  const type = Object.keys(provider.instances).find(name => name.toLowerCase() === wanted)
+  if (!type) {
+    throw new Error(`Unknown ${provider.name} instance type "${identifier.slice(separator + 1)}" (known: ${Object.keys(provider.instances).join(', ')})`)
+  }
+
+  const [vcpus, memoryGB, microarchitecture] = provider.instances[type]
+  const cpu = MICROARCHITECTURES[microarchitecture]
+  return {
+    id: `${providerKey}:${type}`,
+    provider: providerKey,
+    providerName: provider.name,
+    type,
+    vcpus,
+    memoryGB,
+    microarchitecture: cpu.label,
+    pue: provider.pue,
+    profile: {
+      name: `${providerKey}:${type}`,
+      description: `${provider.name} ${type} (${vcpus} vCPU ${cpu.label}, ${memoryGB} GB)`,
+      idleWatts: cpu.minWatts * vcpus,
+      maxWatts: cpu.maxWatts * vcpus,
+      cores: vcpus,
+      curve: [0, 1],
+      dramWattsPerGB: MEMORY_WATTS_PER_GB
+    }
+  }
+}
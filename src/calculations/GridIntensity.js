@@ -0,0 +1,142 @@
+import fs from 'fs'
+
+/**
+ * Offline grid carbon intensity table
+ * Annual average intensity of electricity generation (g CO₂/kWh) by country (ISO code) and
+ * grid region (country-region). Bundled regions use the sourced annual figure at every hour;
+ * a custom region file may add its own relative hourly and/or monthly profiles (in the
+ * region's local time), which then scale the annual average
+ */
+
+const EMBER = 'Ember, Yearly Electricity Data'
+const EGRID = 'US EPA eGRID'
+
+export const GRID_REGIONS = {
+  AU: { name: 'Australia', intensity: 549, source: EMBER, year: 2023, timeZone: 'Australia/Sydney' },
+  'AU-NSW': { name: 'Australia, New South Wales', intensity: 680, source: 'Australian NGA Factors', year: 2023, timeZone: 'Australia/Sydney' },
+  'AU-SA': { name: 'Australia, South Australia', intensity: 230, source: 'Australian NGA Factors', year: 2023, timeZone: 'Australia/Adelaide' },
+  'AU-TAS': { name: 'Australia, Tasmania', intensity: 150, source: 'Australian NGA Factors', year: 2023, timeZone: 'Australia/Hobart' },
+  'AU-VIC': { name: 'Australia, Victoria', intensity: 790, source: 'Australian NGA Factors', year: 2023, timeZone: 'Australia/Melbourne' },
+  BR: { name: 'Brazil', intensity: 98, source: EMBER, year: 2023, timeZone: 'America/Sao_Paulo' },
+  CA: { name: 'Canada', intensity: 170, source: EMBER, year: 2023, timeZone: 'America/Toronto' },
+  'CA-AB': { name: 'Canada, Alberta', intensity: 540, source: 'Canada National Inventory Report', year: 2022, timeZone: 'America/Edmonton' },
+  'CA-ON': { name: 'Canada, Ontario', intensity: 30, source: 'Canada National Inventory Report', year: 2022, timeZone: 'America/Toronto' },
+  'CA-QC': { name: 'Canada, Quebec', intensity: 2, source: 'Canada National Inventory Report', year: 2022, timeZone: 'America/Toronto' },
+  CN: { name: 'China', intensity: 582, source: EMBER, year: 2023, timeZone: 'Asia/Shanghai' },
+  DE: { name: 'Germany', intensity: 381, source: EMBER, year: 2023, timeZone: 'Europe/Berlin' },
+  DK: { name: 'Denmark', intensity: 151, source: EMBER, year: 2023, timeZone: 'Europe/Copenhagen' },
+  ES: { name: 'Spain', intensity: 174, source: EMBER, year: 2023, timeZone: 'Europe/Madrid' },
+  FI: { name: 'Finland', intensity: 79, source: EMBER, year: 2023, timeZone: 'Europe/Helsinki' },
+  FR: { name: 'France', intensity: 56, source: EMBER, year: 2023, timeZone: 'Europe/Paris' },
+  GB: { name: 'United Kingdom', intensity: 238, source: EMBER, year: 2023, timeZone: 'Europe/London' },
+  IE: { name: 'Ireland', intensity: 282, source: EMBER, year: 2023, timeZone: 'Europe/Dublin' },
+  IN: { name: 'India', intensity: 713, source: EMBER, year: 2023, timeZone: 'Asia/Kolkata' },
+  IT: { name: 'Italy', intensity: 288, source: EMBER, year: 2023, timeZone: 'Europe/Rome' },
+  JP: { name: 'Japan', intensity: 485, source: EMBER, year: 2023, timeZone: 'Asia/Tokyo' },
+  KR: { name: 'South Korea', intensity: 436, source: EMBER, year: 2023, timeZone: 'Asia/Seoul' },
+  NL: { name: 'Netherlands', intensity: 268, source: EMBER, year: 2023, timeZone: 'Europe/Amsterdam' },
+  NO: { name: 'Norway', intensity: 30, source: EMBER, year: 2023, timeZone: 'Europe/Oslo' },
+  PL: { name: 'Poland', intensity: 662, source: EMBER, year: 2023, timeZone: 'Europe/Warsaw' },
+  SE: { name: 'Sweden', intensity: 41, source: EMBER, year: 2023, timeZone: 'Europe/Stockholm' },
+  SG: { name: 'Singapore', intensity: 470, source: EMBER, year: 2023, timeZone: 'Asia/Singapore' },
+  US: { name: 'United States', intensity: 369, source: EMBER, year: 2023, timeZone: 'America/Chicago' },
+  'US-CAMX': { name: 'US, California (WECC CAMX)', intensity: 225, source: EGRID, year: 2022, timeZone: 'America/Los_Angeles' },
+  'US-ERCT': { name: 'US, Texas (ERCOT)', intensity: 371, source: EGRID, year: 2022, timeZone: 'America/Chicago' },
+  'US-MROW': { name: 'US, Upper Midwest (MRO West)', intensity: 430, source: EGRID, year: 2022, timeZone: 'America/Chicago' },
+  'US-NEWE': { name: 'US, New England (NPCC)', intensity: 245, source: EGRID, year: 2022, timeZone: 'America/New_York' },
+  'US-NWPP': { name: 'US, Northwest (WECC NWPP)', intensity: 283, source: EGRID, year: 2022, timeZone: 'America/Los_Angeles' },
+  'US-NYUP': { name: 'US, Upstate New York (NPCC)', intensity: 105, source: EGRID, year: 2022, timeZone: 'America/New_York' },
+  'US-RFCE': { name: 'US, Mid-Atlantic (RFC East, PJM)', intensity: 300, source: EGRID, year: 2022, timeZone: 'America/New_York' },
+  'US-RFCW': { name: 'US, Ohio Valley (RFC West)', intensity: 488, source: EGRID, year: 2022, timeZone: 'America/New_York' },
+  'US-SRSO': { name: 'US, Southeast (SERC South)', intensity: 403, source: EGRID, year: 2022, timeZone: 'America/New_York' },
+  ZA: { name: 'South Africa', intensity: 709, source: EMBER, year: 2023, timeZone: 'Africa/Johannesburg' }
+}
+
+/**
+ * Scale relative factors so they average to 1
+ * @param {Array<number>|undefined} factors - Relative factors
+ * @returns {Array<number>|null} Normalized factors
+ */
+function normalizeFactors(factors) {
+  if (!factors) return null
+  const mean = factors.reduce((sum, factor) => sum + factor, 0) / factors.length
+  return factors.map(factor => factor / mean)
+}
+
+/**
+ * Local month (0-11) and hour (0-23) of a moment in a time zone
+ * @param {Date} date - Moment
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { month, hour }
+ */
+function getLocalTime(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone, month: 'numeric', hour: 'numeric', hourCycle: 'h23' })
+    .formatToParts(date)
+  const value = (type) => parseInt(parts.find(part => part.type === type).value, 10)
+  return { month: value('month') - 1, hour: value('hour') }
+}
+
+/**
+ * Resolve --region to a grid entry
+ * @param {string|Object} region - Region code such as DE or US-CAMX (case-insensitive), a JSON file or an entry object
+ * @returns {Object} { code, name, intensity, source, year, timeZone, hourly, monthly }
+ */
+export function resolveGridRegion(region) {
+  let entry
+  let code
+  if (typeof region === 'object') {
+    entry = region
+    code = region.code || region.name
+  } else if (String(region).endsWith('.json')) {
+    try {
+      entry = JSON.parse(fs.readFileSync(region, 'utf8'))
+    } catch (error) {
+      throw new Error(`Cannot load grid region ${region}: ${error.message}`)
+    }
+    code = entry.code || entry.name
+  } else {
+    code = Object.keys(GRID_REGIONS).find(key => key.toLowerCase() === String(region).toLowerCase())
+    if (!code) {
+      throw new Error(`Unknown grid region "${region}" (known: ${Object.keys(GRID_REGIONS).join(', ')}, or a .json file)`)
+    }
+    entry = GRID_REGIONS[code]
+  }
+
+  if (!(entry.intensity >= 0)) throw new Error(`Grid region ${code}: intensity must be a non-negative number (g CO₂/kWh)`)
+  if (entry.hourly && (!Array.isArray(entry.hourly) || entry.hourly.length !== 24)) throw new Error(`Grid region ${code}: hourly must list 24 factors`)
+  if (entry.monthly && (!Array.isArray(entry.monthly) || entry.monthly.length !== 12)) throw new Error(`Grid region ${code}: monthly must list 12 factors`)
+
+  return {
+    code,
+    name: entry.name || code,
+    intensity: entry.intensity,
+    source: entry.source || null,
+    year: entry.year || null,
+    timeZone: entry.timeZone || 'UTC',
+    hourly: normalizeFactors(entry.hourly),
+    monthly: normalizeFactors(entry.monthly)
+  }
+}
+
+/**
+ * Grid intensity of a region at a moment
+ * @param {Object} grid - Entry from resolveGridRegion()
+ * @param {Date} date - Moment (default: now)
+ * @returns {Object} { code, name, source, year, intensity, annualIntensity, localMonth, localHour, profiled }
+ */
+export function getIntensityAt(grid, date = new Date()) {
+  const { month, hour } = getLocalTime(date, grid.timeZone)
+  const monthFactor = grid.monthly ? grid.monthly[month] : 1
+  const hourFactor = grid.hourly ? grid.hourly[hour] : 1
+  return {
+    code: grid.code,
+    name: grid.name,
+    source: grid.source,
+    year: grid.year,
+    intensity: grid.intensity * monthFactor * hourFactor,
+    annualIntensity: grid.intensity,
+    localMonth: month,
+    localHour: hour,
+    profiled: Boolean(grid.hourly || grid.monthly)
+  }
+}
@@ -0,0 +1,201 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+/**
+ * Machine power profiles
+ * A profile describes the hardware energy is estimated for: idle and full-load power,
+ * core count, a SPECpower-style curve of power between idle and full load at 0%, 10%, …,
+ * 100% utilization, DRAM power per GB and the embodied emissions of making the hardware
+ * (kg CO₂e, rounded from manufacturer life cycle assessments; used by the SCI score)
+ */
+
+// SPECpower results for typical servers: power rises steeply at low load, then flattens
+const SERVER_CURVE = [0, 0.18, 0.31, 0.42, 0.51, 0.6, 0.68, 0.76, 0.84, 0.92, 1]
+// Client CPUs boost hard under load, so the last steps cost the most
+const CLIENT_CURVE = [0, 0.12, 0.21, 0.3, 0.39, 0.48, 0.57, 0.67, 0.77, 0.88, 1]
+const DEFAULT_DRAM_WATTS_PER_GB = 0.375
+
+export const MACHINE_PROFILES = {
+  laptop: {
+    name: 'laptop',
+    description: 'Notebook with a mobile CPU',
+    idleWatts: 4,
+    maxWatts: 45,
+    cores: 8,
+    curve: CLIENT_CURVE,
+    dramWattsPerGB: DEFAULT_DRAM_WATTS_PER_GB,
+    embodiedKg: 300
+  },
+  desktop: {
+    name: 'desktop',
+    description: 'Desktop workstation',
+    idleWatts: 25,
+    maxWatts: 150,
+    cores: 8,
+    curve: CLIENT_CURVE,
+    dramWattsPerGB: DEFAULT_DRAM_WATTS_PER_GB,
+    embodiedKg: 450
+  },
+  server: {
+    name: 'server',
+    description: 'Dual-socket x86 rack server',
+    idleWatts: 100,
+    maxWatts: 400,
+    cores: 48,
+    curve: SERVER_CURVE,
+    dramWattsPerGB: DEFAULT_DRAM_WATTS_PER_GB,
+    embodiedKg: 1300
+  },
+  'arm-server': {
+    name: 'arm-server',
+    description: 'Arm server (Graviton, Ampere Altra)',
+    idleWatts: 60,
+    maxWatts: 250,
+    cores: 64,
+    curve: SERVER_CURVE,
+    dramWattsPerGB: DEFAULT_DRAM_WATTS_PER_GB,
+    embodiedKg: 1000
+  },
+  'raspberry-pi': {
+    name: 'raspberry-pi',
+    description: 'Raspberry Pi 4',
+    idleWatts: 2.7,
+    maxWatts: 6.4,
+    cores: 4,
+    curve: CLIENT_CURVE,
+    dramWattsPerGB: 0.3,
+    embodiedKg: 10
+  }
+}
+
+// Checked in order against the CPU model; the first match picks the profile
+const MODEL_PATTERNS = [
+  { pattern: /raspberry|bcm27|bcm28/i, profile: 'raspberry-pi' },
+  { pattern: /xeon|epyc|opteron/i, profile: 'server' },
+  { pattern: /neoverse|graviton|ampere|altra/i, profile: 'arm-server' },
+  { pattern: /apple m\d|mobile|\d{4,5}(u|h|hs|hx|p)\b|core.*ultra/i, profile: 'laptop' }
+]
+
+/**
+ * Power a machine draws at a utilization, interpolated on its curve
+ * @param {Object} profile - Machine profile
+ * @param {number} utilization - Machine utilization from 0 to 1
+ * @returns {number} Watts
+ */
+export function interpolatePower(profile, utilization) {
+  const { curve, idleWatts, maxWatts } = profile
+  const position = Math.min(1, Math.max(0, utilization)) * (curve.length - 1)
+  const lower = Math.floor(position)
+  const upper = Math.min(lower + 1, curve.length - 1)
+  const fraction = curve[lower] + (curve[upper] - curve[lower]) * (position - lower)
+  return idleWatts + (maxWatts - idleWatts) * fraction
+}
+
+/**
+ * Check a profile and fill in defaults
+ * @param {Object} profile - Profile from a JSON file or the catalog
+ * @param {string} source - Where the profile came from, for error messages
+ * @returns {Object} Normalized profile
+ */
+export function normalizeMachineProfile(profile, source) {
+  if (!profile || typeof profile !== 'object') throw new Error(`Machine profile ${source} must be an object`)
+
+  const normalized = {
+    name: profile.name || path.basename(source, '.json'),
+    description: profile.description || '',
+    idleWatts: profile.idleWatts,
+    maxWatts: profile.maxWatts,
+    cores: profile.cores ?? os.cpus().length,
+    // Without a curve, power rises linearly between idle and max
+    curve: profile.curve || [0, 1],
+    dramWattsPerGB: profile.dramWattsPerGB ?? DEFAULT_DRAM_WATTS_PER_GB,
+    embodiedKg: profile.embodiedKg ?? null,
+    ...(profile.detected ? { detected: profile.detected } : {})
+  }
+
+  const { idleWatts, maxWatts, cores, curve, dramWattsPerGB } = normalized
+  if (!(idleWatts >= 0)) throw new Error(`Machine profile ${source}: idleWatts must be a non-negative number`)
+  if (!(maxWatts > idleWatts)) throw new Error(`Machine profile ${source}: maxWatts must be greater than idleWatts`)
+  if (!Number.isInteger(cores) || cores < 1) throw new Error(`Machine profile ${source}: cores must be a positive integer`)
+  if (!(dramWattsPerGB >= 0)) throw new Error(`Machine profile ${source}: dramWattsPerGB must be a non-negative number`)
+  if (normalized.embodiedKg !== null && !(normalized.embodiedKg >= 0)) throw new Error(`Machine profile ${source}: embodiedKg must be a non-negative number`)
+  if (!Array.isArray(curve) || curve.length < 2 || curve.some(point => !(point >= 0 && point <= 1))) {
+    throw new Error(`Machine profile ${source}: curve must list at least two values from 0 to 1 (evenly spaced from 0% to 100% utilization)`)
+  }
+  if (curve.some((point, index) => index > 0 && point < curve[index - 1])) {
+    throw new Error(`Machine profile ${source}: curve must not decrease`)
+  }
+  return normalized
+}
+
+/**
+ * Read the CPU model name of this machine
+ * /proc/cpuinfo names x86 CPUs in "model name"; Arm boards such as the Raspberry Pi add
+ * "Hardware" and "Model" lines, which are kept as well. Elsewhere the name Node.js
+ * reports is used
+ * @param {string} cpuinfoPath - cpuinfo file
+ * @returns {string} CPU model, or '' when unknown
+ */
+export function readCpuModel(cpuinfoPath = '/proc/cpuinfo') {
+  try {
+    const cpuinfo = fs.readFileSync(cpuinfoPath, 'utf8')
+    const names = [...cpuinfo.matchAll(/^(?:model name|Model|Hardware)\s*:\s*(.+)$/gm)].map(match => match[1].trim())
+    if (names.length > 0) return [...new Set(names)].join(' / ')
+  } catch (error) {
+    // Not Linux
+  }
+  const cpus = os.cpus()
+  return cpus.length > 0 ? cpus[0].model.trim() : ''
+}
+
+/**
+ * Pick a profile for this machine from its CPU model and core count
+ * Unrecognized x86 CPUs count as desktops, large Arm machines as Arm servers. Power and
+ * embodied emissions are scaled to the cores this machine has, so a 2-vCPU VM on a server CPU gets a slice of
+ * the server rather than all of it
+ * @param {Object} options - { cpuinfoPath }
+ * @returns {Object} Profile with this machine's core count and { detected: { model, profile } }
+ */
+export function detectMachineProfile(options = {}) {
+  const model = readCpuModel(options.cpuinfoPath)
+  const cores = os.cpus().length || 1
+  const match = MODEL_PATTERNS.find(entry => entry.pattern.test(model))
+  let name = match ? match.profile : 'desktop'
+  if (!match && os.arch() === 'arm64' && cores >= 16) name = 'arm-server'
+
+  const profile = MACHINE_PROFILES[name]
+  const scale = cores / profile.cores
+  return {
+    ...profile,
+    name: `${name} (detected)`,
+    idleWatts: profile.idleWatts * scale,
+    maxWatts: profile.maxWatts * scale,
+    embodiedKg: profile.embodiedKg * scale,
+    cores,
+    detected: { model, profile: name }
+  }
+}
+
+/**
+ * Resolve --machine to a profile
+ * @param {string|Object|null} machine - Profile name, path to a JSON profile, a profile object, or null to detect
+ * @returns {Object} Normalized profile
+ */
+export function resolveMachineProfile(machine) {
+  if (!machine) return detectMachineProfile()
+  if (typeof machine === 'object') return normalizeMachineProfile(machine, machine.name || 'object')
+  if (MACHINE_PROFILES[machine]) return { ...MACHINE_PROFILES[machine] }
+
+  if (!machine.endsWith('.json')) {
+    throw new Error(`Unknown machine profile "${machine}" (available: ${Object.keys(MACHINE_PROFILES).join(', ')}, or a .json file)`)
+  }
+
+  let profile
+  try {
+    profile = JSON.parse(fs.readFileSync(machine, 'utf8'))
+  } catch (error) {
+    throw new Error(`Cannot load machine profile ${machine}: ${error.message}`)
+  }
+  return normalizeMachineProfile(profile, machine)
+}
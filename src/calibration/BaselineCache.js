@@ -0,0 +1,72 @@
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+
+// Bumped when the way a baseline is measured changes, so older entries are measured again
+const BASELINE_FORMAT = 'v2'
+
+/**
+ * Cache of idle Node.js baseline measurements
+ * A baseline depends on the machine and the Node.js version, so entries are keyed by both
+ * and stored as raw measurements; energy is recomputed with the current coefficients
+ */
+
+/**
+ * Default cache file, following XDG_CACHE_HOME where set
+ * @returns {string} Path of the baseline cache file
+ */
+export function getDefaultBaselineCachePath() {
+  const cacheRoot = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache')
+  return path.join(cacheRoot, 'gayacode', 'baseline.json')
+}
+
+/**
+ * Key identifying the machine and runtime a baseline was measured on
+ * @param {string} accounting - How resources were measured ('sampling' or 'cgroup'); the two differ for short runs
+ * @returns {string} Baseline key
+ */
+export function getBaselineKey(accounting = 'sampling') {
+  const cpus = os.cpus()
+  const cpuModel = cpus.length > 0 ? cpus[0].model.trim() : 'unknown-cpu'
+  return [os.hostname(), os.platform(), os.arch(), cpuModel, cpus.length, process.version, accounting, BASELINE_FORMAT].join('|')
+}
+
+/**
+ * Read a cached baseline measurement
+ * @param {string} cachePath - Cache file
+ * @param {string} key - Baseline key
+ * @returns {Promise<Object|null>} Cached entry or null when missing or unreadable
+ */
+export async function readCachedBaseline(cachePath, key) {
+  try {
+    const cache = JSON.parse(await fs.readFile(cachePath, 'utf8'))
+    return cache[key] || null
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Store a baseline measurement, keeping entries for other machines and Node.js versions
+ * Failing to write the cache is not an error; the baseline is simply measured again next time
+ * @param {string} cachePath - Cache file
+ * @param {string} key - Baseline key
+ * @param {Object} entry - Measurement to store
+ * @returns {Promise<boolean>} True if the cache was written
+ */
+export async function writeCachedBaseline(cachePath, key, entry) {
+  let cache = {}
+  try {
+    cache = JSON.parse(await fs.readFile(cachePath, 'utf8'))
+  } catch (error) {
+    // Missing or corrupt cache, start over
+  }
+
+  try {
+    await fs.mkdir(path.dirname(cachePath), { recursive: true })
+    await fs.writeFile(cachePath, JSON.stringify({ ...cache, [key]: entry }, null, 2))
+    return true
+  } catch (error) {
+    return false
+  }
+}
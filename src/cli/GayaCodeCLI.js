@@ -6,6 +6,13 @@ import ora from 'ora'
 import open from 'open'
 import { EnvironmentalAnalyzer } from '../analyzer/EnvironmentalAnalyzer.js'
 import { DashboardGenerator } from '../dashboard/DashboardGenerator.js'
+import { formatRanking } from '../testing/TestEnergyReporter.js'
+import { MACHINE_PROFILES, detectMachineProfile } from '../calculations/MachineProfiles.js'
+import { CLOUD_PROVIDERS } from '../calculations/CloudCatalog.js'
+import { GRID_REGIONS, resolveGridRegion } from '../calculations/GridIntensity.js'
+import { CarbonScheduleCalculationStrategy } from '../calculations/CalculationStrategies.js'
+import { loadIntensityProfile, createIntensityForecast, findGreenStart } from '../scheduling/CarbonForecast.js'
+import { formatEnergy, formatCO2, formatDuration, formatStartTime, parseDuration, delay } from '../utils/Formatters.js'
 import path from 'path'
 
 /**
@@ -26,15 +33,107 @@ class GayaCodeCLI {
       .name('gayacode')
       .description('🌱 Analyze the environmental impact of your Node.js code')
       .version('2.0.0')
+      // Subcommands define their own options, so program options must come before them
+      .enablePositionalOptions()
       .argument('<script>', 'Path to the Node.js script to analyze')
-      .option('-o, --output <path>', 'Output directory for the dashboard', './gayacode-report')
-      .option('--no-open', 'Skip opening the dashboard in browser')
-      .option('--emission-factor <factor>', 'CO₂ emission factor (g/kWh)', '400')
+      .argument('[scriptArgs...]', 'Arguments for the script (put them after --)')
+
+    this.addLaunchOptions(this.addCommonOptions(program))
       .option('--timeout <ms>', 'Maximum execution time (ms)', '60000')
-      .option('--interval <ms>', 'Monitoring interval (ms)', '50')
-      .option('--format <type>', 'Output format (html, json)', 'html')
-      .action(async (scriptPath, options) => {
-        await this.analyzeScript(scriptPath, options)
+      .option('--cgroup', 'Use cgroup v2 accounting for exact CPU/memory totals (Linux)')
+      .option('--runs <n>', 'Measured runs; more than one reports statistics', '1')
+      .option('--warmup <n>', 'Unmeasured warmup runs before the measured ones', '0')
+      .option('--telemetry', 'Inject a preload that reports event loop, GC and heap telemetry')
+      .option('--phases', 'Open an IPC channel for phase markers from gayacode/phases')
+      .option('--cpu-prof', 'Capture a V8 CPU profile and attribute energy to functions')
+      .option('--heap-prof', 'Sample heap allocations and attribute memory energy to call sites')
+      .option('--heap-prof-interval <bytes>', 'Average bytes between heap allocation samples', '65536')
+      .option('--net', 'Also report energy net of an idle Node.js process (calibrated once, then cached)')
+      .option('--recalibrate', 'Measure the idle Node.js baseline again instead of using the cache')
+      .option('--sandbox', 'Run the script under Node\'s permission model in a temporary directory with a clean environment')
+      .option('--sandbox-allow-read <path>', 'Also let the sandboxed script read this path (repeatable)', (value, previous) => [...previous, value], [])
+      .option('--sandbox-allow-write <path>', 'Also let the sandboxed script write this path (repeatable)', (value, previous) => [...previous, value], [])
+      .action(async (scriptPath, scriptArgs, options) => {
+        await this.analyzeScript(scriptPath, { ...options, scriptArgs })
+      })
+
+    const runCommand = program
+      .command('run')
+      .description('Analyze any command, e.g. gayacode run -- npm test')
+      .argument('<command...>', 'Command and arguments to run (put them after --)')
+      .option('--shell', 'Run the command through the system shell (pipes, globs, &&)')
+      .option('--timeout <ms>', 'Maximum execution time (ms)', '60000')
+      .option('--cgroup', 'Use cgroup v2 accounting for exact CPU/memory totals (Linux)')
+      .option('--runs <n>', 'Measured runs; more than one reports statistics', '1')
+      .option('--warmup <n>', 'Unmeasured warmup runs before the measured ones', '0')
+      .option('--when-green <g>', 'Wait until the grid intensity (--region or --intensity-file) drops below this many g CO₂/kWh')
+      .option('--max-wait <time>', 'Longest --when-green wait; after it the run starts at the greenest time seen', '24h')
+      // Everything after the command belongs to the command, not to gayacode
+      .passThroughOptions()
+
+    this.addLaunchOptions(this.addCommonOptions(runCommand))
+      .action(async (commandParts, options) => {
+        await this.analyzeCommand(commandParts, options)
+      })
+
+    const testCommand = program
+      .command('test')
+      .description('Run node:test and rank tests by energy, e.g. gayacode test "test/**/*.test.js"')
+      .argument('[patterns...]', 'Test files or globs (default: node --test discovery)')
+      .option('--timeout <ms>', 'Maximum execution time of the whole test run (ms)', '300000')
+      .option('--cgroup', 'Use cgroup v2 accounting for exact CPU/memory totals (Linux)')
+      .option('--top <n>', 'Tests shown in the ranking', '10')
+      .option('--concurrency <n>', 'Test files run at once (1 gives the least noisy per-test figures)')
+
+    this.addLaunchOptions(this.addCommonOptions(testCommand))
+      .action(async (patterns, options) => {
+        await this.analyzeTests(patterns, options)
+      })
+
+    const loadCommand = program
+      .command('load')
+      .description('Analyze an HTTP server under load, e.g. gayacode load server.js --port 3000')
+      .argument('<script>', 'Path to the server script')
+      .argument('[scriptArgs...]', 'Arguments for the script (put them after --)')
+      .requiredOption('--port <port>', 'Port the server listens on')
+      .option('--host <host>', 'Host to send requests to', '127.0.0.1')
+      .option('--url <path>', 'Path or URL to request, round-robin (repeatable, default /)', (value, previous) => [...previous, value], [])
+      .option('--rate <n>', 'Requests per second', '50')
+      .option('--duration <time>', 'How long to send requests (e.g. 30s, 2m)', '10s')
+      .option('--method <method>', 'HTTP method', 'GET')
+      .option('--header <header>', 'Request header as "Name: value" (repeatable)', (value, previous) => [...previous, value], [])
+      .option('--ready-timeout <time>', 'How long to wait for the port to open', '30s')
+      .option('--timeout <ms>', 'Maximum execution time (ms, default: ready timeout + duration + 30s)')
+      .option('--cgroup', 'Use cgroup v2 accounting for exact CPU/memory totals (Linux)')
+      .option('--telemetry', 'Inject a preload that reports event loop, GC and heap telemetry')
+      .option('--phases', 'Open an IPC channel for phase markers from gayacode/phases')
+      .option('--cpu-prof', 'Capture a V8 CPU profile and attribute energy to functions')
+
+    this.addLaunchOptions(this.addCommonOptions(loadCommand))
+      .action(async (scriptPath, scriptArgs, options) => {
+        await this.analyzeService(scriptPath, { ...options, scriptArgs })
+      })
+
+    const attachCommand = program
+      .command('attach <pid>')
+      .description('Monitor an already-running process by PID')
+      .option('--duration <time>', 'How long to monitor (e.g. 30s, 5m, 1h)', '1m')
+
+    this.addCommonOptions(attachCommand)
+      .action(async (pid, options) => {
+        await this.attachToProcess(pid, options)
+      })
+
+    program
+      .command('schedule [report]')
+      .description('Find the greenest time to run a measured job, e.g. gayacode schedule gayacode-report/analysis-result.json --intensity-file forecast.csv')
+      .option('--energy <kWh>', 'Energy of the job (default: from the JSON report)')
+      .option('--duration <time>', 'How long the job runs, e.g. 20m (default: from the JSON report)')
+      .option('--region <code>', 'Grid region (bundled regions have no hourly profile, so they fill gaps in --intensity-file) or a custom region file')
+      .option('--intensity-file <file>', 'Hourly carbon intensity CSV or JSON')
+      .option('--horizon <time>', 'How far ahead to look, up to 7d', '24h')
+      .action(async (reportPath, options) => {
+        await this.suggestSchedule(reportPath, options)
       })
 
     program
@@ -52,6 +151,436 @@ class GayaCodeCLI {
       })
   }
 
+  /**
+   * Add the output and energy model options shared by all analysis commands
+   * @param {Command} command - Commander command
+   * @returns {Command} The same command, for chaining
+   */
+  addCommonOptions(command) {
+    return command
+      .option('-o, --output <path>', 'Output directory for the dashboard', './gayacode-report')
+      .option('--no-open', 'Skip opening the dashboard in browser')
+      .option('--emission-factor <factor>', 'CO₂ emission factor (g/kWh, default: 400)')
+      .option('--region <code>', 'Grid region whose carbon intensity sets the emission factor, e.g. DE or US-CAMX (see gayacode config)')
+      .option('--intensity-file <file>', 'Hourly carbon intensity CSV or JSON; sets the emission factor and suggests a greener start time')
+      .option('--target-instance <provider:type>', 'Also project energy and CO₂ onto a cloud instance, e.g. aws:m5.large (see gayacode config)')
+      .option('--functional-unit <unit>', 'Unit of the SCI score: run, request (load command) or name:count such as record:5000', 'run')
+      .option('--embodied-carbon <kg>', 'Embodied emissions of the hardware for the SCI score (kg CO₂e, default: machine profile)')
+      .option('--lifespan <years>', 'Hardware lifespan the embodied emissions are spread over', '4')
+      .option('--resource-share <share>', 'Share of the hardware reserved for the software, 0-1 (default: cores used ÷ cores)')
+      .option('--machine <profile>', 'Machine power profile: laptop, desktop, server, arm-server, raspberry-pi or a JSON file (default: detected)')
+      .option('--interval <ms>', 'Monitoring interval (ms)', '50')
+      .option('--format <type>', 'Output format (html, json)', 'html')
+      .option('--no-children', 'Monitor only the process itself, not its child processes')
+      .option('--rapl', 'Measure hardware energy from RAPL counters (Linux)')
+      .option('--rapl-root <path>', 'powercap sysfs root for RAPL counters', '/sys/class/powercap')
+      .option('--storage-coefficient <kwh>', 'Storage I/O energy (kWh per GB)', '0.000002')
+      .option('--network-coefficient <kwh>', 'Network transfer energy (kWh per GB)', '0.006')
+      .option('--namespace-network', 'Charge all traffic of the network namespace to the run (accurate only when it is alone there, e.g. a single-process container)')
+  }
+
+  /**
+   * Add the options controlling how the analyzed process is launched
+   * @param {Command} command - Commander command
+   * @returns {Command} The same command, for chaining
+   */
+  addLaunchOptions(command) {
+    const collect = (value, previous) => [...previous, value]
+
+    return command
+      .option('--cwd <dir>', 'Working directory for the analyzed process')
+      .option('--stdin <file>', 'File to pipe to the process stdin')
+      .option('--env <KEY=VALUE>', 'Set an environment variable (repeatable)', collect, [])
+      .option('--unset-env <NAME>', 'Remove an inherited environment variable (repeatable)', collect, [])
+      .option('--clean-env', 'Only inherit PATH, HOME and temp dirs from the environment')
+      .option('--env-allow <NAME>', 'Also inherit this variable in --clean-env mode (repeatable)', collect, [])
+      .option('--node-env <value>', 'NODE_ENV for the analyzed process', 'gayacode_analysis')
+      .option('--tee', 'Print the process output to the terminal while it runs')
+      .option('--max-output-lines <n>', 'stdout/stderr lines kept in the report', '1000')
+      .option('--max-heap <mb>', 'V8 heap limit for Node.js processes (--max-old-space-size)')
+      .option('--max-rss <mb>', 'Stop the process when its memory (RSS) exceeds this')
+      .option('--cpus <n|list>', 'Pin the process to N cores or a CPU list such as 0,2-3 (Linux, taskset)')
+      .option('--kill-grace <ms>', 'Time between SIGTERM and SIGKILL when stopping the process', '5000')
+  }
+
+  /**
+   * Map the launch CLI options to analyzer options
+   * @param {Object} options - CLI options
+   * @returns {Object} EnvironmentalAnalyzer options
+   */
+  createLaunchOptions(options) {
+    const env = {}
+    for (const assignment of options.env) {
+      const separator = assignment.indexOf('=')
+      if (separator <= 0) {
+        throw new Error(`Invalid --env "${assignment}", expected KEY=VALUE`)
+      }
+      env[assignment.slice(0, separator)] = assignment.slice(separator + 1)
+    }
+
+    return {
+      cwd: options.cwd ? path.resolve(options.cwd) : null,
+      stdinFile: options.stdin ? path.resolve(options.stdin) : null,
+      env,
+      unsetEnv: options.unsetEnv,
+      // Allow-listing a variable implies the clean environment mode
+      envAllowList: options.cleanEnv || options.envAllow.length > 0 ? options.envAllow : null,
+      nodeEnv: options.nodeEnv,
+      teeOutput: Boolean(options.tee),
+      maxOutputLines: parseInt(options.maxOutputLines),
+      maxHeapMB: options.maxHeap ? parseInt(options.maxHeap) : null,
+      maxRssMB: options.maxRss ? parseFloat(options.maxRss) : null,
+      // A bare number is a core count, anything else a CPU list
+      cpus: options.cpus ? (/^\d+$/.test(options.cpus) ? parseInt(options.cpus) : options.cpus) : null,
+      killGraceMs: parseInt(options.killGrace)
+    }
+  }
+
+  /**
+   * Map the shared CLI options to analyzer options
+   * @param {Object} options - CLI options
+   * @returns {Object} EnvironmentalAnalyzer options
+   */
+  createAnalyzerOptions(options) {
+    if (options.emissionFactor && (options.region || options.intensityFile)) {
+      throw new Error('Use either --emission-factor or --region/--intensity-file, not both')
+    }
+
+    // name:count declares how many units one run produces
+    const [functionalUnit, unitCount] = options.functionalUnit.split(':')
+
+    return {
+      emissionFactor: options.emissionFactor ? parseFloat(options.emissionFactor) : undefined,
+      region: options.region || null,
+      intensityFile: options.intensityFile ? path.resolve(options.intensityFile) : null,
+      machine: options.machine || null,
+      targetInstance: options.targetInstance || null,
+      functionalUnit,
+      functionalUnitCount: unitCount !== undefined ? parseFloat(unitCount) : null,
+      embodiedCarbonKg: options.embodiedCarbon !== undefined ? parseFloat(options.embodiedCarbon) : null,
+      hardwareLifespanYears: parseFloat(options.lifespan),
+      resourceShare: options.resourceShare !== undefined ? parseFloat(options.resourceShare) : null,
+      monitoringInterval: parseInt(options.interval),
+      monitorChildren: options.children,
+      storageEnergyCoefficient: parseFloat(options.storageCoefficient),
+      networkEnergyCoefficient: parseFloat(options.networkCoefficient),
+      namespaceNetwork: Boolean(options.namespaceNetwork),
+      useRapl: Boolean(options.rapl),
+      raplSysfsRoot: options.raplRoot
+    }
+  }
+
+  /**
+   * Run command: analyze an arbitrary executable and its process tree
+   * @param {Array<string>} commandParts - Command followed by its arguments
+   * @param {Object} options - CLI options
+   */
+  async analyzeCommand(commandParts, options) {
+    try {
+      this.printWelcome()
+
+      // Wait before creating the analyzer, so the emission factor is the one at the actual start
+      if (options.whenGreen) await this.waitForGreenGrid(options)
+
+      const [command, ...args] = commandParts
+      const analyzer = new EnvironmentalAnalyzer({
+        ...this.createAnalyzerOptions(options),
+        ...this.createLaunchOptions(options),
+        maxExecutionTime: parseInt(options.timeout),
+        cgroupAccounting: Boolean(options.cgroup),
+        runs: parseInt(options.runs),
+        warmupRuns: parseInt(options.warmup)
+      })
+
+      this.startAnalysisSpinner(options)
+      const analysisResult = await analyzer.analyzeCommand(command, args, { shell: Boolean(options.shell) })
+      await this.handleResult(analysisResult, options)
+
+    } catch (error) {
+      this.spinner.fail(chalk.red('❌ Unexpected error'))
+      console.error(chalk.red(`Error: ${error.message}`))
+      process.exit(1)
+    }
+  }
+
+  /**
+   * Wait until the grid intensity drops below --when-green, at most --max-wait
+   * @param {Object} options - CLI options
+   */
+  async waitForGreenGrid(options) {
+    const threshold = parseFloat(options.whenGreen)
+    if (!(threshold > 0)) {
+      throw new Error(`Invalid --when-green "${options.whenGreen}", expected g CO₂/kWh`)
+    }
+    const maxWaitMs = parseDuration(options.maxWait)
+    if (maxWaitMs > 7 * 86400000) throw new Error('--max-wait cannot exceed 7d')
+    const forecast = this.createForecast(options)
+    if (!forecast) throw new Error('--when-green needs --region or --intensity-file')
+    if (!forecast.varies) {
+      console.log(chalk.yellow(`⚠️  ${forecast.source} has no hourly profile, so the grid looks the same at every hour\n`))
+    }
+
+    const start = findGreenStart(forecast, { threshold, maxWaitMs })
+    const waitMs = start.time - Date.now()
+    const intensity = `${start.intensity.toFixed(0)} g CO₂/kWh`
+    if (waitMs <= 0) {
+      console.log(chalk.green(`🌿 Grid at ${intensity}${start.belowThreshold ? `, below ${threshold}` : ', the greenest within --max-wait'}: starting now`))
+      return
+    }
+
+    const reason = start.belowThreshold
+      ? `when the grid drops to ${intensity}`
+      : `the greenest time within ${formatDuration(maxWaitMs)} (${intensity}, never below ${threshold})`
+    // A plain line rather than a spinner, so CI logs show why nothing happens for hours
+    console.log(chalk.blue(`🌿 Waiting ${formatDuration(waitMs)} until ${formatStartTime(start.time)}, ${reason}...`))
+    await delay(waitMs)
+    console.log(chalk.green(`🌿 Starting at ${intensity}`))
+  }
+
+  /**
+   * Build an intensity forecast from --region and --intensity-file
+   * @param {Object} options - CLI options
+   * @returns {Object|null} Forecast, or null when neither is given
+   */
+  createForecast(options) {
+    return createIntensityForecast({
+      grid: options.region ? resolveGridRegion(options.region) : null,
+      profile: options.intensityFile ? loadIntensityProfile(path.resolve(options.intensityFile)) : null
+    })
+  }
+
+  /**
+   * Schedule command: find the greenest start for a job from a JSON report or --energy/--duration
+   * @param {string|undefined} reportPath - analysis-result.json of an earlier run
+   * @param {Object} options - CLI options
+   */
+  async suggestSchedule(reportPath, options) {
+    try {
+      this.printWelcome()
+
+      let report = null
+      if (reportPath) {
+        const fs = await import('fs/promises')
+        try {
+          report = JSON.parse(await fs.readFile(reportPath, 'utf8'))
+        } catch (error) {
+          throw new Error(`Cannot read report ${reportPath}: ${error.message}`)
+        }
+      } else if (!options.energy || !options.duration) {
+        throw new Error('Pass a JSON report (--format json) or both --energy and --duration')
+      }
+
+      // Repeated runs report the median run
+      const typical = (key) => report.statistics ? report.statistics.metrics[key].median : report.metrics[key]
+      const energyKwh = options.energy ? parseFloat(options.energy) : typical('energyKwh')
+      const windowMs = options.duration ? parseDuration(options.duration) : typical('executionTime')
+      if (!(energyKwh >= 0)) throw new Error(`Invalid --energy "${options.energy}", expected kWh`)
+
+      const horizonMs = parseDuration(options.horizon)
+      if (horizonMs > 7 * 86400000) throw new Error('--horizon cannot exceed 7d')
+
+      // A report measured with --region already names the grid
+      const reportRegion = report && report.analysis.grid ? report.analysis.grid.code : null
+      const forecast = this.createForecast({ ...options, region: options.region || reportRegion })
+      if (!forecast) throw new Error('Pass --region or --intensity-file')
+      if (!forecast.varies) {
+        console.log(chalk.yellow(`⚠️  ${forecast.source} has no hourly profile, so every hour looks the same\n`))
+      }
+
+      const schedule = new CarbonScheduleCalculationStrategy().calculate({ energyKwh, windowMs, horizonMs, forecast })
+      if (!schedule) throw new Error(`${forecast.source} has no intensity for the current time`)
+      this.printSchedule(schedule, forecast.source)
+
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`))
+      process.exit(1)
+    }
+  }
+
+  /**
+   * Print the greenest start of a job and the alternatives
+   * @param {Object} schedule - Result of CarbonScheduleCalculationStrategy
+   * @param {string} source - Region code or intensity file
+   */
+  printSchedule(schedule, source) {
+    const { now, best } = schedule
+    const describe = (slot) => `${formatStartTime(slot.start)}, ${slot.intensity.toFixed(0)} g CO₂/kWh → ${formatCO2(slot.co2Grams)} CO₂`
+
+    console.log(chalk.green.bold('🗓️  Carbon-Aware Schedule\n'))
+    console.log(`${chalk.cyan('Job:')} ${formatEnergy(schedule.energyKwh)} over ${formatDuration(schedule.windowMs)}`)
+    console.log(`${chalk.cyan('Intensity:')} ${source}, next ${formatDuration(schedule.horizonMs)}`)
+    console.log(`${chalk.cyan('Now:')} ${describe(now)}`)
+    if (best.start === now.start) {
+      console.log(chalk.green('\n🌿 Now is already the greenest time to run'))
+    } else {
+      console.log(`${chalk.cyan('Greenest Start:')} ${describe(best)} (in ${formatDuration(best.start - now.start)})`)
+      console.log(`${chalk.cyan('CO₂ Saved:')} ${formatCO2(schedule.savedGrams)} (${(schedule.savedShare * 100).toFixed(0)}% less than now)`)
+    }
+    if (schedule.alternatives.length > 0) {
+      console.log(chalk.cyan('\nAlternatives:'))
+      for (const slot of schedule.alternatives) console.log(`  ${describe(slot)}`)
+    }
+    console.log()
+  }
+
+  /**
+   * Test command: run node:test with per-test energy attribution
+   * @param {Array<string>} patterns - Test files or globs
+   * @param {Object} options - CLI options
+   */
+  async analyzeTests(patterns, options) {
+    try {
+      this.printWelcome()
+
+      const top = parseInt(options.top)
+      const nodeArgs = options.concurrency ? [`--test-concurrency=${parseInt(options.concurrency)}`] : []
+      const analyzer = new EnvironmentalAnalyzer({
+        ...this.createAnalyzerOptions(options),
+        ...this.createLaunchOptions(options),
+        maxExecutionTime: parseInt(options.timeout),
+        cgroupAccounting: Boolean(options.cgroup)
+      })
+
+      this.startAnalysisSpinner(options)
+      const analysisResult = await analyzer.analyzeTests(patterns, { nodeArgs, top })
+      await this.handleResult(analysisResult, options)
+
+      // With --tee the reporter has already printed the ranking
+      if (!options.tee) {
+        console.log(formatRanking(analysisResult.testEnergy, top))
+      }
+      if (analysisResult.analysis.exitCode) process.exitCode = analysisResult.analysis.exitCode
+
+    } catch (error) {
+      this.spinner.fail(chalk.red('❌ Unexpected error'))
+      console.error(chalk.red(`Error: ${error.message}`))
+      process.exit(1)
+    }
+  }
+
+  /**
+   * Load command: start a server, drive HTTP load against it and report energy per request
+   * @param {string} scriptPath - Path to the server script
+   * @param {Object} options - CLI options
+   */
+  async analyzeService(scriptPath, options) {
+    try {
+      this.printWelcome()
+
+      const port = parseInt(options.port, 10)
+      const durationMs = parseDuration(options.duration)
+      const readyTimeoutMs = parseDuration(options.readyTimeout)
+      const headers = {}
+      for (const header of options.header) {
+        const separator = header.indexOf(':')
+        if (separator <= 0) {
+          throw new Error(`Invalid --header "${header}", expected "Name: value"`)
+        }
+        headers[header.slice(0, separator).trim()] = header.slice(separator + 1).trim()
+      }
+
+      const analyzer = new EnvironmentalAnalyzer({
+        ...this.createAnalyzerOptions(options),
+        ...this.createLaunchOptions(options),
+        scriptArgs: options.scriptArgs,
+        // The server runs until the load is done, so the limit must cover startup and load
+        maxExecutionTime: options.timeout ? parseInt(options.timeout) : readyTimeoutMs + durationMs + 30000,
+        cgroupAccounting: Boolean(options.cgroup),
+        telemetry: Boolean(options.telemetry),
+        phases: Boolean(options.phases),
+        cpuProfile: Boolean(options.cpuProf)
+      })
+
+      this.startAnalysisSpinner(options)
+      const analysisResult = await analyzer.analyzeService(path.resolve(scriptPath), {
+        port,
+        host: options.host,
+        urls: options.url,
+        rate: parseFloat(options.rate),
+        durationMs,
+        method: options.method.toUpperCase(),
+        headers,
+        readyTimeoutMs
+      })
+      await this.handleResult(analysisResult, options)
+
+    } catch (error) {
+      this.spinner.fail(chalk.red('❌ Unexpected error'))
+      console.error(chalk.red(`Error: ${error.message}`))
+      process.exit(1)
+    }
+  }
+
+  /**
+   * Attach command: monitor a running process for a fixed duration
+   * @param {string} pidArgument - PID from the command line
+   * @param {Object} options - CLI options
+   */
+  async attachToProcess(pidArgument, options) {
+    try {
+      this.printWelcome()
+
+      const pid = parseInt(pidArgument, 10)
+      if (!Number.isInteger(pid) || pid <= 0) {
+        console.error(chalk.red(`Error: Invalid PID "${pidArgument}"`))
+        process.exit(1)
+      }
+      const durationMs = parseDuration(options.duration)
+
+      const analyzer = new EnvironmentalAnalyzer({
+        ...this.createAnalyzerOptions(options),
+        maxExecutionTime: durationMs
+      })
+
+      this.spinner.start(chalk.blue(`⚡ Monitoring PID ${pid} for ${formatDuration(durationMs)}...`))
+      const analysisResult = await analyzer.attachToProcess(pid, { durationMs })
+      await this.handleResult(analysisResult, options)
+
+    } catch (error) {
+      this.spinner.fail(chalk.red('❌ Unexpected error'))
+      console.error(chalk.red(`Error: ${error.message}`))
+      process.exit(1)
+    }
+  }
+
+  /**
+   * Show progress while the process runs
+   * With --tee the process writes to the terminal, so a spinner would garble its output
+   * @param {Object} options - CLI options
+   */
+  startAnalysisSpinner(options) {
+    if (options.tee) {
+      console.log(chalk.blue('⚡ Analyzing environmental impact (process output follows)...\n'))
+      return
+    }
+    this.spinner.start(chalk.blue('⚡ Analyzing environmental impact...'))
+  }
+
+  /**
+   * Report a finished analysis: fail on errors, otherwise write output and print a summary
+   * @param {AnalysisResult} analysisResult - Analysis results
+   * @param {Object} options - CLI options
+   */
+  async handleResult(analysisResult, options) {
+    if (!analysisResult.success) {
+      this.spinner.fail(chalk.red('❌ Analysis failed'))
+      console.error(chalk.red(`Error: ${analysisResult.error}`))
+      this.printOutputTail(analysisResult.output, options)
+      process.exit(1)
+    }
+
+    this.spinner.succeed(chalk.green('✅ Analysis completed successfully'))
+
+    // Generate output based on format
+    if (options.format === 'json') {
+      await this.generateJSON(analysisResult, options.output)
+    } else {
+      await this.generateDashboard(analysisResult, options.output, options.open)
+    }
+
+    this.printSummary(analysisResult)
+  }
+
   /**
    * Main analysis command
    * @param {string} scriptPath - Path to script to analyze
@@ -77,31 +606,30 @@ class GayaCodeCLI {
       
       // Initialize analyzer with options
       const analyzer = new EnvironmentalAnalyzer({
-        emissionFactor: parseFloat(options.emissionFactor),
+        ...this.createAnalyzerOptions(options),
+        ...this.createLaunchOptions(options),
+        scriptArgs: options.scriptArgs,
         maxExecutionTime: parseInt(options.timeout),
-        monitoringInterval: parseInt(options.interval)
+        cgroupAccounting: Boolean(options.cgroup),
+        runs: parseInt(options.runs),
+        warmupRuns: parseInt(options.warmup),
+        telemetry: Boolean(options.telemetry),
+        phases: Boolean(options.phases),
+        cpuProfile: Boolean(options.cpuProf),
+        heapProfile: Boolean(options.heapProf),
+        heapProfileInterval: parseInt(options.heapProfInterval),
+        netEnergy: Boolean(options.net),
+        recalibrateBaseline: Boolean(options.recalibrate),
+        // Allowing a path only makes sense inside the sandbox, so it implies --sandbox
+        sandbox: Boolean(options.sandbox) || options.sandboxAllowRead.length > 0 || options.sandboxAllowWrite.length > 0,
+        sandboxAllowRead: options.sandboxAllowRead,
+        sandboxAllowWrite: options.sandboxAllowWrite
       })
       
       // Run analysis
-      this.spinner.start(chalk.blue('⚡ Analyzing environmental impact...'))
+      this.startAnalysisSpinner(options)
       const analysisResult = await analyzer.analyzeScript(resolvedScriptPath)
-      
-      if (!analysisResult.success) {
-        this.spinner.fail(chalk.red('❌ Analysis failed'))
-        console.error(chalk.red(`Error: ${analysisResult.error}`))
-        process.exit(1)
-      }
-      
-      this.spinner.succeed(chalk.green('✅ Analysis completed successfully'))
-      
-      // Generate output based on format
-      if (options.format === 'json') {
-        await this.generateJSON(analysisResult, options.output)
-      } else {
-        await this.generateDashboard(analysisResult, options.output, options.open)
-      }
-      
-      this.printSummary(analysisResult)
+      await this.handleResult(analysisResult, options)
       
     } catch (error) {
       this.spinner.fail(chalk.red('❌ Unexpected error'))
@@ -113,6 +641,21 @@ class GayaCodeCLI {
     }
   }
 
+  /**
+   * Print the last stderr lines of a failed run, unless they were already shown with --tee
+   * @param {Object|null} output - Captured output
+   * @param {Object} options - CLI options
+   */
+  printOutputTail(output, options) {
+    if (!output || options.tee) return
+
+    const stderrLines = output.lines.filter(line => line.stream === 'stderr').slice(-10)
+    if (stderrLines.length === 0) return
+
+    console.error(chalk.gray('\nLast stderr lines:'))
+    for (const line of stderrLines) console.error(chalk.gray(`   ${line.text}`))
+  }
+
   /**
    * Generate HTML dashboard
    * @param {AnalysisResult} analysisResult - Analysis results
@@ -193,6 +736,24 @@ class GayaCodeCLI {
     console.log(`  Timeout: ${chalk.white('60000 ms')}`)
     console.log(`  Monitoring Interval: ${chalk.white('50 ms')}`)
     console.log(`  Output Format: ${chalk.white('html')}`)
+
+    const detected = detectMachineProfile()
+    console.log(chalk.cyan('\nMachine Profiles (--machine):'))
+    console.log(`  Detected: ${chalk.white(detected.detected.profile)} (${detected.detected.model || 'unknown CPU'}, ${detected.cores} cores, ${detected.idleWatts.toFixed(1)}–${detected.maxWatts.toFixed(1)} W)`)
+    for (const profile of Object.values(MACHINE_PROFILES)) {
+      console.log(`  ${chalk.white(profile.name.padEnd(13))} ${profile.description}, ${profile.idleWatts}–${profile.maxWatts} W, ${profile.cores} cores, ${profile.embodiedKg} kg CO₂e embodied`)
+    }
+
+    console.log(chalk.cyan('\nGrid Regions (--region, g CO₂/kWh):'))
+    const regions = Object.entries(GRID_REGIONS).map(([code, region]) => `${code} ${region.intensity}`)
+    for (let i = 0; i < regions.length; i += 8) {
+      console.log(`  ${regions.slice(i, i + 8).join(', ')}`)
+    }
+
+    console.log(chalk.cyan('\nCloud Instances (--target-instance):'))
+    for (const [provider, { name, pue, instances }] of Object.entries(CLOUD_PROVIDERS)) {
+      console.log(`  ${chalk.white(`${name} (${provider}:, PUE ${pue})`)} ${Object.keys(instances).join(', ')}`)
+    }
   }
 
   /**
@@ -207,17 +768,115 @@ class GayaCodeCLI {
    * @param {AnalysisResult} result - Analysis results
    */
   printSummary(result) {
-    const { formatEnergy, formatCO2 } = require('../utils/Formatters.js')
-    
     console.log(chalk.green.bold('\n📊 Analysis Summary\n'))
     console.log(`${chalk.cyan('Script:')} ${result.scriptName}`)
-    console.log(`${chalk.cyan('Execution Time:')} ${result.metrics.executionTime.toFixed(0)}ms`)
-    console.log(`${chalk.cyan('Energy Consumed:')} ${formatEnergy(result.metrics.energyKwh)}`)
-    console.log(`${chalk.cyan('CO₂ Emissions:')} ${formatCO2(result.metrics.co2Grams)}`)
+    if (result.command && result.command !== result.scriptName) {
+      console.log(`${chalk.cyan('Command:')} ${result.command}`)
+    }
+    if (result.analysis.exitCode) {
+      console.log(`${chalk.cyan('Exit Code:')} ${chalk.yellow(result.analysis.exitCode)}`)
+    }
+    if (result.statistics) {
+      this.printStatistics(result.statistics)
+    } else {
+      console.log(`${chalk.cyan('Execution Time:')} ${result.metrics.executionTime.toFixed(0)}ms`)
+      console.log(`${chalk.cyan('Energy Consumed:')} ${formatEnergy(result.metrics.energyKwh)}`)
+    }
+    if (result.metrics.measuredEnergyKwh !== null) {
+      console.log(`${chalk.cyan('Measured Energy (RAPL):')} ${formatEnergy(result.metrics.measuredEnergyKwh)}`)
+    } else if (result.analysis.rapl) {
+      console.log(`${chalk.cyan('Measured Energy (RAPL):')} ${chalk.yellow(result.analysis.rapl.reason)}`)
+    }
+    if (!result.statistics) {
+      console.log(`${chalk.cyan('CO₂ Emissions:')} ${formatCO2(result.metrics.co2Grams)}`)
+    }
+    if (result.analysis.grid) {
+      const { name, code, intensity } = result.analysis.grid
+      console.log(`${chalk.cyan('Grid:')} ${code} · ${name}, ${intensity.toFixed(0)} g CO₂/kWh`)
+    }
+    if (result.metrics.netEnergyKwh !== null) {
+      console.log(`${chalk.cyan('Net of Node.js Baseline:')} ${formatEnergy(result.metrics.netEnergyKwh)}, ${formatCO2(result.metrics.netCo2Grams)} CO₂ (baseline ${formatEnergy(result.metrics.baselineEnergyKwh)})`)
+    }
+    if (result.rates) {
+      console.log(`${chalk.cyan('Rate:')} ${formatEnergy(result.rates.perHour.energyKwh)}/hour, ${formatCO2(result.rates.perHour.co2Grams)} CO₂/hour`)
+    }
+    if (result.runtime) {
+      console.log(`${chalk.cyan('Runtime Diagnosis:')} ${result.runtime.diagnosis.label}`)
+    }
+    if (result.functionEnergy && result.functionEnergy.functions.length > 0) {
+      const hottest = result.functionEnergy.functions[0]
+      console.log(`${chalk.cyan('Hottest Function:')} ${hottest.functionName} (${(hottest.selfShare * 100).toFixed(1)}% of CPU energy)`)
+    }
+    if (result.phases) {
+      const costliest = result.phases.summary
+        .filter(row => !row.unmarked)
+        .sort((a, b) => b.energyKwh - a.energyKwh)[0]
+      if (costliest) {
+        console.log(`${chalk.cyan('Costliest Phase:')} ${costliest.name} (${(costliest.energyShare * 100).toFixed(1)}% of energy)`)
+      }
+    }
+    if (result.load) {
+      const { requests, latency } = result.load
+      console.log(`${chalk.cyan('Requests:')} ${requests.answered} answered, ${requests.failed} failed, ${result.load.throughput.toFixed(1)} req/s`)
+      if (latency) {
+        const { p50, p95, p99 } = latency.percentiles
+        console.log(`${chalk.cyan('Latency:')} p50 ${p50.toFixed(1)}ms, p95 ${p95.toFixed(1)}ms, p99 ${p99.toFixed(1)}ms`)
+      }
+      if (result.load.per1kRequests.energyKwh !== null) {
+        console.log(`${chalk.cyan('Per 1K Requests:')} ${formatEnergy(result.load.per1kRequests.energyKwh)}, ${formatCO2(result.load.per1kRequests.co2Grams)} CO₂`)
+      }
+    }
+    if (result.testEnergy && result.testEnergy.tests.length > 0) {
+      const hungriest = result.testEnergy.tests[0]
+      console.log(`${chalk.cyan('Tests:')} ${result.testEnergy.totals.testCount} (${result.testEnergy.totals.failedCount} failed), ${formatEnergy(result.testEnergy.totals.energyKwh)}`)
+      console.log(`${chalk.cyan('Most Energy-Hungry Test:')} ${hungriest.path.join(' › ')} (${(hungriest.share * 100).toFixed(1)}% of all test energy)`)
+    }
+    if (result.heapAllocations && result.heapAllocations.sites.length > 0) {
+      const topSite = result.heapAllocations.sites[0]
+      console.log(`${chalk.cyan('Top Allocation Site:')} ${topSite.functionName} (${(topSite.selfShare * 100).toFixed(1)}% of allocated bytes)`)
+    }
+    if (result.sci) {
+      const { score, functionalUnit } = result.sci
+      console.log(`${chalk.cyan('SCI:')} ${score !== null
+        ? `${formatCO2(score)} CO₂e per ${functionalUnit}`
+        : chalk.yellow(`no ${functionalUnit} count (requests are counted by the load command, other units need name:count)`)}`)
+    }
+    if (result.cloudProjection) {
+      const { instance, ratio } = result.cloudProjection
+      const comparison = ratio !== null ? ` (${ratio.toFixed(2)}× local)` : ''
+      console.log(`${chalk.cyan(`On ${instance.id}:`)} ${formatEnergy(result.cloudProjection.energyKwh)}, ${formatCO2(result.cloudProjection.co2Grams)} CO₂${comparison}`)
+    }
+    if (result.schedule && result.schedule.best.start !== result.schedule.now.start) {
+      const { best } = result.schedule
+      console.log(`${chalk.cyan('Greenest Start:')} ${formatStartTime(best.start)} (${best.intensity.toFixed(0)} g CO₂/kWh), saves ${formatCO2(result.schedule.savedGrams)} CO₂ (${(result.schedule.savedShare * 100).toFixed(0)}%)`)
+    }
+    if (result.permissionViolations && result.permissionViolations.length > 0) {
+      const blocked = result.permissionViolations.map(violation => `${violation.permission} ${violation.resource || ''}`.trim())
+      console.log(`${chalk.yellow('Sandbox Blocked:')} ${[...new Set(blocked)].join(', ')}`)
+    }
     console.log(`${chalk.cyan('Eco Score:')} ${result.ecoScore.overall.toFixed(0)}/100 (${result.ecoScore.grade.letter})`)
     console.log()
   }
 
+  /**
+   * Print medians and 95% confidence intervals of repeated runs
+   * @param {Object} statistics - Run statistics
+   */
+  printStatistics(statistics) {
+    const { runCount, warmupRuns, metrics, outlierRuns } = statistics
+    const warmup = warmupRuns > 0 ? ` (+${warmupRuns} warmup)` : ''
+    const outliers = outlierRuns.length > 0
+      ? chalk.yellow(`, outliers: run ${outlierRuns.map(index => index + 1).join(', ')}`)
+      : ''
+    console.log(`${chalk.cyan('Runs:')} ${runCount}${warmup}${outliers}`)
+
+    const describe = (stats, format) =>
+      `${format(stats.median)} median, ${format(stats.mean)} ± ${format(stats.ci95.margin)} mean (95% CI)`
+    console.log(`${chalk.cyan('Execution Time:')} ${describe(metrics.executionTime, value => `${value.toFixed(0)}ms`)}`)
+    console.log(`${chalk.cyan('Energy Consumed:')} ${describe(metrics.energyKwh, formatEnergy)}`)
+    console.log(`${chalk.cyan('CO₂ Emissions:')} ${describe(metrics.co2Grams, formatCO2)}`)
+  }
+
   /**
    * Start the CLI
    */
@@ -13,12 +13,29 @@ export class AnalysisResult {
     this.timestamp = data.timestamp || new Date().toISOString()
     this.scriptName = data.scriptName || ''
     this.scriptPath = data.scriptPath || ''
+    this.command = data.command || ''
     this.metrics = data.metrics || null
     this.timeline = data.timeline || []
     this.ecoScore = data.ecoScore || null
     this.equivalences = data.equivalences || null
     this.scalingProjections = data.scalingProjections || null
     this.analysis = data.analysis || null
+    this.processes = data.processes || []
+    this.runtime = data.runtime || null
+    this.functionEnergy = data.functionEnergy || null
+    this.flameGraph = data.flameGraph || null
+    this.heapAllocations = data.heapAllocations || null
+    this.rates = data.rates || null
+    this.output = data.output || null
+    this.statistics = data.statistics || null
+    this.phases = data.phases || null
+    this.testEnergy = data.testEnergy || null
+    this.load = data.load || null
+    this.limitHit = data.limitHit || null
+    this.permissionViolations = data.permissionViolations || null
+    this.cloudProjection = data.cloudProjection || null
+    this.schedule = data.schedule || null
+    this.sci = data.sci || null
   }
 }
 
@@ -35,6 +52,18 @@ export class PerformanceMetrics {
     this.samples = data.samples || 0
     this.energyKwh = data.energyKwh || 0
     this.co2Grams = data.co2Grams || 0
+    this.energyBreakdown = data.energyBreakdown || null // kWh per resource
+    this.diskReadBytes = data.diskReadBytes || 0
+    this.diskWriteBytes = data.diskWriteBytes || 0
+    this.networkRxBytes = data.networkRxBytes || 0
+    this.networkTxBytes = data.networkTxBytes || 0
+    this.readSyscalls = data.readSyscalls || 0
+    this.writeSyscalls = data.writeSyscalls || 0
+    this.measuredEnergyKwh = data.measuredEnergyKwh ?? null // hardware-measured (RAPL)
+    this.measuredCo2Grams = data.measuredCo2Grams ?? null
+    this.baselineEnergyKwh = data.baselineEnergyKwh ?? null // idle Node.js process (--net)
+    this.netEnergyKwh = data.netEnergyKwh ?? null // energy minus the idle baseline
+    this.netCo2Grams = data.netCo2Grams ?? null
   }
 }
 
@@ -55,6 +84,8 @@ export class EcoScore {
 
 /**
  * Timeline data point
+ * Tree-aware strategies also attach `processes`: per-PID { cpu, memoryMB }
+ * Telemetry runs attach `telemetry`: event loop, GC, heap and CPU figures
  */
 export class TimelinePoint {
   constructor(timeSeconds, cpu, memoryMB) {
@@ -110,16 +141,82 @@ export class ITemplateEngine {
 export class AnalyzerConfig {
   constructor(options = {}) {
     this.emissionFactor = options.emissionFactor || 400 // g CO₂/kWh
-    this.cpuPowerCoefficient = options.cpuPowerCoefficient || 0.00008 // kW per 1% CPU
-    this.memoryPowerCoefficient = options.memoryPowerCoefficient || 0.0000003 // kW per MB
+    this.region = options.region || null // grid region whose intensity replaces emissionFactor, e.g. DE or US-CAMX
+    this.intensityFile = options.intensityFile || null // hourly intensity CSV/JSON; replaces emissionFactor where it has data
+    this.scheduleHorizonMs = options.scheduleHorizonMs || 86400000 // how far ahead to look for a greener start
+    this.machine = options.machine || null // machine profile name, JSON file or object (default: detected)
+    this.targetInstance = options.targetInstance || null // cloud instance to project onto, e.g. aws:m5.large
+    this.functionalUnit = options.functionalUnit || 'run' // SCI functional unit: run, request (load mode) or a name with functionalUnitCount
+    this.functionalUnitCount = options.functionalUnitCount ?? null // functional units per run, e.g. records processed
+    this.embodiedCarbonKg = options.embodiedCarbonKg ?? null // hardware embodied emissions in kg CO₂e (default: machine profile)
+    this.hardwareLifespanYears = options.hardwareLifespanYears ?? 4 // years embodied emissions are spread over
+    this.resourceShare = options.resourceShare ?? null // share of the hardware reserved for the software (0-1, default: its CPU utilization)
+    this.cpuPowerCoefficient = options.cpuPowerCoefficient ?? null // kW per 1% CPU, replaces the profile's curve
+    this.memoryPowerCoefficient = options.memoryPowerCoefficient ?? null // kW per MB, replaces the profile's DRAM power
+    this.storageEnergyCoefficient = options.storageEnergyCoefficient ?? 0.000002 // kWh per GB read/written
+    this.networkEnergyCoefficient = options.networkEnergyCoefficient ?? 0.006 // kWh per GB transferred
+    this.namespaceNetwork = options.namespaceNetwork || false // charge all traffic of the network namespace to the run
     this.maxExecutionTime = options.maxExecutionTime || 60000 // 60 seconds
     this.monitoringInterval = options.monitoringInterval || 50 // 50ms
+    this.monitorChildren = options.monitorChildren ?? true // follow child processes
+    this.useRapl = options.useRapl || false // read RAPL energy counters when available
+    this.raplSysfsRoot = options.raplSysfsRoot || '/sys/class/powercap'
+    this.cgroupAccounting = options.cgroupAccounting || false // exact totals via cgroup v2
+    this.cgroupRoot = options.cgroupRoot || '/sys/fs/cgroup'
+    this.telemetry = options.telemetry || false // in-process event loop/GC/heap preload
+    this.phases = options.phases || false // accept phase markers from the script over IPC
+    this.cpuProfile = options.cpuProfile || false // V8 CPU profile for per-function energy
+    this.heapProfile = options.heapProfile || false // sampling heap profile for memory energy
+    this.heapProfileInterval = options.heapProfileInterval || 65536 // bytes between heap samples
+    this.scriptArgs = options.scriptArgs || [] // arguments passed to the analyzed script
+    this.stdinFile = options.stdinFile || null // file piped to the child's stdin
+    this.cwd = options.cwd || null // working directory of the child (default: analyzer's)
+    this.env = options.env || {} // variables added to the child environment
+    this.unsetEnv = options.unsetEnv || [] // variables removed from the inherited environment
+    this.envAllowList = options.envAllowList || null // only inherit these variables (plus PATH, HOME, temp dirs)
+    this.nodeEnv = options.nodeEnv ?? 'gayacode_analysis' // NODE_ENV seen by the child
+    this.maxOutputLines = options.maxOutputLines ?? 1000 // stdout/stderr lines kept in the result
+    this.teeOutput = options.teeOutput || false // also print the child's output while it runs
+    this.runs = options.runs ?? 1 // measured runs; more than one adds statistics
+    this.warmupRuns = options.warmupRuns ?? 0 // unmeasured runs before the measured ones
+    this.netEnergy = options.netEnergy || false // subtract the idle Node.js baseline
+    this.baselineRuns = options.baselineRuns ?? 5 // runs of `node -e ""` per calibration
+    this.baselineCachePath = options.baselineCachePath || null // default: ~/.cache/gayacode/baseline.json
+    this.recalibrateBaseline = options.recalibrateBaseline || false // ignore the cached baseline
+    this.maxHeapMB = options.maxHeapMB ?? null // V8 old space limit (--max-old-space-size)
+    this.maxRssMB = options.maxRssMB ?? null // stop the process when its RSS exceeds this
+    this.cpus = options.cpus ?? null // core count or taskset CPU list such as "0,2-3" (Linux)
+    this.killGraceMs = options.killGraceMs ?? 5000 // SIGTERM to SIGKILL escalation delay
+    this.sandbox = options.sandbox || false // run scripts under Node's permission model in a temp dir
+    this.sandboxAllowRead = options.sandboxAllowRead || [] // extra paths a sandboxed script may read
+    this.sandboxAllowWrite = options.sandboxAllowWrite || [] // extra paths a sandboxed script may write
   }
 
   validate() {
     if (this.emissionFactor <= 0) throw new Error('Emission factor must be positive')
     if (this.maxExecutionTime <= 0) throw new Error('Max execution time must be positive')
     if (this.monitoringInterval <= 0) throw new Error('Monitoring interval must be positive')
+    if (this.scheduleHorizonMs <= 0) throw new Error('Schedule horizon must be positive')
+    if (!['run', 'request'].includes(this.functionalUnit) && this.functionalUnitCount === null) throw new Error(`Functional unit "${this.functionalUnit}" needs a count, e.g. ${this.functionalUnit}:1000`)
+    if (this.functionalUnitCount !== null && !(this.functionalUnitCount > 0)) throw new Error('Functional unit count must be positive')
+    if (this.embodiedCarbonKg !== null && !(this.embodiedCarbonKg >= 0)) throw new Error('Embodied carbon cannot be negative')
+    if (!(this.hardwareLifespanYears > 0)) throw new Error('Hardware lifespan must be positive')
+    if (this.resourceShare !== null && !(this.resourceShare > 0 && this.resourceShare <= 1)) throw new Error('Resource share must be greater than 0 and at most 1')
+    if (this.storageEnergyCoefficient < 0) throw new Error('Storage energy coefficient cannot be negative')
+    if (this.networkEnergyCoefficient < 0) throw new Error('Network energy coefficient cannot be negative')
+    if (this.heapProfileInterval <= 0) throw new Error('Heap profile interval must be positive')
+    if (!Number.isInteger(this.maxOutputLines) || this.maxOutputLines < 0) throw new Error('Max output lines must be a non-negative integer')
+    if (!Number.isInteger(this.runs) || this.runs < 1) throw new Error('Runs must be a positive integer')
+    if (!Number.isInteger(this.warmupRuns) || this.warmupRuns < 0) throw new Error('Warmup runs must be a non-negative integer')
+    if (!Number.isInteger(this.baselineRuns) || this.baselineRuns < 1) throw new Error('Baseline runs must be a positive integer')
+    if (!Array.isArray(this.scriptArgs)) throw new Error('Script arguments must be an array')
+    if (!Array.isArray(this.unsetEnv)) throw new Error('Unset environment variables must be an array')
+    if (this.envAllowList !== null && !Array.isArray(this.envAllowList)) throw new Error('Environment allow-list must be an array')
+    if (typeof this.env !== 'object' || Array.isArray(this.env)) throw new Error('Environment variables must be an object')
+    if (this.maxHeapMB !== null && !(Number.isInteger(this.maxHeapMB) && this.maxHeapMB > 0)) throw new Error('Max heap must be a positive number of MB')
+    if (this.maxRssMB !== null && !(this.maxRssMB > 0)) throw new Error('Max RSS must be a positive number of MB')
+    if (!(this.killGraceMs >= 0)) throw new Error('Kill grace period cannot be negative')
+    if (!Array.isArray(this.sandboxAllowRead) || !Array.isArray(this.sandboxAllowWrite)) throw new Error('Sandbox allowed paths must be arrays')
     return true
   }
 }
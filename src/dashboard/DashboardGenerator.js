@@ -9,6 +9,23 @@ import {
   CarbonFlowComponent, 
   VirtualForestComponent 
 } from './components/VisualizationComponents.js'
+import {
+  ProcessTreeComponent,
+  RuntimeTelemetryComponent,
+  OutputLogComponent,
+  PhaseEnergyComponent
+} from './components/RuntimeComponents.js'
+import {
+  FlameGraphComponent,
+  FunctionEnergyComponent,
+  HeapAllocationComponent
+} from './components/ProfilingComponents.js'
+import { ContinuousRateComponent, LoadTestComponent } from './components/ServiceComponents.js'
+import { RunDistributionComponent } from './components/StatisticsComponents.js'
+import { TestEnergyComponent } from './components/TestComponents.js'
+import { CloudProjectionComponent, CarbonScheduleComponent } from './components/ProjectionComponents.js'
+import { SciScoreComponent } from './components/SciComponents.js'
+import { formatEnergy, formatCO2, formatBytes, serializeForScript, sanitizeString } from '../utils/Formatters.js'
 
 /**
  * Refactored Dashboard Generator
@@ -23,11 +40,25 @@ export class DashboardGenerator {
     this.components = components || [
       new HeaderComponent(),
       new QuickStatsComponent(),
+      new RunDistributionComponent(),
       new PerformanceChartComponent(),
+      new LoadTestComponent(),
+      new PhaseEnergyComponent(),
+      new TestEnergyComponent(),
+      new OutputLogComponent(),
+      new FlameGraphComponent(),
+      new ProcessTreeComponent(),
+      new RuntimeTelemetryComponent(),
+      new FunctionEnergyComponent(),
+      new HeapAllocationComponent(),
       new CarbonFlowComponent(),
       new VirtualForestComponent(),
       new PowerRadarComponent(),
+      new SciScoreComponent(),
       new EquivalencesComponent(),
+      new ContinuousRateComponent(),
+      new CloudProjectionComponent(),
+      new CarbonScheduleComponent(),
       new ScalingProjectionsComponent(),
       new BreakdownComponent()
     ]
@@ -139,7 +170,8 @@ class PerformanceChartComponent {
   }
 
   generateJavaScript(data) {
-    const { timeline } = data
+    const { timeline, phases } = data
+    const phaseBands = phases ? phases.phases : []
     
     return `
       // Performance Chart
@@ -151,8 +183,62 @@ class PerformanceChartComponent {
         memory: point.memoryMB
       })))};
 
-      new Chart(ctx, {
+      // Shades the phases marked by the script and draws a vertical line at
+      // performanceChart.$marker, set by highlightTimelineMoment()
+      const performancePhases = ${serializeForScript(phaseBands)};
+      const phaseColors = ['rgba(250, 204, 21, 0.08)', 'rgba(168, 85, 247, 0.08)', 'rgba(14, 165, 233, 0.08)', 'rgba(244, 63, 94, 0.08)'];
+      const performanceMarkerPlugin = {
+        id: 'performanceMarker',
+        beforeDatasetsDraw(chart) {
+          if (performancePhases.length === 0) return;
+          const { ctx: phaseCtx, chartArea, scales } = chart;
+          const names = [...new Set(performancePhases.map(phase => phase.name))];
+          phaseCtx.save();
+          performancePhases.forEach(phase => {
+            const left = Math.max(chartArea.left, scales.x.getPixelForValue(phase.startSeconds));
+            const right = Math.min(chartArea.right, scales.x.getPixelForValue(phase.endSeconds));
+            if (right <= left) return;
+            phaseCtx.fillStyle = phaseColors[names.indexOf(phase.name) % phaseColors.length];
+            phaseCtx.fillRect(left, chartArea.top, right - left, chartArea.bottom - chartArea.top);
+            phaseCtx.fillStyle = 'rgba(148, 163, 184, 0.4)';
+            phaseCtx.fillRect(left, chartArea.top, 1, chartArea.bottom - chartArea.top);
+            if (right - left > 40) {
+              phaseCtx.fillStyle = '#cbd5e1';
+              phaseCtx.font = '11px Inter, sans-serif';
+              phaseCtx.textAlign = 'left';
+              phaseCtx.fillText(phase.name, left + 4, chartArea.bottom - 6, right - left - 8);
+            }
+          });
+          phaseCtx.restore();
+        },
+        afterDatasetsDraw(chart) {
+          const marker = chart.$marker;
+          if (!marker) return;
+          const { ctx: markerCtx, chartArea, scales } = chart;
+          const x = scales.x.getPixelForValue(marker.timeSeconds);
+          if (x < chartArea.left || x > chartArea.right) return;
+          markerCtx.save();
+          markerCtx.strokeStyle = '#facc15';
+          markerCtx.lineWidth = 2;
+          markerCtx.setLineDash([6, 4]);
+          markerCtx.beginPath();
+          markerCtx.moveTo(x, chartArea.top);
+          markerCtx.lineTo(x, chartArea.bottom);
+          markerCtx.stroke();
+          if (marker.label) {
+            markerCtx.setLineDash([]);
+            markerCtx.fillStyle = '#facc15';
+            markerCtx.font = '12px Inter, sans-serif';
+            markerCtx.textAlign = x > (chartArea.left + chartArea.right) / 2 ? 'right' : 'left';
+            markerCtx.fillText(marker.label, x + (markerCtx.textAlign === 'left' ? 6 : -6), chartArea.top + 14);
+          }
+          markerCtx.restore();
+        }
+      };
+
+      const performanceChart = new Chart(ctx, {
         type: 'line',
+        plugins: [performanceMarkerPlugin],
         data: {
           datasets: [
             {
@@ -263,6 +349,13 @@ class PerformanceChartComponent {
         }
       });
 
+      // Lets other components point at a moment of the run on the timeline
+      window.highlightTimelineMoment = function(timeSeconds, label) {
+        performanceChart.$marker = { timeSeconds, label };
+        performanceChart.draw();
+        document.getElementById('performanceChart').scrollIntoView({ behavior: 'smooth', block: 'center' });
+      };
+
       // Initialize visualizations after DOM load
       document.addEventListener('DOMContentLoaded', function() {
         setTimeout(() => {
@@ -596,7 +689,7 @@ class ScalingProjectionsComponent {
 
 class BreakdownComponent {
   generateHTML(data) {
-    const { ecoScore, analysis } = data
+    const { ecoScore, analysis, metrics } = data
     
     return `
       <section class="breakdown-section">
@@ -631,25 +724,200 @@ class BreakdownComponent {
           <div class="breakdown-card">
             <h3>📊 Analysis Details</h3>
             <div class="details-list">
-              <div class="detail-item">
-                <span>Emission Factor</span>
-                <span>${analysis.emissionFactor} g/kWh</span>
-              </div>
+              ${this.generateGridDetails(analysis)}
+              ${this.generateMachineDetails(analysis.machine)}
               <div class="detail-item">
                 <span>Monitoring Interval</span>
                 <span>${analysis.monitoringInterval}ms</span>
               </div>
+              <div class="detail-item">
+                <span>Resource Accounting</span>
+                <span>${analysis.accounting && analysis.accounting.mode === 'cgroup' ? 'cgroup v2 (exact)' : 'Sampling'}</span>
+              </div>
+              ${analysis.accounting && analysis.accounting.reason ? `
+              <div class="detail-item">
+                <span>Accounting Note</span>
+                <span>${sanitizeString(analysis.accounting.reason)}</span>
+              </div>` : ''}
               <div class="detail-item">
                 <span>Analysis Time</span>
                 <span>${analysis.analysisTime.toFixed(0)}ms</span>
               </div>
+              ${this.generateRaplDetails(metrics, analysis.rapl)}
             </div>
           </div>
+
+          ${this.generateEnergyBreakdown(metrics, analysis)}
+          ${this.generateNetEnergy(metrics, analysis.baseline)}
         </div>
       </section>
     `
   }
 
+  generateEnergyBreakdown(metrics, analysis) {
+    const { energyBreakdown } = metrics
+    if (!energyBreakdown) return ''
+
+    const share = (kwh) => energyBreakdown.totalKwh > 0 ? (kwh / energyBreakdown.totalKwh) * 100 : 0
+    const rows = [
+      ['CPU', energyBreakdown.cpuKwh],
+      ['Memory', energyBreakdown.memoryKwh],
+      ['Storage I/O', energyBreakdown.storageKwh],
+      // Namespace traffic is only charged with --namespace-network
+      ...(analysis.namespaceNetwork ? [['Network', energyBreakdown.networkKwh]] : [])
+    ]
+
+    return `
+          <div class="breakdown-card">
+            <h3>⚡ Energy Breakdown</h3>
+            <div class="score-breakdown">
+              ${rows.map(([label, kwh]) => `
+                <div class="score-item">
+                  <span>${label}</span>
+                  <div class="score-bar">
+                    <div class="score-fill" style="width: ${share(kwh)}%"></div>
+                  </div>
+                  <span>${formatEnergy(kwh)}</span>
+                </div>
+              `).join('')}
+            </div>
+            <div class="details-list">
+              <div class="detail-item">
+                <span>Disk Read / Written</span>
+                <span>${formatBytes(metrics.diskReadBytes)} / ${formatBytes(metrics.diskWriteBytes)}</span>
+              </div>
+              <div class="detail-item">
+                <span>Namespace Network Received / Sent${analysis.namespaceNetwork ? '' : ' (not charged)'}</span>
+                <span>${formatBytes(metrics.networkRxBytes)} / ${formatBytes(metrics.networkTxBytes)}</span>
+              </div>
+              <div class="detail-item">
+                <span>Read / Write Syscalls</span>
+                <span>${metrics.readSyscalls.toLocaleString()} / ${metrics.writeSyscalls.toLocaleString()}</span>
+              </div>
+            </div>
+          </div>
+    `
+  }
+
+  generateNetEnergy(metrics, baseline) {
+    if (!baseline || metrics.netEnergyKwh === null) return ''
+
+    const netShare = metrics.energyKwh > 0 ? (metrics.netEnergyKwh / metrics.energyKwh) * 100 : 0
+
+    return `
+          <div class="breakdown-card">
+            <h3>🧮 Gross vs Net Energy</h3>
+            <div class="score-breakdown">
+              <div class="score-item">
+                <span>Your Code (net)</span>
+                <div class="score-bar">
+                  <div class="score-fill" style="width: ${netShare}%"></div>
+                </div>
+                <span>${formatEnergy(metrics.netEnergyKwh)}</span>
+              </div>
+              <div class="score-item">
+                <span>Node.js Baseline</span>
+                <div class="score-bar">
+                  <div class="score-fill" style="width: ${100 - netShare}%"></div>
+                </div>
+                <span>${formatEnergy(metrics.baselineEnergyKwh)}</span>
+              </div>
+            </div>
+            <div class="details-list">
+              <div class="detail-item">
+                <span>Gross Energy / CO₂</span>
+                <span>${formatEnergy(metrics.energyKwh)} / ${formatCO2(metrics.co2Grams)}</span>
+              </div>
+              <div class="detail-item">
+                <span>Net Energy / CO₂</span>
+                <span>${formatEnergy(metrics.netEnergyKwh)} / ${formatCO2(metrics.netCo2Grams)}</span>
+              </div>
+              <div class="detail-item">
+                <span>Baseline Run (node -e "")</span>
+                <span>${baseline.executionTime.toFixed(0)}ms, Node ${baseline.nodeVersion}</span>
+              </div>
+              <div class="detail-item">
+                <span>Calibrated</span>
+                <span>${new Date(baseline.calibratedAt).toLocaleString()}${baseline.cached ? ' (cached)' : ''}</span>
+              </div>
+            </div>
+          </div>
+    `
+  }
+
+  generateGridDetails(analysis) {
+    const { grid } = analysis
+    if (!grid) {
+      return `
+              <div class="detail-item">
+                <span>Emission Factor</span>
+                <span>${analysis.emissionFactor} g/kWh</span>
+              </div>
+      `
+    }
+
+    const source = [grid.source, grid.year].filter(Boolean).join(', ')
+    return `
+              <div class="detail-item">
+                <span>Grid Region</span>
+                <span>${sanitizeString(grid.code)} · ${sanitizeString(grid.name)}</span>
+              </div>
+              <div class="detail-item">
+                <span>Carbon Intensity</span>
+                <span>${grid.intensity.toFixed(0)} g/kWh${grid.profiled ? ` at ${String(grid.localHour).padStart(2, '0')}:00 local (annual ${grid.annualIntensity})` : ''}</span>
+              </div>
+              ${source ? `
+              <div class="detail-item">
+                <span>Intensity Source</span>
+                <span>${sanitizeString(source)}</span>
+              </div>
+              ` : ''}
+    `
+  }
+
+  generateMachineDetails(machine) {
+    if (!machine) return ''
+
+    return `
+              <div class="detail-item">
+                <span>Machine Profile</span>
+                <span title="${sanitizeString(machine.detected ? machine.detected.model : machine.description)}">${sanitizeString(machine.name)}</span>
+              </div>
+              <div class="detail-item">
+                <span>Machine Power</span>
+                <span>${machine.idleWatts.toFixed(1)}–${machine.maxWatts.toFixed(1)} W, ${machine.cores} cores</span>
+              </div>
+    `
+  }
+
+  generateRaplDetails(metrics, rapl) {
+    if (!rapl) return ''
+
+    if (!rapl.available) {
+      return `
+              <div class="detail-item">
+                <span>Measured Energy (RAPL)</span>
+                <span>Unavailable: ${sanitizeString(rapl.reason)}</span>
+              </div>
+      `
+    }
+
+    return `
+              <div class="detail-item">
+                <span>Modelled Energy</span>
+                <span>${formatEnergy(metrics.energyKwh)}</span>
+              </div>
+              <div class="detail-item">
+                <span>Measured Energy (RAPL)</span>
+                <span>${formatEnergy(metrics.measuredEnergyKwh)} (${rapl.attributedJoules.toFixed(3)} J)</span>
+              </div>
+              <div class="detail-item">
+                <span>Process Share of System CPU</span>
+                <span>${(rapl.cpuShare * 100).toFixed(1)}% of ${rapl.totalJoules.toFixed(2)} J</span>
+              </div>
+    `
+  }
+
   generateCSS() {
     return `
       .breakdown-section {
@@ -1,5 +1,5 @@
 import { IDashboardComponent } from '../../core/interfaces/Types.js'
-import { formatEnergy, formatCO2 } from '../../utils/Formatters.js'
+import { formatEnergy, formatCO2, sanitizeString } from '../../utils/Formatters.js'
 
 /**
  * Header component for the dashboard
@@ -7,7 +7,7 @@ import { formatEnergy, formatCO2 } from '../../utils/Formatters.js'
  */
 export class HeaderComponent extends IDashboardComponent {
   generateHTML(data) {
-    const { scriptName, timestamp, ecoScore } = data
+    const { scriptName, command, timestamp, ecoScore } = data
     
     return `
       <header class="header">
@@ -22,6 +22,7 @@ export class HeaderComponent extends IDashboardComponent {
           <div class="header-meta">
             <div class="script-info">
               <h2>${scriptName}</h2>
+              ${command ? `<p class="command-line"><code>${sanitizeString(command)}</code></p>` : ''}
               <p>Analyzed on ${new Date(timestamp).toLocaleString()}</p>
             </div>
             <div class="eco-score-badge">
@@ -119,6 +120,20 @@ export class HeaderComponent extends IDashboardComponent {
         font-size: 0.9rem;
       }
 
+      .script-info .command-line {
+        max-width: 480px;
+        margin: 0 0 5px auto;
+        overflow-wrap: anywhere;
+      }
+
+      .script-info .command-line code {
+        font-family: 'SFMono-Regular', Menlo, monospace;
+        font-size: 0.8rem;
+        background: rgba(15, 23, 42, 0.6);
+        padding: 2px 6px;
+        border-radius: 4px;
+      }
+
       .eco-score-badge {
         text-align: center;
       }
@@ -163,32 +178,43 @@ export class HeaderComponent extends IDashboardComponent {
  */
 export class QuickStatsComponent extends IDashboardComponent {
   generateHTML(data) {
-    const { metrics, analysis } = data
+    const { metrics, analysis, statistics } = data
+    // Repeated runs report medians, with the confidence interval of the mean below
+    const stats = statistics ? statistics.metrics : null
+    const energyKwh = stats ? stats.energyKwh.median : metrics.energyKwh
+    const co2Grams = stats ? stats.co2Grams.median : metrics.co2Grams
+    const executionTime = stats ? stats.executionTime.median : metrics.executionTime
     
     return `
       <section class="quick-stats">
         <div class="stat-card energy">
           <div class="stat-icon">⚡</div>
           <div class="stat-content">
-            <h3>Energy Consumed</h3>
-            <p class="stat-value">${formatEnergy(metrics.energyKwh)}</p>
-            <p class="stat-change">Peak: ${metrics.peakCpuUsage.toFixed(1)}% CPU</p>
+            <h3>Energy Consumed${stats ? ' (median)' : ''}</h3>
+            <p class="stat-value">${formatEnergy(energyKwh)}</p>
+            <p class="stat-change">${stats
+              ? `Mean ± ${formatEnergy(stats.energyKwh.ci95.margin)} (95% CI)`
+              : `Peak: ${metrics.peakCpuUsage.toFixed(1)}% CPU`}</p>
           </div>
         </div>
         <div class="stat-card co2">
           <div class="stat-icon">🌍</div>
           <div class="stat-content">
-            <h3>CO₂ Emissions</h3>
-            <p class="stat-value">${formatCO2(metrics.co2Grams)}</p>
-            <p class="stat-change">Factor: ${analysis.emissionFactor}g/kWh</p>
+            <h3>CO₂ Emissions${stats ? ' (median)' : ''}</h3>
+            <p class="stat-value">${formatCO2(co2Grams)}</p>
+            <p class="stat-change">${analysis.grid
+              ? `${sanitizeString(analysis.grid.code)}: ${analysis.grid.intensity.toFixed(0)}g/kWh`
+              : `Factor: ${analysis.emissionFactor}g/kWh`}</p>
           </div>
         </div>
         <div class="stat-card time">
           <div class="stat-icon">⏱️</div>
           <div class="stat-content">
-            <h3>Execution Time</h3>
-            <p class="stat-value">${metrics.executionTime.toFixed(0)}ms</p>
-            <p class="stat-change">${metrics.samples} samples</p>
+            <h3>Execution Time${stats ? ' (median)' : ''}</h3>
+            <p class="stat-value">${executionTime.toFixed(0)}ms</p>
+            <p class="stat-change">${stats
+              ? `${statistics.runCount} runs, σ ${stats.executionTime.stddev.toFixed(0)}ms`
+              : `${metrics.samples} samples`}</p>
           </div>
         </div>
         <div class="stat-card memory">
@@ -0,0 +1,647 @@
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { IDashboardComponent } from '../../core/interfaces/Types.js'
+import { sanitizeString, serializeForScript, formatEnergy, formatCO2, formatBytes } from '../../utils/Formatters.js'
+
+/**
+ * Format a profiler source location relative to the analyzed script
+ * @param {string} url - Script URL from the profile (file://, node:, or empty)
+ * @param {number} lineNumber - One-based line number
+ * @param {string} scriptPath - Path of the analyzed script
+ * @returns {string} Readable location, or '' for native frames
+ */
+export function formatSourceLocation(url, lineNumber, scriptPath) {
+  if (!url) return ''
+
+  let file = url
+  if (url.startsWith('file://')) {
+    const absolutePath = fileURLToPath(url)
+    const relativePath = path.relative(path.dirname(path.resolve(scriptPath)), absolutePath)
+    file = relativePath.startsWith('..') ? absolutePath : relativePath
+  }
+  return lineNumber > 0 ? `${file}:${lineNumber}` : file
+}
+
+/**
+ * Function energy component
+ * Lists the functions and files that consumed the most CPU energy according to the V8 CPU profile
+ */
+export class FunctionEnergyComponent extends IDashboardComponent {
+  generateHTML(data) {
+    const { functionEnergy, scriptPath } = data
+    if (!functionEnergy) return ''
+
+    const { functions, files } = functionEnergy
+    const maxShare = Math.max(...functions.map(fn => fn.selfShare), 0.0001)
+
+    return `
+      <section class="function-energy-section">
+        <h3>🔥 Top Energy-Consuming Functions</h3>
+        <p class="function-energy-note">
+          ${formatEnergy(functionEnergy.energyKwh)} of CPU energy distributed over
+          ${functionEnergy.activeMs.toFixed(0)}ms of sampled CPU time
+          (${functionEnergy.idleMs.toFixed(0)}ms idle excluded)
+        </p>
+        <div class="function-table">
+          <div class="function-row function-row-head">
+            <span>Function</span>
+            <span>Location</span>
+            <span>Self Share</span>
+            <span>Self Energy</span>
+            <span>Self CO₂</span>
+            <span>Total (incl. callees)</span>
+          </div>
+          ${functions.map(fn => `
+            <div class="function-row">
+              <span class="function-name">${sanitizeString(fn.functionName)}</span>
+              <span class="function-location">${sanitizeString(formatSourceLocation(fn.url, fn.lineNumber, scriptPath)) || '<em>native</em>'}</span>
+              <span class="function-share">
+                <span class="function-share-bar"><span class="function-share-fill" style="width: ${(fn.selfShare / maxShare * 100).toFixed(1)}%"></span></span>
+                ${(fn.selfShare * 100).toFixed(1)}%
+              </span>
+              <span>${formatEnergy(fn.selfEnergyKwh)}</span>
+              <span>${formatCO2(fn.selfCo2Grams)}</span>
+              <span>${(fn.totalShare * 100).toFixed(1)}% · ${fn.totalTimeMs.toFixed(1)}ms</span>
+            </div>
+          `).join('')}
+        </div>
+        ${files.length > 0 ? `
+          <h4 class="function-files-title">By File</h4>
+          <div class="function-files">
+            ${files.map(file => `
+              <div class="function-file">
+                <span class="function-location">${sanitizeString(formatSourceLocation(file.url, 0, scriptPath))}</span>
+                <strong>${(file.share * 100).toFixed(1)}%</strong>
+                <span>${formatEnergy(file.energyKwh)} · ${formatCO2(file.co2Grams)}</span>
+              </div>
+            `).join('')}
+          </div>
+        ` : ''}
+      </section>
+    `
+  }
+
+  generateCSS() {
+    return `
+      .function-energy-section {
+        padding: 40px;
+        background: rgba(15, 23, 42, 0.3);
+        border-top: 1px solid rgba(148, 163, 184, 0.2);
+      }
+
+      .function-energy-section h3 {
+        font-size: 1.5rem;
+        font-weight: 600;
+        margin-bottom: 8px;
+        color: #f1f5f9;
+      }
+
+      .function-energy-note {
+        color: #94a3b8;
+        font-size: 0.9rem;
+        margin-bottom: 24px;
+      }
+
+      .function-table,
+      .function-files {
+        background: rgba(30, 41, 59, 0.8);
+        border-radius: 16px;
+        padding: 16px 24px;
+        box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
+        border: 1px solid rgba(148, 163, 184, 0.2);
+      }
+
+      .function-row {
+        display: grid;
+        grid-template-columns: 1.5fr 2fr 1.5fr 1fr 1fr 1.2fr;
+        gap: 12px;
+        align-items: center;
+        padding: 10px 0;
+        border-bottom: 1px solid rgba(148, 163, 184, 0.1);
+        font-size: 0.9rem;
+        color: #cbd5e1;
+      }
+
+      .function-row:last-child {
+        border-bottom: none;
+      }
+
+      .function-row-head {
+        font-size: 0.8rem;
+        text-transform: uppercase;
+        letter-spacing: 0.5px;
+        color: #94a3b8;
+      }
+
+      .function-name {
+        color: #f1f5f9;
+        font-weight: 600;
+        overflow: hidden;
+        text-overflow: ellipsis;
+      }
+
+      .function-location {
+        font-family: 'SFMono-Regular', Menlo, monospace;
+        font-size: 0.8rem;
+        white-space: nowrap;
+        overflow: hidden;
+        text-overflow: ellipsis;
+      }
+
+      .function-share {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+      }
+
+      .function-share-bar {
+        flex: 1;
+        height: 8px;
+        background: rgba(148, 163, 184, 0.2);
+        border-radius: 4px;
+        overflow: hidden;
+      }
+
+      .function-share-fill {
+        display: block;
+        height: 100%;
+        background: linear-gradient(90deg, #f59e0b, #dc2626);
+      }
+
+      .function-files-title {
+        color: #f1f5f9;
+        margin: 24px 0 12px;
+      }
+
+      .function-file {
+        display: grid;
+        grid-template-columns: 3fr 80px 1.5fr;
+        gap: 12px;
+        padding: 8px 0;
+        color: #cbd5e1;
+        font-size: 0.9rem;
+        border-bottom: 1px solid rgba(148, 163, 184, 0.1);
+      }
+
+      .function-file:last-child {
+        border-bottom: none;
+      }
+    `
+  }
+}
+
+/**
+ * Heap allocation component
+ * Attributes memory energy to allocation sites from the sampling heap profile
+ * and calls out allocation-heavy functions
+ */
+export class HeapAllocationComponent extends IDashboardComponent {
+  generateHTML(data) {
+    const { heapAllocations, scriptPath } = data
+    if (!heapAllocations) return ''
+
+    const { sites, heavyFunctions } = heapAllocations
+    const maxShare = Math.max(...sites.map(site => site.selfShare), 0.0001)
+
+    return `
+      <section class="heap-section">
+        <h3>🧮 Memory Energy by Allocation Site</h3>
+        <p class="heap-note">
+          ${formatEnergy(heapAllocations.energyKwh)} of memory energy distributed over
+          ${formatBytes(heapAllocations.totalBytes)} of sampled allocations (including objects already collected)
+        </p>
+        ${heavyFunctions.length > 0 ? `
+          <div class="heap-heavy">
+            ${heavyFunctions.map(site => `
+              <div class="heap-heavy-card">
+                <h4>⚠️ ${sanitizeString(site.functionName)}</h4>
+                <p>
+                  Allocates ${(site.totalShare * 100).toFixed(0)}% of all memory (${formatBytes(site.totalBytes)}, including callees)
+                  at <code>${sanitizeString(formatSourceLocation(site.url, site.lineNumber, scriptPath))}</code>.
+                  Reuse buffers or objects to cut GC work and memory energy.
+                </p>
+              </div>
+            `).join('')}
+          </div>
+        ` : ''}
+        <div class="function-table">
+          <div class="function-row function-row-head">
+            <span>Function</span>
+            <span>Location</span>
+            <span>Allocated</span>
+            <span>Memory Energy</span>
+            <span>CO₂</span>
+            <span>Total (incl. callees)</span>
+          </div>
+          ${sites.map(site => `
+            <div class="function-row${site.heavy ? ' heap-row-heavy' : ''}">
+              <span class="function-name">${sanitizeString(site.functionName)}</span>
+              <span class="function-location">${sanitizeString(formatSourceLocation(site.url, site.lineNumber, scriptPath)) || '<em>native</em>'}</span>
+              <span class="function-share">
+                <span class="function-share-bar"><span class="heap-share-fill" style="width: ${(site.selfShare / maxShare * 100).toFixed(1)}%"></span></span>
+                ${formatBytes(site.selfBytes)}
+              </span>
+              <span>${formatEnergy(site.energyKwh)}</span>
+              <span>${formatCO2(site.co2Grams)}</span>
+              <span>${(site.totalShare * 100).toFixed(1)}% · ${formatBytes(site.totalBytes)}</span>
+            </div>
+          `).join('')}
+        </div>
+      </section>
+    `
+  }
+
+  generateCSS() {
+    return `
+      .heap-section {
+        padding: 40px;
+        background: rgba(15, 23, 42, 0.3);
+        border-top: 1px solid rgba(148, 163, 184, 0.2);
+      }
+
+      .heap-section h3 {
+        font-size: 1.5rem;
+        font-weight: 600;
+        margin-bottom: 8px;
+        color: #f1f5f9;
+      }
+
+      .heap-note {
+        color: #94a3b8;
+        font-size: 0.9rem;
+        margin-bottom: 24px;
+      }
+
+      .heap-heavy {
+        display: grid;
+        grid-template-columns: repeat(auto-fit, minmax(300px, 1fr));
+        gap: 16px;
+        margin-bottom: 24px;
+      }
+
+      .heap-heavy-card {
+        background: rgba(30, 41, 59, 0.8);
+        border-radius: 12px;
+        padding: 16px 20px;
+        border-left: 4px solid #f59e0b;
+      }
+
+      .heap-heavy-card h4 {
+        color: #f1f5f9;
+        margin-bottom: 6px;
+      }
+
+      .heap-heavy-card p {
+        color: #cbd5e1;
+        font-size: 0.9rem;
+      }
+
+      .heap-row-heavy .function-name {
+        color: #f59e0b;
+      }
+
+      .heap-share-fill {
+        display: block;
+        height: 100%;
+        background: linear-gradient(90deg, #8b5cf6, #3b82f6);
+      }
+    `
+  }
+}
+
+/**
+ * Energy flame graph component
+ * Self-contained canvas flame graph where frame width follows estimated CO₂ (or CPU time),
+ * with search, click-to-zoom and a weighting toggle
+ */
+export class FlameGraphComponent extends IDashboardComponent {
+  generateHTML(data) {
+    const { flameGraph } = data
+    if (!flameGraph) return ''
+
+    return `
+      <section class="flame-section">
+        <h3>🔥 Energy Flame Graph</h3>
+        <div class="flame-toolbar">
+          <div class="flame-toggle">
+            <button class="flame-metric active" data-metric="co2">CO₂ weighted</button>
+            <button class="flame-metric" data-metric="time">CPU time</button>
+          </div>
+          <input type="search" id="flameSearch" class="flame-search" placeholder="Search functions...">
+          <span id="flameSearchResult" class="flame-search-result"></span>
+          <button id="flameReset" class="flame-reset">Reset zoom</button>
+        </div>
+        <div id="flameBreadcrumb" class="flame-breadcrumb"></div>
+        <div class="flame-container">
+          <canvas id="flameGraphCanvas"></canvas>
+          <div id="flameTooltip" class="flame-tooltip"></div>
+        </div>
+        <p class="flame-note">
+          ${formatCO2(flameGraph.co2Grams)} (${formatEnergy(flameGraph.energyKwh)}) of CPU energy over
+          ${flameGraph.timeMs.toFixed(0)}ms of sampled CPU time. Frames are weighted by the process CPU usage
+          at the moment they ran. Click a frame to zoom in.
+        </p>
+      </section>
+    `
+  }
+
+  generateCSS() {
+    return `
+      .flame-section {
+        padding: 40px;
+        background: rgba(15, 23, 42, 0.3);
+        border-top: 1px solid rgba(148, 163, 184, 0.2);
+      }
+
+      .flame-section h3 {
+        font-size: 1.5rem;
+        font-weight: 600;
+        margin-bottom: 16px;
+        color: #f1f5f9;
+      }
+
+      .flame-toolbar {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 12px;
+        margin-bottom: 12px;
+      }
+
+      .flame-toggle {
+        display: flex;
+        border-radius: 8px;
+        overflow: hidden;
+        border: 1px solid rgba(148, 163, 184, 0.3);
+      }
+
+      .flame-toolbar button {
+        background: rgba(30, 41, 59, 0.8);
+        color: #cbd5e1;
+        border: none;
+        padding: 8px 14px;
+        cursor: pointer;
+        font-size: 0.85rem;
+      }
+
+      .flame-toolbar button.active {
+        background: #16a34a;
+        color: #f1f5f9;
+      }
+
+      .flame-reset {
+        border-radius: 8px;
+        border: 1px solid rgba(148, 163, 184, 0.3) !important;
+      }
+
+      .flame-search {
+        flex: 1;
+        min-width: 200px;
+        background: rgba(30, 41, 59, 0.8);
+        border: 1px solid rgba(148, 163, 184, 0.3);
+        border-radius: 8px;
+        padding: 8px 12px;
+        color: #f1f5f9;
+      }
+
+      .flame-search-result,
+      .flame-breadcrumb {
+        color: #94a3b8;
+        font-size: 0.85rem;
+      }
+
+      .flame-breadcrumb {
+        margin-bottom: 8px;
+        font-family: 'SFMono-Regular', Menlo, monospace;
+      }
+
+      .flame-container {
+        position: relative;
+        background: rgba(30, 41, 59, 0.8);
+        border-radius: 16px;
+        padding: 16px;
+        border: 1px solid rgba(148, 163, 184, 0.2);
+        max-height: 600px;
+        overflow-y: auto;
+      }
+
+      .flame-container canvas {
+        display: block;
+        width: 100%;
+        cursor: pointer;
+      }
+
+      .flame-tooltip {
+        position: absolute;
+        display: none;
+        pointer-events: none;
+        background: rgba(15, 23, 42, 0.95);
+        border: 1px solid rgba(148, 163, 184, 0.3);
+        border-radius: 8px;
+        padding: 8px 12px;
+        color: #f1f5f9;
+        font-size: 0.8rem;
+        white-space: pre;
+        z-index: 10;
+      }
+
+      .flame-note {
+        color: #94a3b8;
+        font-size: 0.85rem;
+        margin-top: 12px;
+      }
+    `
+  }
+
+  generateJavaScript(data) {
+    const { flameGraph, scriptPath } = data
+    if (!flameGraph) return ''
+
+    // Short keys keep large profiles from bloating the report
+    const compact = (node) => ({
+      n: node.name,
+      l: formatSourceLocation(node.url, node.lineNumber, scriptPath),
+      t: node.timeMs,
+      s: node.selfTimeMs,
+      e: node.energyKwh,
+      c: node.co2Grams,
+      ch: node.children.map(compact)
+    })
+
+    return `
+      // Energy Flame Graph
+      const flameGraphData = ${serializeForScript(compact(flameGraph.root))};
+      const flameCanvas = document.getElementById('flameGraphCanvas');
+      const flameCtx = flameCanvas.getContext('2d');
+      const flameTooltip = document.getElementById('flameTooltip');
+      const flameRowHeight = 20;
+      const flameState = { metric: 'co2', path: [flameGraphData], search: '', rects: [] };
+
+      function flameValue(node) {
+        return flameState.metric === 'time' ? node.t : node.c;
+      }
+
+      function flameDepth(node) {
+        return 1 + node.ch.reduce((max, child) => Math.max(max, flameDepth(child)), 0);
+      }
+
+      function flameMatches(node) {
+        return flameState.search !== '' &&
+          (node.n.toLowerCase().includes(flameState.search) || node.l.toLowerCase().includes(flameState.search));
+      }
+
+      function flameColor(node) {
+        if (flameState.search !== '') return flameMatches(node) ? '#a855f7' : 'rgba(100, 116, 139, 0.5)';
+        let hash = 0;
+        for (let i = 0; i < node.n.length; i++) hash = (hash * 31 + node.n.charCodeAt(i)) % 360;
+        return 'hsl(' + (hash % 50 + 10) + ', 80%, ' + (node.l ? 55 : 40) + '%)';
+      }
+
+      function formatFlameCO2(grams) {
+        if (grams < 0.001) return (grams * 1000000).toFixed(2) + ' µg';
+        if (grams < 1) return (grams * 1000).toFixed(2) + ' mg';
+        return grams.toFixed(3) + ' g';
+      }
+
+      function formatFlameEnergy(kwh) {
+        if (kwh < 0.000001) return (kwh * 1000000000).toFixed(2) + ' nWh';
+        if (kwh < 0.001) return (kwh * 1000000).toFixed(2) + ' µWh';
+        return (kwh * 1000).toFixed(2) + ' mWh';
+      }
+
+      function drawFlameGraph() {
+        const focus = flameState.path[flameState.path.length - 1];
+        const width = flameCanvas.parentElement.clientWidth - 32;
+        const height = flameDepth(focus) * flameRowHeight;
+        const ratio = window.devicePixelRatio || 1;
+
+        flameCanvas.width = width * ratio;
+        flameCanvas.height = height * ratio;
+        flameCanvas.style.height = height + 'px';
+        flameCtx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        flameCtx.clearRect(0, 0, width, height);
+        flameCtx.font = '12px SFMono-Regular, Menlo, monospace';
+        flameCtx.textBaseline = 'middle';
+        flameState.rects = [];
+
+        function layout(node, x, w, depth) {
+          const y = depth * flameRowHeight;
+          flameState.rects.push({ node, x, y, w });
+          flameCtx.fillStyle = flameColor(node);
+          flameCtx.fillRect(x, y, Math.max(w - 1, 0.5), flameRowHeight - 1);
+
+          if (w > 40) {
+            const maxChars = Math.floor((w - 8) / 7);
+            const label = node.n.length > maxChars ? node.n.slice(0, maxChars - 1) + '…' : node.n;
+            flameCtx.fillStyle = '#0f172a';
+            flameCtx.fillText(label, x + 4, y + flameRowHeight / 2);
+          }
+
+          const total = flameValue(node);
+          if (total <= 0) return;
+          let childX = x;
+          node.ch.forEach(child => {
+            const childWidth = w * flameValue(child) / total;
+            if (childWidth >= 0.5) layout(child, childX, childWidth, depth + 1);
+            childX += childWidth;
+          });
+        }
+
+        layout(focus, 0, width, 0);
+        document.getElementById('flameBreadcrumb').textContent = flameState.path.map(node => node.n).join(' › ');
+        updateFlameSearchResult(focus);
+      }
+
+      function updateFlameSearchResult(focus) {
+        const result = document.getElementById('flameSearchResult');
+        if (flameState.search === '') {
+          result.textContent = '';
+          return;
+        }
+        // Count the outermost matching frames only, so recursion is not double counted
+        function matched(node) {
+          if (flameMatches(node)) return flameValue(node);
+          return node.ch.reduce((sum, child) => sum + matched(child), 0);
+        }
+        const total = flameValue(focus);
+        const share = total > 0 ? matched(focus) / total * 100 : 0;
+        result.textContent = 'Matched: ' + share.toFixed(1) + '%';
+      }
+
+      function findFlameRect(event) {
+        const bounds = flameCanvas.getBoundingClientRect();
+        const x = event.clientX - bounds.left;
+        const y = event.clientY - bounds.top;
+        return flameState.rects.find(rect => x >= rect.x && x < rect.x + rect.w && y >= rect.y && y < rect.y + flameRowHeight);
+      }
+
+      flameCanvas.addEventListener('click', event => {
+        const rect = findFlameRect(event);
+        if (!rect) return;
+        const index = flameState.path.indexOf(rect.node);
+        if (index >= 0) {
+          flameState.path = flameState.path.slice(0, index + 1);
+        } else {
+          // Rebuild the ancestor chain of the clicked frame below the current focus
+          const focus = flameState.path[flameState.path.length - 1];
+          function chain(node) {
+            if (node === rect.node) return [node];
+            for (const child of node.ch) {
+              const found = chain(child);
+              if (found) return [node].concat(found);
+            }
+            return null;
+          }
+          flameState.path = flameState.path.slice(0, -1).concat(chain(focus));
+        }
+        drawFlameGraph();
+      });
+
+      flameCanvas.addEventListener('mousemove', event => {
+        const rect = findFlameRect(event);
+        if (!rect) {
+          flameTooltip.style.display = 'none';
+          return;
+        }
+        const node = rect.node;
+        const rootTime = flameGraphData.t || 1;
+        flameTooltip.textContent = [
+          node.n,
+          node.l || 'native',
+          'CPU time: ' + node.t.toFixed(1) + 'ms (' + (node.t / rootTime * 100).toFixed(1) + '%), self ' + node.s.toFixed(1) + 'ms',
+          'Energy: ' + formatFlameEnergy(node.e),
+          'CO₂: ' + formatFlameCO2(node.c)
+        ].join('\\n');
+        flameTooltip.style.display = 'block';
+        flameTooltip.style.left = (rect.x + 16 + Math.min(event.offsetX - rect.x, rect.w)) + 'px';
+        flameTooltip.style.top = (rect.y + flameRowHeight + 20) + 'px';
+      });
+
+      flameCanvas.addEventListener('mouseleave', () => {
+        flameTooltip.style.display = 'none';
+      });
+
+      document.querySelectorAll('.flame-metric').forEach(button => {
+        button.addEventListener('click', () => {
+          document.querySelectorAll('.flame-metric').forEach(other => other.classList.remove('active'));
+          button.classList.add('active');
+          flameState.metric = button.dataset.metric;
+          drawFlameGraph();
+        });
+      });
+
+      document.getElementById('flameSearch').addEventListener('input', event => {
+        flameState.search = event.target.value.trim().toLowerCase();
+        drawFlameGraph();
+      });
+
+      document.getElementById('flameReset').addEventListener('click', () => {
+        flameState.path = [flameGraphData];
+        drawFlameGraph();
+      });
+
+      window.addEventListener('resize', drawFlameGraph);
+      drawFlameGraph();
+    `
+  }
+}
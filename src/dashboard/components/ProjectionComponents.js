@@ -0,0 +1,269 @@
+import { IDashboardComponent } from '../../core/interfaces/Types.js'
+import { formatEnergy, formatCO2, formatDuration, formatStartTime, sanitizeString, serializeForScript } from '../../utils/Formatters.js'
+
+/**
+ * Cloud projection component
+ * Shows the run's energy and CO₂ on the --target-instance next to the local estimate
+ */
+export class CloudProjectionComponent extends IDashboardComponent {
+  generateHTML(data) {
+    const { cloudProjection } = data
+    if (!cloudProjection) return ''
+
+    const { instance, local, ratio } = cloudProjection
+    const comparison = ratio === null
+      ? ''
+      : ratio >= 1
+        ? `${ratio.toFixed(1)}× the local estimate`
+        : `${(1 / ratio).toFixed(1)}× less than the local estimate`
+    const warnings = [
+      cloudProjection.cpuSaturated && `The run used more CPU than ${instance.vcpus} vCPUs provide, so it would take about ${formatDuration(cloudProjection.executionTime)} there.`,
+      cloudProjection.memoryExceeded && `The run used more memory than the instance's ${instance.memoryGB} GB.`
+    ].filter(Boolean)
+
+    return `
+      <section class="cloud-section">
+        <h3>☁️ Where It Will Really Run</h3>
+        <p class="cloud-note">
+          The same CPU-seconds and memory on ${sanitizeString(instance.providerName)} <code>${sanitizeString(instance.type)}</code>:
+          ${instance.vcpus} vCPU ${sanitizeString(instance.microarchitecture)}, ${instance.memoryGB} GB, PUE ${instance.pue}.
+        </p>
+        <div class="cloud-grid">
+          <div class="cloud-card">
+            <span class="cloud-label">This Machine</span>
+            <span class="cloud-value local">${formatEnergy(local.energyKwh)}</span>
+            <span class="cloud-sub">${formatCO2(local.co2Grams)} CO₂</span>
+          </div>
+          <div class="cloud-card">
+            <span class="cloud-label">${sanitizeString(instance.id)}</span>
+            <span class="cloud-value">${formatEnergy(cloudProjection.energyKwh)}</span>
+            <span class="cloud-sub">${formatCO2(cloudProjection.co2Grams)} CO₂${comparison ? ` · ${comparison}` : ''}</span>
+          </div>
+          <div class="cloud-card">
+            <span class="cloud-label">Instance Utilization</span>
+            <span class="cloud-value">${(cloudProjection.utilization * 100).toFixed(1)}%</span>
+            <span class="cloud-sub">CPU ${formatEnergy(cloudProjection.cpuKwh)}, memory ${formatEnergy(cloudProjection.memoryKwh)}</span>
+          </div>
+        </div>
+        ${warnings.map(warning => `<p class="cloud-warning">⚠️ ${warning}</p>`).join('')}
+      </section>
+    `
+  }
+
+  generateCSS() {
+    return `
+      .cloud-section {
+        padding: 40px;
+        background: rgba(15, 23, 42, 0.3);
+        border-top: 1px solid rgba(148, 163, 184, 0.2);
+      }
+
+      .cloud-section h3 {
+        font-size: 1.5rem;
+        font-weight: 600;
+        margin-bottom: 8px;
+        color: #f1f5f9;
+      }
+
+      .cloud-note {
+        color: #94a3b8;
+        font-size: 0.9rem;
+        margin-bottom: 24px;
+      }
+
+      .cloud-grid {
+        display: grid;
+        grid-template-columns: repeat(auto-fit, minmax(220px, 1fr));
+        gap: 20px;
+      }
+
+      .cloud-card {
+        display: flex;
+        flex-direction: column;
+        gap: 6px;
+        background: rgba(30, 41, 59, 0.8);
+        border-radius: 16px;
+        padding: 24px;
+        box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
+        border: 1px solid rgba(148, 163, 184, 0.2);
+      }
+
+      .cloud-label {
+        font-size: 0.8rem;
+        text-transform: uppercase;
+        letter-spacing: 0.5px;
+        color: #94a3b8;
+      }
+
+      .cloud-value {
+        font-size: 1.6rem;
+        font-weight: 700;
+        color: #38bdf8;
+      }
+
+      .cloud-value.local {
+        color: #22c55e;
+      }
+
+      .cloud-sub {
+        color: #cbd5e1;
+        font-size: 0.9rem;
+      }
+
+      .cloud-warning {
+        color: #fbbf24;
+        font-size: 0.9rem;
+        margin-top: 16px;
+      }
+    `
+  }
+}
+
+/**
+ * Carbon schedule component
+ * Compares running the job now with the greenest start in the intensity forecast
+ */
+export class CarbonScheduleComponent extends IDashboardComponent {
+  generateHTML(data) {
+    const { schedule } = data
+    if (!schedule) return ''
+
+    const { now, best } = schedule
+    const alreadyGreenest = best.start === now.start
+
+    return `
+      <section class="schedule-section">
+        <h3>🗓️ When to Run It</h3>
+        <p class="schedule-note">
+          Each bar is a start time in the next ${formatDuration(schedule.horizonMs)}, scored by the average grid intensity
+          over the ${formatDuration(schedule.windowMs)} the job runs.
+        </p>
+        <div class="schedule-grid">
+          <div class="schedule-card">
+            <span class="schedule-label">Now (${formatStartTime(now.start)})</span>
+            <span class="schedule-value">${formatCO2(now.co2Grams)}</span>
+            <span class="schedule-sub">${now.intensity.toFixed(0)} g CO₂/kWh</span>
+          </div>
+          <div class="schedule-card">
+            <span class="schedule-label">Greenest Start</span>
+            <span class="schedule-value best">${alreadyGreenest ? 'Now' : formatStartTime(best.start)}</span>
+            <span class="schedule-sub">${best.intensity.toFixed(0)} g CO₂/kWh · ${formatCO2(best.co2Grams)} CO₂</span>
+          </div>
+          <div class="schedule-card">
+            <span class="schedule-label">CO₂ Saved</span>
+            <span class="schedule-value best">${formatCO2(schedule.savedGrams)}</span>
+            <span class="schedule-sub">${(schedule.savedShare * 100).toFixed(0)}% less than running now</span>
+          </div>
+        </div>
+        <div class="schedule-chart-wrapper">
+          <canvas id="scheduleChart"></canvas>
+        </div>
+      </section>
+    `
+  }
+
+  generateCSS() {
+    return `
+      .schedule-section {
+        padding: 40px;
+        background: rgba(15, 23, 42, 0.3);
+        border-top: 1px solid rgba(148, 163, 184, 0.2);
+      }
+
+      .schedule-section h3 {
+        font-size: 1.5rem;
+        font-weight: 600;
+        margin-bottom: 8px;
+        color: #f1f5f9;
+      }
+
+      .schedule-note {
+        color: #94a3b8;
+        font-size: 0.9rem;
+        margin-bottom: 24px;
+      }
+
+      .schedule-grid {
+        display: grid;
+        grid-template-columns: repeat(auto-fit, minmax(220px, 1fr));
+        gap: 20px;
+        margin-bottom: 24px;
+      }
+
+      .schedule-card {
+        display: flex;
+        flex-direction: column;
+        gap: 6px;
+        background: rgba(30, 41, 59, 0.8);
+        border-radius: 16px;
+        padding: 24px;
+        box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
+        border: 1px solid rgba(148, 163, 184, 0.2);
+      }
+
+      .schedule-label {
+        font-size: 0.8rem;
+        text-transform: uppercase;
+        letter-spacing: 0.5px;
+        color: #94a3b8;
+      }
+
+      .schedule-value {
+        font-size: 1.6rem;
+        font-weight: 700;
+        color: #38bdf8;
+      }
+
+      .schedule-value.best {
+        color: #22c55e;
+      }
+
+      .schedule-sub {
+        color: #cbd5e1;
+        font-size: 0.9rem;
+      }
+
+      .schedule-chart-wrapper {
+        position: relative;
+        height: 260px;
+      }
+    `
+  }
+
+  generateJavaScript(data) {
+    const { schedule } = data
+    if (!schedule) return ''
+
+    const slots = schedule.timeline.map(slot => ({
+      label: formatStartTime(slot.start),
+      intensity: Math.round(slot.intensity),
+      kind: slot.start === schedule.best.start ? 'best' : slot.start === schedule.now.start ? 'now' : 'other'
+    }))
+
+    return `
+      // Carbon Schedule Chart
+      const scheduleSlots = ${serializeForScript(slots)};
+      const scheduleColors = { best: '#22c55e', now: '#38bdf8', other: 'rgba(148, 163, 184, 0.5)' };
+      new Chart(document.getElementById('scheduleChart').getContext('2d'), {
+        type: 'bar',
+        data: {
+          labels: scheduleSlots.map(slot => slot.label),
+          datasets: [{
+            label: 'Grid intensity over the run (g CO₂/kWh)',
+            data: scheduleSlots.map(slot => slot.intensity),
+            backgroundColor: scheduleSlots.map(slot => scheduleColors[slot.kind])
+          }]
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          plugins: { legend: { labels: { color: '#cbd5e1' } } },
+          scales: {
+            x: { ticks: { color: '#94a3b8', maxRotation: 60 } },
+            y: { min: 0, title: { display: true, text: 'g CO₂/kWh', color: '#94a3b8' }, ticks: { color: '#94a3b8' } }
+          }
+        }
+      });
+    `
+  }
+}
@@ -0,0 +1,680 @@
+import { IDashboardComponent } from '../../core/interfaces/Types.js'
+import { sanitizeString, formatEnergy, formatCO2 } from '../../utils/Formatters.js'
+
+/**
+ * Process tree component
+ * Shows how CPU and memory were spread across the analyzed process and its children
+ */
+export class ProcessTreeComponent extends IDashboardComponent {
+  generateHTML(data) {
+    const { processes } = data
+
+    // A single process has nothing to break down
+    if (!processes || processes.length < 2) return ''
+
+    return `
+      <section class="process-tree-section">
+        <h3>🌳 Process Tree Breakdown</h3>
+        <div class="process-table">
+          <div class="process-row process-row-head">
+            <span>PID</span>
+            <span>Command</span>
+            <span>CPU Share</span>
+            <span>Peak CPU</span>
+            <span>Peak Memory</span>
+            <span>Lifetime</span>
+          </div>
+          ${processes.map(proc => `
+            <div class="process-row">
+              <span class="process-pid">${proc.pid}</span>
+              <span class="process-command" title="${sanitizeString(proc.command)}">${sanitizeString(this.truncate(proc.command, 80))}</span>
+              <span class="process-share">
+                <span class="process-share-bar"><span class="process-share-fill" style="width: ${(proc.cpuShare * 100).toFixed(1)}%"></span></span>
+                ${(proc.cpuShare * 100).toFixed(1)}%
+              </span>
+              <span>${proc.peakCpu.toFixed(1)}%</span>
+              <span>${proc.peakMemoryMB.toFixed(1)}MB</span>
+              <span>${proc.firstSeen.toFixed(2)}s – ${proc.lastSeen.toFixed(2)}s</span>
+            </div>
+          `).join('')}
+        </div>
+      </section>
+    `
+  }
+
+  truncate(text, maxLength) {
+    if (!text) return '(unknown)'
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text
+  }
+
+  generateCSS() {
+    return `
+      .process-tree-section {
+        padding: 40px;
+        background: rgba(15, 23, 42, 0.3);
+        border-top: 1px solid rgba(148, 163, 184, 0.2);
+      }
+
+      .process-tree-section h3 {
+        font-size: 1.5rem;
+        font-weight: 600;
+        margin-bottom: 24px;
+        color: #f1f5f9;
+      }
+
+      .process-table {
+        background: rgba(30, 41, 59, 0.8);
+        border-radius: 16px;
+        padding: 16px 24px;
+        box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
+        border: 1px solid rgba(148, 163, 184, 0.2);
+      }
+
+      .process-row {
+        display: grid;
+        grid-template-columns: 80px 3fr 2fr 1fr 1fr 1.2fr;
+        gap: 12px;
+        align-items: center;
+        padding: 10px 0;
+        border-bottom: 1px solid rgba(148, 163, 184, 0.1);
+        font-size: 0.9rem;
+        color: #cbd5e1;
+      }
+
+      .process-row:last-child {
+        border-bottom: none;
+      }
+
+      .process-row-head {
+        font-size: 0.8rem;
+        text-transform: uppercase;
+        letter-spacing: 0.5px;
+        color: #94a3b8;
+      }
+
+      .process-command {
+        font-family: 'SFMono-Regular', Menlo, monospace;
+        white-space: nowrap;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        color: #f1f5f9;
+      }
+
+      .process-share {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+      }
+
+      .process-share-bar {
+        flex: 1;
+        height: 8px;
+        background: rgba(148, 163, 184, 0.2);
+        border-radius: 4px;
+        overflow: hidden;
+      }
+
+      .process-share-fill {
+        display: block;
+        height: 100%;
+        background: linear-gradient(90deg, #22c55e, #16a34a);
+      }
+    `
+  }
+}
+
+/**
+ * Runtime telemetry component
+ * Explains why CPU was high using event loop, GC and heap telemetry from the preload
+ */
+export class RuntimeTelemetryComponent extends IDashboardComponent {
+  generateHTML(data) {
+    const { runtime } = data
+    if (!runtime) return ''
+
+    return `
+      <section class="runtime-section">
+        <h3>🧠 Runtime Insights</h3>
+        <div class="runtime-grid">
+          <div class="runtime-chart-card">
+            <div class="runtime-chart-wrapper">
+              <canvas id="runtimeTelemetryChart"></canvas>
+            </div>
+          </div>
+          <div class="runtime-findings">
+            ${runtime.findings.map(finding => `
+              <div class="runtime-finding ${finding.key}">
+                <h4>${finding.label}</h4>
+                <p>${finding.description}</p>
+              </div>
+            `).join('')}
+            <div class="runtime-stats">
+              <div><span>Event Loop Utilization</span><strong>${(runtime.avgEventLoopUtilization * 100).toFixed(0)}%</strong></div>
+              <div><span>Max Event Loop Delay</span><strong>${runtime.maxEventLoopDelayMs.toFixed(0)}ms</strong></div>
+              <div><span>GC Pauses</span><strong>${runtime.gcPauseMs.toFixed(0)}ms (${runtime.gcCount})</strong></div>
+              <div><span>Peak Heap Used</span><strong>${runtime.peakHeapUsedMB.toFixed(1)}MB</strong></div>
+            </div>
+          </div>
+        </div>
+      </section>
+    `
+  }
+
+  generateCSS() {
+    return `
+      .runtime-section {
+        padding: 40px;
+        background: rgba(15, 23, 42, 0.3);
+        border-top: 1px solid rgba(148, 163, 184, 0.2);
+      }
+
+      .runtime-section h3 {
+        font-size: 1.5rem;
+        font-weight: 600;
+        margin-bottom: 24px;
+        color: #f1f5f9;
+      }
+
+      .runtime-grid {
+        display: grid;
+        grid-template-columns: 2fr 1fr;
+        gap: 30px;
+        align-items: start;
+      }
+
+      .runtime-chart-card {
+        background: rgba(30, 41, 59, 0.8);
+        border-radius: 16px;
+        padding: 24px;
+        box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
+        border: 1px solid rgba(148, 163, 184, 0.2);
+      }
+
+      .runtime-chart-wrapper {
+        height: 320px;
+        position: relative;
+      }
+
+      .runtime-findings {
+        display: flex;
+        flex-direction: column;
+        gap: 16px;
+      }
+
+      .runtime-finding {
+        background: rgba(30, 41, 59, 0.8);
+        border-radius: 12px;
+        padding: 16px 20px;
+        border-left: 4px solid #22c55e;
+      }
+
+      .runtime-finding.gc-pressure { border-left-color: #f59e0b; }
+      .runtime-finding.blocked-event-loop { border-left-color: #dc2626; }
+      .runtime-finding.cpu-bound { border-left-color: #ea580c; }
+      .runtime-finding.io-wait { border-left-color: #3b82f6; }
+
+      .runtime-finding h4 {
+        color: #f1f5f9;
+        margin-bottom: 6px;
+      }
+
+      .runtime-finding p {
+        color: #cbd5e1;
+        font-size: 0.9rem;
+      }
+
+      .runtime-stats {
+        background: rgba(30, 41, 59, 0.8);
+        border-radius: 12px;
+        padding: 16px 20px;
+        display: flex;
+        flex-direction: column;
+        gap: 8px;
+        font-size: 0.9rem;
+        color: #94a3b8;
+      }
+
+      .runtime-stats div {
+        display: flex;
+        justify-content: space-between;
+      }
+
+      .runtime-stats strong {
+        color: #f1f5f9;
+      }
+
+      @media (max-width: 768px) {
+        .runtime-grid {
+          grid-template-columns: 1fr;
+        }
+      }
+    `
+  }
+
+  generateJavaScript(data) {
+    const { runtime, timeline } = data
+    if (!runtime) return ''
+
+    const points = timeline
+      .filter(point => point.telemetry)
+      .map(point => ({
+        x: point.timeSeconds,
+        elu: point.telemetry.eventLoopUtilization * 100,
+        gc: point.telemetry.gc.pauseMs,
+        heap: point.telemetry.heapUsedMB
+      }))
+
+    return `
+      // Runtime Telemetry Chart
+      const runtimeData = ${JSON.stringify(points)};
+      new Chart(document.getElementById('runtimeTelemetryChart').getContext('2d'), {
+        data: {
+          datasets: [
+            {
+              type: 'line',
+              label: 'Event Loop Utilization (%)',
+              data: runtimeData.map(d => ({ x: d.x, y: d.elu })),
+              borderColor: '#ea580c',
+              borderWidth: 2,
+              pointRadius: 0,
+              stepped: true,
+              yAxisID: 'y'
+            },
+            {
+              type: 'bar',
+              label: 'GC Pause (ms)',
+              data: runtimeData.map(d => ({ x: d.x, y: d.gc })),
+              backgroundColor: 'rgba(245, 158, 11, 0.6)',
+              yAxisID: 'y1'
+            },
+            {
+              type: 'line',
+              label: 'Heap Used (MB)',
+              data: runtimeData.map(d => ({ x: d.x, y: d.heap })),
+              borderColor: '#8b5cf6',
+              borderWidth: 2,
+              pointRadius: 0,
+              yAxisID: 'y1'
+            }
+          ]
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          interaction: { mode: 'index', intersect: false },
+          scales: {
+            x: { type: 'linear', title: { display: true, text: 'Time (seconds)' }, ticks: { color: '#94a3b8' } },
+            y: { min: 0, max: 100, position: 'left', title: { display: true, text: 'ELU (%)', color: '#ea580c' }, ticks: { color: '#ea580c' } },
+            y1: { min: 0, position: 'right', grid: { drawOnChartArea: false }, title: { display: true, text: 'GC ms / Heap MB', color: '#8b5cf6' }, ticks: { color: '#8b5cf6' } }
+          }
+        }
+      });
+    `
+  }
+}
+
+/**
+ * Process output component
+ * Lists the captured stdout/stderr lines; clicking a line marks its moment on the performance timeline
+ */
+export class OutputLogComponent extends IDashboardComponent {
+  generateHTML(data) {
+    const { output, permissionViolations } = data
+    if (!output || output.lines.length === 0) return ''
+
+    const stderrCount = output.lines.filter(line => line.stream === 'stderr').length
+    // Dropped lines sit between the kept head and tail of the output
+    const gapIndex = output.droppedLines > 0 ? Math.ceil(output.lines.length / 2) : -1
+
+    return `
+      <section class="output-log-section">
+        <h3>📜 Process Output</h3>
+        ${permissionViolations && permissionViolations.length > 0 ? `
+          <div class="output-log-violations">
+            <h4>🔒 Blocked by the sandbox</h4>
+            ${permissionViolations.map(violation => `
+              <div class="output-log-violation">
+                <span class="output-log-time">${violation.timeSeconds.toFixed(2)}s</span>
+                <span class="output-log-permission">${sanitizeString(violation.permission || 'unknown')}</span>
+                <span class="output-log-text">${sanitizeString(violation.resource || '')}</span>
+                <span class="output-log-origin">${violation.origin === 'logged' ? 'caught and logged' : 'uncaught'}</span>
+              </div>
+            `).join('')}
+          </div>
+        ` : ''}
+        <div class="output-log-toolbar">
+          <div class="output-log-filters">
+            <button class="output-log-filter active" data-stream="all">All (${output.lines.length})</button>
+            <button class="output-log-filter" data-stream="stdout">stdout (${output.lines.length - stderrCount})</button>
+            <button class="output-log-filter" data-stream="stderr">stderr (${stderrCount})</button>
+          </div>
+          <input type="search" id="outputLogSearch" class="output-log-search" placeholder="Filter lines...">
+        </div>
+        <p class="output-log-hint">Click a line to mark that moment on the performance timeline.</p>
+        <div class="output-log" id="outputLog">
+          ${output.lines.map((line, index) => `
+            ${index === gapIndex ? `<div class="output-log-gap">… ${output.droppedLines} lines omitted …</div>` : ''}
+            <div class="output-log-line ${line.stream}" data-stream="${line.stream}" data-time="${line.timeSeconds}">
+              <span class="output-log-time">${line.timeSeconds.toFixed(2)}s</span>
+              <span class="output-log-text">${sanitizeString(line.text) || '&nbsp;'}</span>
+            </div>
+          `).join('')}
+        </div>
+      </section>
+    `
+  }
+
+  generateCSS() {
+    return `
+      .output-log-section {
+        padding: 40px;
+        background: rgba(15, 23, 42, 0.3);
+        border-top: 1px solid rgba(148, 163, 184, 0.2);
+      }
+
+      .output-log-section h3 {
+        font-size: 1.5rem;
+        font-weight: 600;
+        margin-bottom: 24px;
+        color: #f1f5f9;
+      }
+
+      .output-log-violations {
+        background: rgba(239, 68, 68, 0.08);
+        border: 1px solid rgba(239, 68, 68, 0.4);
+        border-radius: 12px;
+        padding: 12px 16px;
+        margin-bottom: 16px;
+        font-family: 'SFMono-Regular', Consolas, monospace;
+        font-size: 0.85rem;
+      }
+
+      .output-log-violations h4 {
+        color: #fca5a5;
+        font-family: inherit;
+        margin-bottom: 8px;
+      }
+
+      .output-log-violation {
+        display: flex;
+        gap: 16px;
+        padding: 2px 0;
+      }
+
+      .output-log-permission {
+        color: #fca5a5;
+        min-width: 140px;
+      }
+
+      .output-log-origin {
+        color: #64748b;
+        margin-left: auto;
+        flex-shrink: 0;
+      }
+
+      .output-log-toolbar {
+        display: flex;
+        justify-content: space-between;
+        gap: 16px;
+        flex-wrap: wrap;
+        margin-bottom: 8px;
+      }
+
+      .output-log-filters {
+        display: flex;
+        gap: 8px;
+      }
+
+      .output-log-filter {
+        background: rgba(30, 41, 59, 0.8);
+        color: #cbd5e1;
+        border: 1px solid rgba(148, 163, 184, 0.3);
+        border-radius: 8px;
+        padding: 6px 14px;
+        cursor: pointer;
+        font-family: inherit;
+      }
+
+      .output-log-filter.active {
+        background: #22c55e;
+        border-color: #22c55e;
+        color: #0f172a;
+      }
+
+      .output-log-search {
+        background: rgba(30, 41, 59, 0.8);
+        color: #f1f5f9;
+        border: 1px solid rgba(148, 163, 184, 0.3);
+        border-radius: 8px;
+        padding: 6px 12px;
+        min-width: 240px;
+        font-family: inherit;
+      }
+
+      .output-log-hint {
+        color: #94a3b8;
+        font-size: 0.85rem;
+        margin-bottom: 12px;
+      }
+
+      .output-log {
+        background: #0b1120;
+        border-radius: 12px;
+        border: 1px solid rgba(148, 163, 184, 0.2);
+        max-height: 420px;
+        overflow-y: auto;
+        font-family: 'SFMono-Regular', Consolas, monospace;
+        font-size: 0.85rem;
+        padding: 8px 0;
+      }
+
+      .output-log-line {
+        display: flex;
+        gap: 16px;
+        padding: 2px 16px;
+        cursor: pointer;
+        border-left: 3px solid transparent;
+      }
+
+      .output-log-line:hover {
+        background: rgba(148, 163, 184, 0.1);
+      }
+
+      .output-log-line.selected {
+        background: rgba(250, 204, 21, 0.12);
+        border-left-color: #facc15;
+      }
+
+      .output-log-line.stderr .output-log-text {
+        color: #fca5a5;
+      }
+
+      .output-log-time {
+        color: #64748b;
+        min-width: 64px;
+        text-align: right;
+        flex-shrink: 0;
+      }
+
+      .output-log-text {
+        color: #e2e8f0;
+        white-space: pre-wrap;
+        word-break: break-all;
+      }
+
+      .output-log-gap {
+        color: #64748b;
+        text-align: center;
+        padding: 6px;
+        font-style: italic;
+      }
+    `
+  }
+
+  generateJavaScript(data) {
+    const { output } = data
+    if (!output || output.lines.length === 0) return ''
+
+    return `
+      // Process Output Log
+      const outputLog = document.getElementById('outputLog');
+      const outputLogSearch = document.getElementById('outputLogSearch');
+      let outputLogStream = 'all';
+
+      function filterOutputLog() {
+        const query = outputLogSearch.value.toLowerCase();
+        outputLog.querySelectorAll('.output-log-line').forEach(line => {
+          const streamMatch = outputLogStream === 'all' || line.dataset.stream === outputLogStream;
+          const textMatch = !query || line.textContent.toLowerCase().includes(query);
+          line.style.display = streamMatch && textMatch ? '' : 'none';
+        });
+      }
+
+      document.querySelectorAll('.output-log-filter').forEach(button => {
+        button.addEventListener('click', () => {
+          document.querySelectorAll('.output-log-filter').forEach(other => other.classList.remove('active'));
+          button.classList.add('active');
+          outputLogStream = button.dataset.stream;
+          filterOutputLog();
+        });
+      });
+      outputLogSearch.addEventListener('input', filterOutputLog);
+
+      outputLog.addEventListener('click', event => {
+        const line = event.target.closest('.output-log-line');
+        if (!line) return;
+        outputLog.querySelectorAll('.output-log-line.selected').forEach(other => other.classList.remove('selected'));
+        line.classList.add('selected');
+        if (typeof window.highlightTimelineMoment === 'function') {
+          const text = line.querySelector('.output-log-text').textContent.trim();
+          window.highlightTimelineMoment(Number(line.dataset.time), text.length > 40 ? text.slice(0, 40) + '…' : text);
+        }
+      });
+    `
+  }
+}
+
+/**
+ * Phase energy component
+ * Energy, CO₂ and peak resources per phase marked by the script
+ */
+export class PhaseEnergyComponent extends IDashboardComponent {
+  generateHTML(data) {
+    const { phases } = data
+    if (!phases) return ''
+
+    return `
+      <section class="phase-section">
+        <h3>🧩 Energy by Phase</h3>
+        <p class="phase-note">Phases marked with <code>mark()</code> are shaded on the performance timeline.</p>
+        <table class="phase-table">
+          <thead>
+            <tr>
+              <th>Phase</th>
+              <th>Duration</th>
+              <th>Avg / Peak CPU</th>
+              <th>Peak Memory</th>
+              <th>Energy</th>
+              <th>CO₂</th>
+              <th>Share of Energy</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${phases.summary.map(row => `
+              <tr class="${row.unmarked ? 'unmarked' : ''}">
+                <td>
+                  ${sanitizeString(row.name)}
+                  ${row.occurrences > 1 ? `<span class="phase-count">×${row.occurrences}</span>` : ''}
+                </td>
+                <td>${row.durationMs.toFixed(0)}ms <span class="phase-muted">(${(row.timeShare * 100).toFixed(0)}%)</span></td>
+                <td>${row.avgCpuUsage.toFixed(1)}% / ${row.peakCpuUsage.toFixed(1)}%</td>
+                <td>${row.peakMemoryUsage.toFixed(1)}MB</td>
+                <td>${formatEnergy(row.energyKwh)}</td>
+                <td>${formatCO2(row.co2Grams)}</td>
+                <td>
+                  <div class="phase-bar"><div class="phase-bar-fill" style="width: ${(row.energyShare * 100).toFixed(1)}%"></div></div>
+                  <span class="phase-muted">${(row.energyShare * 100).toFixed(1)}%</span>
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </section>
+    `
+  }
+
+  generateCSS() {
+    return `
+      .phase-section {
+        padding: 40px;
+        background: rgba(15, 23, 42, 0.3);
+        border-top: 1px solid rgba(148, 163, 184, 0.2);
+      }
+
+      .phase-section h3 {
+        font-size: 1.5rem;
+        font-weight: 600;
+        margin-bottom: 8px;
+        color: #f1f5f9;
+      }
+
+      .phase-note {
+        color: #94a3b8;
+        font-size: 0.9rem;
+        margin-bottom: 24px;
+      }
+
+      .phase-table {
+        width: 100%;
+        border-collapse: collapse;
+        background: rgba(30, 41, 59, 0.8);
+        border-radius: 12px;
+        overflow: hidden;
+        font-size: 0.9rem;
+      }
+
+      .phase-table th,
+      .phase-table td {
+        padding: 10px 16px;
+        text-align: left;
+        border-bottom: 1px solid rgba(148, 163, 184, 0.15);
+        color: #cbd5e1;
+      }
+
+      .phase-table th {
+        color: #94a3b8;
+        font-weight: 600;
+        text-transform: uppercase;
+        font-size: 0.75rem;
+        letter-spacing: 0.5px;
+      }
+
+      .phase-table tr.unmarked td {
+        color: #64748b;
+        font-style: italic;
+      }
+
+      .phase-count,
+      .phase-muted {
+        color: #64748b;
+        font-size: 0.8rem;
+      }
+
+      .phase-bar {
+        display: inline-block;
+        width: 100px;
+        height: 8px;
+        background: rgba(148, 163, 184, 0.2);
+        border-radius: 4px;
+        overflow: hidden;
+        vertical-align: middle;
+        margin-right: 8px;
+      }
+
+      .phase-bar-fill {
+        height: 100%;
+        background: linear-gradient(90deg, #22c55e, #facc15);
+      }
+    `
+  }
+}
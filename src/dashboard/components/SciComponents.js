@@ -0,0 +1,145 @@
+import { IDashboardComponent } from '../../core/interfaces/Types.js'
+import { formatEnergy, formatCO2, formatDuration, formatNumber, sanitizeString } from '../../utils/Formatters.js'
+
+// Small utilizations would round to 0%
+function formatShare(share) {
+  const percent = share * 100
+  return `${percent >= 10 ? percent.toFixed(0) : percent.toPrecision(2)}%`
+}
+
+/**
+ * Software Carbon Intensity component
+ * Shows the SCI score per functional unit and each term of ((E × I) + M) per R
+ */
+export class SciScoreComponent extends IDashboardComponent {
+  generateHTML(data) {
+    const { sci } = data
+    if (!sci) return ''
+
+    const unit = sanitizeString(sci.functionalUnit)
+    const { embodied } = sci
+    const embodiedNote = embodied.totalKg === null
+      ? 'No embodied emissions are known for this machine (set --embodied-carbon), so M is 0.'
+      : `M = ${formatNumber(embodied.totalKg)} kg CO₂e of hardware × ${formatDuration(embodied.reservedMs)} of its ${embodied.lifespanYears}-year life × ${formatShare(embodied.resourceShare)} of the machine reserved${embodied.resourceShareDeclared ? '' : ' (its CPU utilization; set --resource-share for a fixed reservation)'}.`
+
+    return `
+      <section class="sci-section">
+        <h3>📐 Software Carbon Intensity</h3>
+        <p class="sci-note">Green Software Foundation SCI: ((E × I) + M) per R, operational plus embodied emissions per ${unit}.</p>
+        <div class="sci-score">
+          <span class="sci-value">${sci.score !== null ? formatCO2(sci.score) : 'n/a'}</span>
+          <span class="sci-unit">CO₂e per ${unit}</span>
+        </div>
+        ${sci.score === null ? `<p class="sci-warning">⚠️ No ${unit} count: requests are counted by <code>gayacode load</code>, other units need <code>--functional-unit ${unit}:count</code>.</p>` : ''}
+        <div class="sci-terms">
+          <div class="sci-term">
+            <span class="sci-symbol">E</span>
+            <span class="sci-term-value">${formatEnergy(sci.energyKwh)}</span>
+            <span class="sci-term-label">Energy</span>
+          </div>
+          <div class="sci-term">
+            <span class="sci-symbol">I</span>
+            <span class="sci-term-value">${sci.intensity.toFixed(0)} g/kWh</span>
+            <span class="sci-term-label">Grid intensity</span>
+          </div>
+          <div class="sci-term">
+            <span class="sci-symbol">M</span>
+            <span class="sci-term-value">${formatCO2(sci.embodiedGrams)}</span>
+            <span class="sci-term-label">Embodied emissions</span>
+          </div>
+          <div class="sci-term">
+            <span class="sci-symbol">R</span>
+            <span class="sci-term-value">${sci.units !== null ? sci.units.toLocaleString() : 'n/a'}</span>
+            <span class="sci-term-label">${unit}${sci.units === 1 ? '' : 's'}</span>
+          </div>
+        </div>
+        <p class="sci-note">
+          E × I = ${formatCO2(sci.operationalGrams)} operational, ${formatCO2(sci.totalGrams)} in total.
+          ${embodiedNote}
+        </p>
+      </section>
+    `
+  }
+
+  generateCSS() {
+    return `
+      .sci-section {
+        padding: 40px;
+        background: rgba(15, 23, 42, 0.3);
+        border-top: 1px solid rgba(148, 163, 184, 0.2);
+      }
+
+      .sci-section h3 {
+        font-size: 1.5rem;
+        font-weight: 600;
+        margin-bottom: 8px;
+        color: #f1f5f9;
+      }
+
+      .sci-note {
+        color: #94a3b8;
+        font-size: 0.9rem;
+        margin: 16px 0;
+      }
+
+      .sci-score {
+        display: flex;
+        align-items: baseline;
+        gap: 12px;
+        margin-bottom: 24px;
+      }
+
+      .sci-value {
+        font-size: 2.5rem;
+        font-weight: 700;
+        color: #22c55e;
+      }
+
+      .sci-unit {
+        color: #cbd5e1;
+        font-size: 1.1rem;
+      }
+
+      .sci-terms {
+        display: grid;
+        grid-template-columns: repeat(auto-fit, minmax(180px, 1fr));
+        gap: 20px;
+      }
+
+      .sci-term {
+        display: flex;
+        flex-direction: column;
+        gap: 6px;
+        background: rgba(30, 41, 59, 0.8);
+        border-radius: 16px;
+        padding: 20px;
+        border: 1px solid rgba(148, 163, 184, 0.2);
+      }
+
+      .sci-symbol {
+        font-size: 0.8rem;
+        font-weight: 700;
+        color: #38bdf8;
+      }
+
+      .sci-term-value {
+        font-size: 1.3rem;
+        font-weight: 600;
+        color: #f1f5f9;
+      }
+
+      .sci-term-label {
+        font-size: 0.8rem;
+        text-transform: uppercase;
+        letter-spacing: 0.5px;
+        color: #94a3b8;
+      }
+
+      .sci-warning {
+        color: #fbbf24;
+        font-size: 0.9rem;
+        margin-bottom: 16px;
+      }
+    `
+  }
+}
@@ -0,0 +1,351 @@
+import { IDashboardComponent } from '../../core/interfaces/Types.js'
+import { formatEnergy, formatCO2, formatDuration, sanitizeString, serializeForScript } from '../../utils/Formatters.js'
+
+/**
+ * Continuous rate component
+ * Shows energy and CO₂ per minute/hour for processes monitored in attach mode
+ */
+export class ContinuousRateComponent extends IDashboardComponent {
+  generateHTML(data) {
+    const { rates, analysis } = data
+    if (!rates) return ''
+
+    const target = analysis && analysis.command
+      ? `<code>${sanitizeString(analysis.command)}</code>`
+      : 'the attached process'
+
+    return `
+      <section class="rate-section">
+        <h3>⏱️ Continuous Running Impact</h3>
+        <p class="rate-note">Observed ${target} for ${formatDuration(rates.durationMs)}. Rates assume the same load keeps running.</p>
+        <div class="rate-grid">
+          <div class="rate-card">
+            <span class="rate-label">Per Minute</span>
+            <span class="rate-value">${formatEnergy(rates.perMinute.energyKwh)}</span>
+            <span class="rate-sub">${formatCO2(rates.perMinute.co2Grams)} CO₂</span>
+          </div>
+          <div class="rate-card">
+            <span class="rate-label">Per Hour</span>
+            <span class="rate-value">${formatEnergy(rates.perHour.energyKwh)}</span>
+            <span class="rate-sub">${formatCO2(rates.perHour.co2Grams)} CO₂</span>
+          </div>
+          <div class="rate-card">
+            <span class="rate-label">Average Power</span>
+            <span class="rate-value">${(rates.perHour.energyKwh * 1000).toFixed(3)} W</span>
+            <span class="rate-sub">modelled</span>
+          </div>
+        </div>
+      </section>
+    `
+  }
+
+  generateCSS() {
+    return `
+      .rate-section {
+        padding: 40px;
+        background: rgba(15, 23, 42, 0.3);
+        border-top: 1px solid rgba(148, 163, 184, 0.2);
+      }
+
+      .rate-section h3 {
+        font-size: 1.5rem;
+        font-weight: 600;
+        margin-bottom: 8px;
+        color: #f1f5f9;
+      }
+
+      .rate-note {
+        color: #94a3b8;
+        font-size: 0.9rem;
+        margin-bottom: 24px;
+      }
+
+      .rate-grid {
+        display: grid;
+        grid-template-columns: repeat(auto-fit, minmax(220px, 1fr));
+        gap: 20px;
+      }
+
+      .rate-card {
+        display: flex;
+        flex-direction: column;
+        gap: 6px;
+        background: rgba(30, 41, 59, 0.8);
+        border-radius: 16px;
+        padding: 24px;
+        box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
+        border: 1px solid rgba(148, 163, 184, 0.2);
+      }
+
+      .rate-label {
+        font-size: 0.8rem;
+        text-transform: uppercase;
+        letter-spacing: 0.5px;
+        color: #94a3b8;
+      }
+
+      .rate-value {
+        font-size: 1.6rem;
+        font-weight: 700;
+        color: #22c55e;
+      }
+
+      .rate-sub {
+        color: #cbd5e1;
+        font-size: 0.9rem;
+      }
+    `
+  }
+}
+
+/**
+ * Load test component
+ * Shows energy per request, throughput and latency of a server analyzed in load mode,
+ * with requests/s and latency over time next to the server's CPU usage
+ */
+export class LoadTestComponent extends IDashboardComponent {
+  generateHTML(data) {
+    const { load } = data
+    if (!load) return ''
+
+    const { requests, latency, settings } = load
+    const statusCodes = Object.entries(load.statusCodes).sort((a, b) => a[0] - b[0])
+    const errors = Object.entries(load.errors).sort((a, b) => b[1] - a[1])
+
+    return `
+      <section class="load-section">
+        <h3>🚦 Energy per Request</h3>
+        <p class="load-note">
+          ${settings.method} ${settings.urls.map(url => `<code>${sanitizeString(url)}</code>`).join(', ')}
+          at ${settings.rate} requests/s for ${formatDuration(load.durationMs)}.
+          Only energy used during the load (${(load.window.energyShare * 100).toFixed(0)}% of the run) is divided by the answered requests.
+        </p>
+        <div class="load-grid">
+          <div class="load-card">
+            <span class="load-label">Per 1K Requests</span>
+            <span class="load-value">${load.per1kRequests.energyKwh !== null ? formatEnergy(load.per1kRequests.energyKwh) : 'n/a'}</span>
+            <span class="load-sub">${load.per1kRequests.co2Grams !== null ? `${formatCO2(load.per1kRequests.co2Grams)} CO₂` : 'no answered requests'}</span>
+          </div>
+          <div class="load-card">
+            <span class="load-label">Per Request</span>
+            <span class="load-value">${load.perRequest.energyKwh !== null ? formatEnergy(load.perRequest.energyKwh) : 'n/a'}</span>
+            <span class="load-sub">${load.perRequest.co2Grams !== null ? `${formatCO2(load.perRequest.co2Grams)} CO₂` : ''}</span>
+          </div>
+          <div class="load-card">
+            <span class="load-label">Throughput</span>
+            <span class="load-value">${load.throughput.toFixed(1)} req/s</span>
+            <span class="load-sub">${requests.answered} answered, ${requests.failed} failed${requests.skipped > 0 ? `, ${requests.skipped} skipped` : ''}</span>
+          </div>
+          <div class="load-card">
+            <span class="load-label">Latency p95</span>
+            <span class="load-value">${latency ? `${latency.percentiles.p95.toFixed(1)}ms` : 'n/a'}</span>
+            <span class="load-sub">${latency ? `p50 ${latency.percentiles.p50.toFixed(1)}ms · p99 ${latency.percentiles.p99.toFixed(1)}ms · max ${latency.max.toFixed(1)}ms` : ''}</span>
+          </div>
+        </div>
+
+        <div class="load-details">
+          <div class="load-chart-wrapper">
+            <canvas id="loadChart"></canvas>
+          </div>
+          <div class="load-breakdown">
+            <h4>Responses</h4>
+            <ul>
+              ${statusCodes.map(([status, count]) => `
+                <li class="${status >= 400 ? 'load-bad' : ''}"><span>HTTP ${status}</span><span>${count}</span></li>
+              `).join('')}
+              ${errors.map(([code, count]) => `
+                <li class="load-bad"><span>${sanitizeString(code)}</span><span>${count}</span></li>
+              `).join('')}
+            </ul>
+            ${latency ? `
+              <h4>Latency</h4>
+              <ul>
+                <li><span>min</span><span>${latency.min.toFixed(1)}ms</span></li>
+                <li><span>mean</span><span>${latency.mean.toFixed(1)}ms</span></li>
+                ${Object.entries(latency.percentiles).map(([name, value]) => `
+                  <li><span>${name}</span><span>${value.toFixed(1)}ms</span></li>
+                `).join('')}
+                <li><span>max</span><span>${latency.max.toFixed(1)}ms</span></li>
+              </ul>
+            ` : ''}
+          </div>
+        </div>
+      </section>
+    `
+  }
+
+  generateCSS() {
+    return `
+      .load-section {
+        padding: 40px;
+        background: rgba(15, 23, 42, 0.3);
+        border-top: 1px solid rgba(148, 163, 184, 0.2);
+      }
+
+      .load-section h3 {
+        font-size: 1.5rem;
+        font-weight: 600;
+        margin-bottom: 8px;
+        color: #f1f5f9;
+      }
+
+      .load-note {
+        color: #94a3b8;
+        font-size: 0.9rem;
+        margin-bottom: 24px;
+      }
+
+      .load-grid {
+        display: grid;
+        grid-template-columns: repeat(auto-fit, minmax(220px, 1fr));
+        gap: 20px;
+      }
+
+      .load-card {
+        display: flex;
+        flex-direction: column;
+        gap: 6px;
+        background: rgba(30, 41, 59, 0.8);
+        border-radius: 16px;
+        padding: 24px;
+        box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
+        border: 1px solid rgba(148, 163, 184, 0.2);
+      }
+
+      .load-label {
+        font-size: 0.8rem;
+        text-transform: uppercase;
+        letter-spacing: 0.5px;
+        color: #94a3b8;
+      }
+
+      .load-value {
+        font-size: 1.6rem;
+        font-weight: 700;
+        color: #22c55e;
+      }
+
+      .load-sub {
+        color: #cbd5e1;
+        font-size: 0.9rem;
+      }
+
+      .load-details {
+        display: grid;
+        grid-template-columns: 1fr 260px;
+        gap: 20px;
+        margin-top: 20px;
+      }
+
+      .load-chart-wrapper {
+        height: 320px;
+        position: relative;
+        background: rgba(30, 41, 59, 0.8);
+        border-radius: 16px;
+        padding: 16px;
+        border: 1px solid rgba(148, 163, 184, 0.2);
+      }
+
+      .load-breakdown {
+        background: rgba(30, 41, 59, 0.8);
+        border-radius: 16px;
+        padding: 16px 20px;
+        border: 1px solid rgba(148, 163, 184, 0.2);
+      }
+
+      .load-breakdown h4 {
+        font-size: 0.8rem;
+        text-transform: uppercase;
+        letter-spacing: 0.5px;
+        color: #94a3b8;
+        margin: 8px 0;
+      }
+
+      .load-breakdown ul {
+        list-style: none;
+        margin-bottom: 12px;
+      }
+
+      .load-breakdown li {
+        display: flex;
+        justify-content: space-between;
+        padding: 4px 0;
+        color: #cbd5e1;
+        font-size: 0.9rem;
+        border-bottom: 1px solid rgba(148, 163, 184, 0.1);
+      }
+
+      .load-breakdown li.load-bad {
+        color: #f87171;
+      }
+    `
+  }
+
+  generateJavaScript(data) {
+    const { load, timeline } = data
+    if (!load) return ''
+
+    // The server's CPU during the load, on the same time axis as the performance timeline
+    const cpu = timeline
+      .filter(point => point.timeSeconds >= load.startSeconds && point.timeSeconds <= load.endSeconds)
+      .map(point => ({ x: point.timeSeconds, y: point.cpu }))
+
+    return `
+      // Load Test Chart
+      const loadTimeline = ${serializeForScript(load.timeline)};
+      const loadCpu = ${serializeForScript(cpu)};
+      new Chart(document.getElementById('loadChart').getContext('2d'), {
+        data: {
+          datasets: [
+            {
+              type: 'bar',
+              label: 'Requests/s',
+              data: loadTimeline.map(d => ({ x: d.timeSeconds, y: d.requests })),
+              backgroundColor: 'rgba(34, 197, 94, 0.4)',
+              yAxisID: 'y'
+            },
+            {
+              type: 'line',
+              label: 'p50 Latency (ms)',
+              data: loadTimeline.map(d => ({ x: d.timeSeconds, y: d.p50 })),
+              borderColor: '#3b82f6',
+              borderWidth: 2,
+              pointRadius: 2,
+              yAxisID: 'y1'
+            },
+            {
+              type: 'line',
+              label: 'p95 Latency (ms)',
+              data: loadTimeline.map(d => ({ x: d.timeSeconds, y: d.p95 })),
+              borderColor: '#f59e0b',
+              borderWidth: 2,
+              pointRadius: 2,
+              yAxisID: 'y1'
+            },
+            {
+              type: 'line',
+              label: 'Server CPU (%)',
+              data: loadCpu,
+              borderColor: 'rgba(148, 163, 184, 0.8)',
+              borderWidth: 1,
+              borderDash: [4, 4],
+              pointRadius: 0,
+              yAxisID: 'y2'
+            }
+          ]
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          interaction: { mode: 'index', intersect: false },
+          scales: {
+            x: { type: 'linear', title: { display: true, text: 'Time (seconds)' }, ticks: { color: '#94a3b8' } },
+            y: { min: 0, position: 'left', title: { display: true, text: 'Requests/s', color: '#22c55e' }, ticks: { color: '#22c55e' } },
+            y1: { min: 0, position: 'right', grid: { drawOnChartArea: false }, title: { display: true, text: 'Latency (ms)', color: '#f59e0b' }, ticks: { color: '#f59e0b' } },
+            y2: { min: 0, display: false }
+          }
+        }
+      });
+    `
+  }
+}
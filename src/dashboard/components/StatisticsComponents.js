@@ -0,0 +1,221 @@
+import { IDashboardComponent } from '../../core/interfaces/Types.js'
+import { formatEnergy, formatCO2 } from '../../utils/Formatters.js'
+
+// Metrics shown as box plots, with how to format their values
+const DISTRIBUTION_METRICS = [
+  { key: 'executionTime', label: 'Execution Time', format: value => `${value.toFixed(0)}ms` },
+  { key: 'energyKwh', label: 'Energy', format: formatEnergy },
+  { key: 'co2Grams', label: 'CO₂', format: formatCO2 }
+]
+
+const PLOT_WIDTH = 640
+const PLOT_HEIGHT = 90
+const PLOT_PADDING = 24
+
+/**
+ * Run distribution component
+ * Shows repeated runs as box plots with every run as a dot, plus a statistics table
+ */
+export class RunDistributionComponent extends IDashboardComponent {
+  generateHTML(data) {
+    const { statistics } = data
+    if (!statistics) return ''
+
+    const { runCount, warmupRuns, metrics, outlierRuns, representativeRun } = statistics
+    const warmup = warmupRuns > 0 ? ` after ${warmupRuns} warmup run${warmupRuns === 1 ? '' : 's'}` : ''
+    const outliers = outlierRuns.length > 0
+      ? `Outliers (outside 1.5× IQR): run ${outlierRuns.map(index => index + 1).join(', ')}.`
+      : 'No outliers.'
+
+    return `
+      <section class="distribution-section">
+        <h3>📦 Run Distribution</h3>
+        <p class="distribution-note">
+          ${runCount} measured runs${warmup}. ${outliers}
+          Timeline and profiles show run ${representativeRun + 1}, the run closest to the median energy.
+        </p>
+        <div class="distribution-plots">
+          ${DISTRIBUTION_METRICS.map(metric => `
+            <div class="distribution-plot">
+              <h4>${metric.label}</h4>
+              ${this.renderBoxPlot(metrics[metric.key], metric.format, outlierRuns)}
+            </div>
+          `).join('')}
+        </div>
+        <table class="distribution-table">
+          <thead>
+            <tr>
+              <th>Metric</th>
+              <th>Median</th>
+              <th>Mean ± 95% CI</th>
+              <th>Std Dev</th>
+              <th>Min – Max</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${DISTRIBUTION_METRICS.map(({ key, label, format }) => {
+              const stats = metrics[key]
+              return `
+                <tr>
+                  <td>${label}</td>
+                  <td>${format(stats.median)}</td>
+                  <td>${format(stats.mean)} ± ${format(stats.ci95.margin)}</td>
+                  <td>${format(stats.stddev)} (${(stats.relativeStddev * 100).toFixed(1)}%)</td>
+                  <td>${format(stats.min)} – ${format(stats.max)}</td>
+                </tr>
+              `
+            }).join('')}
+          </tbody>
+        </table>
+      </section>
+    `
+  }
+
+  /**
+   * Render a horizontal box plot as inline SVG
+   * Whiskers reach the furthest runs within 1.5× IQR of the box
+   * @param {Object} stats - Statistics of one metric
+   * @param {Function} format - Value formatter for the axis labels
+   * @param {Array<number>} outlierRuns - Indices of runs flagged as outliers
+   * @returns {string} SVG markup
+   */
+  renderBoxPlot(stats, format, outlierRuns) {
+    const { values, q1, q3, median, min, max } = stats
+    const span = max - min || 1
+    const x = value => PLOT_PADDING + (value - min) / span * (PLOT_WIDTH - 2 * PLOT_PADDING)
+
+    const iqr = q3 - q1
+    const inside = values.filter(value => value >= q1 - 1.5 * iqr && value <= q3 + 1.5 * iqr)
+    const whiskerLow = Math.min(...inside)
+    const whiskerHigh = Math.max(...inside)
+    const centerY = 36
+
+    // Spread the run dots vertically so equal values stay visible
+    const dots = values.map((value, index) => {
+      const y = centerY - 12 + (index % 5) * 6
+      const outlier = outlierRuns.includes(index)
+      return `<circle cx="${x(value).toFixed(1)}" cy="${y}" r="4" class="${outlier ? 'distribution-outlier' : 'distribution-dot'}"><title>Run ${index + 1}: ${format(value)}</title></circle>`
+    }).join('')
+
+    return `
+      <svg viewBox="0 0 ${PLOT_WIDTH} ${PLOT_HEIGHT}" class="distribution-svg" role="img">
+        <line x1="${x(whiskerLow)}" x2="${x(q1)}" y1="${centerY}" y2="${centerY}" class="distribution-whisker" />
+        <line x1="${x(q3)}" x2="${x(whiskerHigh)}" y1="${centerY}" y2="${centerY}" class="distribution-whisker" />
+        <line x1="${x(whiskerLow)}" x2="${x(whiskerLow)}" y1="${centerY - 10}" y2="${centerY + 10}" class="distribution-whisker" />
+        <line x1="${x(whiskerHigh)}" x2="${x(whiskerHigh)}" y1="${centerY - 10}" y2="${centerY + 10}" class="distribution-whisker" />
+        <rect x="${x(q1)}" y="${centerY - 18}" width="${Math.max(1, x(q3) - x(q1))}" height="36" class="distribution-box" />
+        <line x1="${x(median)}" x2="${x(median)}" y1="${centerY - 18}" y2="${centerY + 18}" class="distribution-median" />
+        ${dots}
+        <text x="${PLOT_PADDING}" y="${PLOT_HEIGHT - 8}" class="distribution-axis">${format(min)}</text>
+        <text x="${x(median)}" y="${PLOT_HEIGHT - 8}" text-anchor="middle" class="distribution-axis median">${format(median)}</text>
+        <text x="${PLOT_WIDTH - PLOT_PADDING}" y="${PLOT_HEIGHT - 8}" text-anchor="end" class="distribution-axis">${format(max)}</text>
+      </svg>
+    `
+  }
+
+  generateCSS() {
+    return `
+      .distribution-section {
+        padding: 40px;
+        background: rgba(15, 23, 42, 0.3);
+        border-top: 1px solid rgba(148, 163, 184, 0.2);
+      }
+
+      .distribution-section h3 {
+        font-size: 1.5rem;
+        font-weight: 600;
+        margin-bottom: 8px;
+        color: #f1f5f9;
+      }
+
+      .distribution-note {
+        color: #94a3b8;
+        font-size: 0.9rem;
+        margin-bottom: 24px;
+      }
+
+      .distribution-plots {
+        display: grid;
+        grid-template-columns: repeat(auto-fit, minmax(320px, 1fr));
+        gap: 20px;
+        margin-bottom: 24px;
+      }
+
+      .distribution-plot {
+        background: rgba(30, 41, 59, 0.8);
+        border-radius: 16px;
+        padding: 20px;
+        border: 1px solid rgba(148, 163, 184, 0.2);
+      }
+
+      .distribution-plot h4 {
+        color: #f1f5f9;
+        margin-bottom: 8px;
+      }
+
+      .distribution-svg {
+        width: 100%;
+        height: auto;
+      }
+
+      .distribution-box {
+        fill: rgba(34, 197, 94, 0.2);
+        stroke: #22c55e;
+        stroke-width: 2;
+      }
+
+      .distribution-median {
+        stroke: #facc15;
+        stroke-width: 3;
+      }
+
+      .distribution-whisker {
+        stroke: #94a3b8;
+        stroke-width: 2;
+      }
+
+      .distribution-dot {
+        fill: #3b82f6;
+        fill-opacity: 0.8;
+      }
+
+      .distribution-outlier {
+        fill: #dc2626;
+      }
+
+      .distribution-axis {
+        fill: #94a3b8;
+        font-size: 12px;
+      }
+
+      .distribution-axis.median {
+        fill: #facc15;
+      }
+
+      .distribution-table {
+        width: 100%;
+        border-collapse: collapse;
+        background: rgba(30, 41, 59, 0.8);
+        border-radius: 12px;
+        overflow: hidden;
+        font-size: 0.9rem;
+      }
+
+      .distribution-table th,
+      .distribution-table td {
+        padding: 10px 16px;
+        text-align: left;
+        border-bottom: 1px solid rgba(148, 163, 184, 0.15);
+        color: #cbd5e1;
+      }
+
+      .distribution-table th {
+        color: #94a3b8;
+        font-weight: 600;
+        text-transform: uppercase;
+        font-size: 0.75rem;
+        letter-spacing: 0.5px;
+      }
+    `
+  }
+}
@@ -0,0 +1,218 @@
+import path from 'path'
+import { IDashboardComponent } from '../../core/interfaces/Types.js'
+import { formatEnergy, formatCO2, sanitizeString } from '../../utils/Formatters.js'
+
+function plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`
+}
+
+/**
+ * Test energy component
+ * Ranks node:test tests, suites and test files by estimated energy
+ */
+export class TestEnergyComponent extends IDashboardComponent {
+  generateHTML(data) {
+    const { testEnergy, analysis } = data
+    if (!testEnergy) return ''
+
+    const cwd = analysis && analysis.launch ? analysis.launch.cwd : process.cwd()
+    const fileName = (file) => sanitizeString(path.relative(cwd, file) || file)
+    const { totals } = testEnergy
+
+    return `
+      <section class="test-energy-section">
+        <h3>🧪 Energy by Test</h3>
+        <p class="test-energy-note">
+          ${plural(totals.testCount, 'test')}${totals.suiteCount > 0 ? ` in ${plural(totals.suiteCount, 'suite')}` : ''} across ${plural(totals.fileCount, 'file')} used
+          ${totals.cpuMs.toFixed(0)}ms of CPU, ${formatEnergy(totals.energyKwh)} and ${formatCO2(totals.co2Grams)} CO₂.
+          A test's figures include its subtests; shares are of the total above, which also covers
+          loading, hooks and teardown outside tests. With test files running in parallel, attribution is approximate.
+        </p>
+
+        <h4>Most Energy-Hungry Tests</h4>
+        <table class="test-energy-table">
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Test</th>
+              <th>File</th>
+              <th>Duration</th>
+              <th>CPU</th>
+              <th>Energy</th>
+              <th>CO₂</th>
+              <th>Share of Energy</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${testEnergy.tests.map((test, index) => `
+              <tr class="${test.status === 'fail' ? 'failed' : ''}">
+                <td>${index + 1}</td>
+                <td>
+                  ${test.path.slice(0, -1).map(name => `<span class="test-energy-muted">${sanitizeString(name)} ›</span>`).join(' ')}
+                  ${sanitizeString(test.name)}
+                  ${test.status === 'fail' ? '<span class="test-energy-failed">failed</span>' : ''}
+                </td>
+                <td class="test-energy-muted">${fileName(test.file)}</td>
+                <td>${test.durationMs.toFixed(1)}ms</td>
+                <td>${test.cpuMs.toFixed(1)}ms</td>
+                <td>${formatEnergy(test.energyKwh)}</td>
+                <td>${formatCO2(test.co2Grams)}</td>
+                <td>${this.generateShareBar(test.share)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+
+        ${testEnergy.suites.length > 0 ? `
+          <h4>Suites</h4>
+          <table class="test-energy-table">
+            <thead>
+              <tr>
+                <th>Suite</th>
+                <th>File</th>
+                <th>Duration</th>
+                <th>CPU</th>
+                <th>Energy</th>
+                <th>CO₂</th>
+                <th>Share of Energy</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${testEnergy.suites.map(suite => `
+                <tr class="${suite.status === 'fail' ? 'failed' : ''}">
+                  <td>${sanitizeString(suite.path.join(' › '))}</td>
+                  <td class="test-energy-muted">${fileName(suite.file)}</td>
+                  <td>${suite.durationMs.toFixed(1)}ms</td>
+                  <td>${suite.cpuMs.toFixed(1)}ms</td>
+                  <td>${formatEnergy(suite.energyKwh)}</td>
+                  <td>${formatCO2(suite.co2Grams)}</td>
+                  <td>${this.generateShareBar(suite.share)}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        ` : ''}
+
+        ${testEnergy.files.length > 0 ? `
+          <h4>Test Files</h4>
+          <table class="test-energy-table">
+            <thead>
+              <tr>
+                <th>File</th>
+                <th>CPU</th>
+                <th>In Tests</th>
+                <th>Loading &amp; Overhead</th>
+                <th>Energy</th>
+                <th>CO₂</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${testEnergy.files.map(file => `
+                <tr>
+                  <td>${fileName(file.file)}</td>
+                  <td>${file.cpuMs.toFixed(1)}ms</td>
+                  <td>${file.testCpuMs.toFixed(1)}ms</td>
+                  <td>${file.overheadCpuMs.toFixed(1)}ms</td>
+                  <td>${formatEnergy(file.energyKwh)}</td>
+                  <td>${formatCO2(file.co2Grams)}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        ` : ''}
+      </section>
+    `
+  }
+
+  generateShareBar(share) {
+    const percent = (share * 100).toFixed(1)
+    return `
+      <div class="test-energy-bar"><div class="test-energy-bar-fill" style="width: ${Math.min(100, share * 100).toFixed(1)}%"></div></div>
+      <span class="test-energy-muted">${percent}%</span>
+    `
+  }
+
+  generateCSS() {
+    return `
+      .test-energy-section {
+        padding: 40px;
+        background: rgba(15, 23, 42, 0.3);
+        border-top: 1px solid rgba(148, 163, 184, 0.2);
+      }
+
+      .test-energy-section h3 {
+        font-size: 1.5rem;
+        font-weight: 600;
+        margin-bottom: 8px;
+        color: #f1f5f9;
+      }
+
+      .test-energy-section h4 {
+        font-size: 1.1rem;
+        font-weight: 600;
+        margin: 24px 0 12px;
+        color: #e2e8f0;
+      }
+
+      .test-energy-note {
+        color: #94a3b8;
+        font-size: 0.9rem;
+      }
+
+      .test-energy-table {
+        width: 100%;
+        border-collapse: collapse;
+        background: rgba(30, 41, 59, 0.8);
+        border-radius: 12px;
+        overflow: hidden;
+        font-size: 0.9rem;
+      }
+
+      .test-energy-table th,
+      .test-energy-table td {
+        padding: 10px 16px;
+        text-align: left;
+        border-bottom: 1px solid rgba(148, 163, 184, 0.15);
+        color: #cbd5e1;
+      }
+
+      .test-energy-table th {
+        color: #94a3b8;
+        font-weight: 600;
+        text-transform: uppercase;
+        font-size: 0.75rem;
+        letter-spacing: 0.5px;
+      }
+
+      .test-energy-muted {
+        color: #64748b;
+        font-size: 0.8rem;
+      }
+
+      .test-energy-failed {
+        margin-left: 6px;
+        padding: 1px 6px;
+        border-radius: 4px;
+        background: rgba(239, 68, 68, 0.2);
+        color: #f87171;
+        font-size: 0.75rem;
+      }
+
+      .test-energy-bar {
+        display: inline-block;
+        width: 100px;
+        height: 8px;
+        background: rgba(148, 163, 184, 0.2);
+        border-radius: 4px;
+        overflow: hidden;
+        vertical-align: middle;
+        margin-right: 8px;
+      }
+
+      .test-energy-bar-fill {
+        height: 100%;
+        background: linear-gradient(90deg, #22c55e, #facc15);
+      }
+    `
+  }
+}
@@ -0,0 +1,12 @@
+/**
+ * Public entry point of the gayacode package
+ */
+
+export { EnvironmentalAnalyzer } from './analyzer/EnvironmentalAnalyzer.js'
+export { DashboardGenerator } from './dashboard/DashboardGenerator.js'
+export { AnalysisResult, AnalyzerConfig, PerformanceMetrics } from './core/interfaces/Types.js'
+export { MicroBenchmark, measure, suite } from './benchmark/MicroBenchmark.js'
+export { MACHINE_PROFILES, detectMachineProfile, resolveMachineProfile } from './calculations/MachineProfiles.js'
+export { CLOUD_PROVIDERS, listCloudInstances, resolveCloudInstance } from './calculations/CloudCatalog.js'
+export { GRID_REGIONS, resolveGridRegion, getIntensityAt } from './calculations/GridIntensity.js'
+export { loadIntensityProfile, createIntensityForecast, findGreenStart } from './scheduling/CarbonForecast.js'
@@ -0,0 +1,49 @@
+'use strict'
+
+/**
+ * Sampling heap profiler preload
+ * Loaded into the analyzed script with `--require`. Unlike `node --heap-prof`, which only
+ * keeps samples that are still alive at exit, this keeps samples of objects collected by
+ * GC so the profile reflects every byte allocated during the run.
+ * The profile is written as a .heapprofile into GAYACODE_HEAP_PROFILE_DIR on exit.
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+const outputDir = process.env.GAYACODE_HEAP_PROFILE_DIR
+
+let inspector = null
+try {
+  inspector = require('inspector')
+} catch (error) {
+  // Node built without inspector support: nothing to profile with
+}
+
+if (outputDir && inspector) {
+  const samplingInterval = parseInt(process.env.GAYACODE_HEAP_PROFILE_INTERVAL, 10) || 65536
+  const session = new inspector.Session()
+  session.connect()
+
+  session.post('HeapProfiler.startSampling', {
+    samplingInterval,
+    includeObjectsCollectedByMajorGC: true,
+    includeObjectsCollectedByMinorGC: true
+  })
+
+  // In-process sessions answer synchronously, so this still works inside 'exit'
+  process.on('exit', () => {
+    session.post('HeapProfiler.stopSampling', (error, result) => {
+      if (error || !result) return
+      try {
+        fs.writeFileSync(
+          path.join(outputDir, `Heap.${process.pid}.heapprofile`),
+          JSON.stringify(result.profile)
+        )
+      } catch (writeError) {
+        // The analyzer reports a missing profile
+      }
+    })
+    session.disconnect()
+  })
+}
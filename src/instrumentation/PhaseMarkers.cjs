@@ -0,0 +1,60 @@
+'use strict'
+
+/**
+ * Phase markers for scripts analyzed by GayaCode
+ * Marks are sent to the analyzer over the IPC channel it opens with --phases,
+ * which splits the run into named phases with their own energy and CO₂.
+ * Outside GayaCode (no IPC channel) every function is a cheap no-op.
+ * Written as CommonJS so both `require` and `import` can load it.
+ *
+ *   const { mark } = require('gayacode/phases')
+ *   mark('load')
+ *   ...
+ *   mark('transform')
+ */
+
+const MESSAGE_TYPE = 'gayacode:phase'
+
+function send(event, name) {
+  if (typeof process.send !== 'function' || !process.connected) return
+  process.send({ type: MESSAGE_TYPE, event, name, time: Date.now() })
+}
+
+/**
+ * Start a phase; the previous phase, if any, ends here
+ * @param {string} name - Phase name
+ */
+function mark(name) {
+  send('start', String(name))
+}
+
+/**
+ * End the current phase without starting another one
+ */
+function end() {
+  send('end', null)
+}
+
+/**
+ * Run a function as a phase and end the phase when it returns or settles
+ * @param {string} name - Phase name
+ * @param {Function} fn - Synchronous or async function
+ * @returns {*} What fn returns
+ */
+function phase(name, fn) {
+  mark(name)
+  let result
+  try {
+    result = fn()
+  } catch (error) {
+    end()
+    throw error
+  }
+  if (result && typeof result.then === 'function') {
+    return result.finally(end)
+  }
+  end()
+  return result
+}
+
+module.exports = { mark, end, phase, MESSAGE_TYPE }
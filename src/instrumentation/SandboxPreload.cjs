@@ -0,0 +1,26 @@
+'use strict'
+
+/**
+ * Permission violation preload for sandboxed runs
+ * Loaded with `--require` next to Node's permission model flags. Errors the model throws
+ * (ERR_ACCESS_DENIED) that reach the top level, as uncaught exceptions or unhandled
+ * rejections, are reported to the analyzer over the IPC channel before the process dies.
+ * Written as CommonJS so `--require` works for both CJS and ESM scripts.
+ */
+
+const MESSAGE_TYPE = 'gayacode:permission'
+
+if (typeof process.send === 'function') {
+  // The monitor event only observes; the process still crashes as it would without us
+  process.on('uncaughtExceptionMonitor', (error, origin) => {
+    if (!error || error.code !== 'ERR_ACCESS_DENIED' || !process.connected) return
+    process.send({
+      type: MESSAGE_TYPE,
+      permission: error.permission || null,
+      resource: error.resource || null,
+      message: error.message,
+      origin,
+      time: Date.now()
+    })
+  })
+}
@@ -0,0 +1,97 @@
+'use strict'
+
+/**
+ * In-process telemetry preload
+ * Loaded into the analyzed script with `--require` and reports event loop,
+ * GC, heap and CPU figures back to the analyzer over the IPC channel.
+ * Written as CommonJS so `--require` works for both CJS and ESM scripts.
+ */
+
+const { performance, monitorEventLoopDelay, PerformanceObserver } = require('perf_hooks')
+
+const MESSAGE_TYPE = 'gayacode:telemetry'
+const GC_KINDS = { 1: 'minor', 2: 'major', 4: 'incremental', 8: 'weakcb' }
+const EXIT_SIGNALS = ['SIGTERM', 'SIGINT', 'SIGHUP']
+
+if (typeof process.send === 'function') {
+  const interval = parseInt(process.env.GAYACODE_TELEMETRY_INTERVAL, 10) || 50
+  const histogram = monitorEventLoopDelay({ resolution: 10 })
+  histogram.enable()
+
+  let gc = createGcTotals()
+  const gcObserver = new PerformanceObserver((list) => {
+    for (const entry of list.getEntries()) {
+      // Node 16+ exposes the kind on entry.detail; older versions on the entry itself
+      const kind = GC_KINDS[entry.detail ? entry.detail.kind : entry.kind] || 'other'
+      gc.count++
+      gc.pauseMs += entry.duration
+      gc.byKind[kind] = (gc.byKind[kind] || 0) + entry.duration
+    }
+  })
+  gcObserver.observe({ entryTypes: ['gc'] })
+
+  let lastElu = performance.eventLoopUtilization()
+  let lastCpu = process.cpuUsage()
+
+  const report = () => {
+    const elu = performance.eventLoopUtilization(lastElu)
+    const cpu = process.cpuUsage(lastCpu)
+    const memory = process.memoryUsage()
+    lastElu = performance.eventLoopUtilization()
+    lastCpu = process.cpuUsage()
+
+    const sample = {
+      type: MESSAGE_TYPE,
+      time: Date.now(),
+      eventLoopUtilization: elu.utilization,
+      eventLoopDelay: {
+        // Histogram values are in nanoseconds
+        meanMs: histogram.count > 0 ? histogram.mean / 1e6 : 0,
+        p50Ms: histogram.count > 0 ? histogram.percentile(50) / 1e6 : 0,
+        p99Ms: histogram.count > 0 ? histogram.percentile(99) / 1e6 : 0,
+        maxMs: histogram.count > 0 ? histogram.max / 1e6 : 0
+      },
+      gc,
+      heapUsedMB: memory.heapUsed / (1024 * 1024),
+      heapTotalMB: memory.heapTotal / (1024 * 1024),
+      cpuUserMs: cpu.user / 1000,
+      cpuSystemMs: cpu.system / 1000
+    }
+
+    histogram.reset()
+    gc = createGcTotals()
+
+    try {
+      process.send(sample)
+    } catch (error) {
+      // Channel closed by the analyzer; stop reporting
+      clearInterval(timer)
+    }
+  }
+
+  const timer = setInterval(report, interval)
+  // Never keep the analyzed script alive just to report telemetry
+  timer.unref()
+  if (process.channel && typeof process.channel.unref === 'function') {
+    process.channel.unref()
+  }
+
+  process.on('beforeExit', report)
+  // process.exit() and uncaught exceptions skip beforeExit; 'exit' only runs synchronous
+  // code, and process.send writes a message this small to the pipe straight away
+  process.on('exit', () => {
+    clearInterval(timer)
+    report()
+  })
+  // A signal's default action ends the process without 'exit': report, then let it go
+  for (const signal of EXIT_SIGNALS) {
+    process.once(signal, () => {
+      report()
+      if (process.listenerCount(signal) === 0) process.kill(process.pid, signal)
+    })
+  }
+}
+
+function createGcTotals() {
+  return { count: 0, pauseMs: 0, byKind: {} }
+}
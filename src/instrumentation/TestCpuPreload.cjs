@@ -0,0 +1,51 @@
+'use strict'
+
+/**
+ * Per-test CPU preload for `node --test`
+ * Loaded with `--require`, which the test runner passes on to every test file process.
+ * Root-level beforeEach/afterEach hooks apply to every test in the file, so each test's
+ * CPU time and heap are appended as JSON lines to GAYACODE_TEST_CPU_FILE, where the
+ * energy reporter picks them up.
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+const outputFile = process.env.GAYACODE_TEST_CPU_FILE
+
+// NODE_TEST_CONTEXT is only set in test file processes, not in the runner itself
+if (outputFile && process.env.NODE_TEST_CONTEXT) {
+  const { beforeEach, afterEach } = require('node:test')
+  const file = path.resolve(process.argv[1] || '')
+  const running = []
+
+  const write = (record) => {
+    try {
+      fs.appendFileSync(outputFile, JSON.stringify({ file, ...record }) + '\n')
+    } catch (error) {
+      // Losing a record must not fail the test run
+    }
+  }
+
+  beforeEach(() => {
+    running.push({ cpu: process.cpuUsage(), heapBefore: process.memoryUsage().heapUsed })
+  })
+
+  afterEach((t) => {
+    // Subtests finish before their parent, so the innermost running test is this one
+    const start = running.pop()
+    if (!start) return
+    const cpu = process.cpuUsage(start.cpu)
+    write({
+      type: 'test',
+      name: t.name,
+      cpuUs: cpu.user + cpu.system,
+      heapUsedBytes: (start.heapBefore + process.memoryUsage().heapUsed) / 2
+    })
+  })
+
+  process.on('exit', () => {
+    const cpu = process.cpuUsage()
+    write({ type: 'file', cpuUs: cpu.user + cpu.system })
+  })
+}
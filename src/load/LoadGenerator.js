@@ -0,0 +1,160 @@
+import http from 'http'
+import https from 'https'
+import net from 'net'
+import { performance } from 'perf_hooks'
+
+/**
+ * Wait until a TCP port accepts connections
+ * @param {Object} options - { port, host, timeoutMs, intervalMs, signal }
+ * @returns {Promise<number>} Milliseconds waited
+ */
+export async function waitForPort(options) {
+  const { port, host = '127.0.0.1', timeoutMs = 30000, intervalMs = 100, signal } = options
+  const startTime = performance.now()
+
+  while (performance.now() - startTime < timeoutMs) {
+    if (signal && signal.aborted) throw new Error('Stopped waiting for the port: the server exited')
+    if (await canConnect(port, host)) return performance.now() - startTime
+    await new Promise(resolve => setTimeout(resolve, intervalMs))
+  }
+  throw new Error(`Port ${host}:${port} did not open within ${timeoutMs}ms`)
+}
+
+function canConnect(port, host) {
+  return new Promise(resolve => {
+    const socket = net.connect({ port, host })
+    const done = (open) => {
+      socket.destroy()
+      resolve(open)
+    }
+    socket.once('connect', () => done(true))
+    socket.once('error', () => done(false))
+    socket.setTimeout(1000, () => done(false))
+  })
+}
+
+/**
+ * Open-loop HTTP load generator
+ * Requests are sent on a fixed schedule whatever the server's latency, so a slow server
+ * sees the same offered load as a fast one (no coordinated omission)
+ */
+export class LoadGenerator {
+  /**
+   * @param {Object} options - Load settings
+   * @param {Array<string>} options.urls - URLs, requested round-robin
+   * @param {number} options.rate - Requests per second (default 50)
+   * @param {number} options.durationMs - How long to send requests (default 10s)
+   * @param {number} options.requestTimeoutMs - Per-request timeout (default 5s)
+   * @param {number} options.maxInFlight - Requests skipped while this many are pending (default 1000)
+   * @param {string} options.method - HTTP method (default GET)
+   * @param {Object} options.headers - Request headers
+   * @param {string} options.body - Request body
+   */
+  constructor(options = {}) {
+    this.urls = (options.urls || []).map(url => new URL(url))
+    this.rate = options.rate ?? 50
+    this.durationMs = options.durationMs ?? 10000
+    this.requestTimeoutMs = options.requestTimeoutMs ?? 5000
+    this.maxInFlight = options.maxInFlight ?? 1000
+    this.method = options.method || 'GET'
+    this.headers = options.headers || {}
+    this.body = options.body ?? null
+
+    if (this.urls.length === 0) throw new Error('Load generation needs at least one URL')
+    if (!(this.rate > 0)) throw new Error('Request rate must be positive')
+    if (!(this.durationMs > 0)) throw new Error('Load duration must be positive')
+  }
+
+  /**
+   * Send requests for the configured duration, then wait for the pending ones
+   * @param {Object} options - { signal } to stop early
+   * @returns {Promise<Object>} { startTime, endTime, sent, skipped, samples, statusCodes, errors, settings }
+   */
+  async run(options = {}) {
+    const { signal } = options
+    const agents = {
+      'http:': new http.Agent({ keepAlive: true, maxSockets: this.maxInFlight }),
+      'https:': new https.Agent({ keepAlive: true, maxSockets: this.maxInFlight })
+    }
+    const intervalMs = 1000 / this.rate
+    const total = Math.max(1, Math.round(this.durationMs / intervalMs))
+    const samples = []
+    const statusCodes = {}
+    const errors = {}
+    const pending = new Set()
+    let skipped = 0
+
+    const startTime = Date.now()
+    const start = performance.now()
+
+    for (let i = 0; i < total; i++) {
+      if (signal && signal.aborted) break
+
+      // Sleep until this request's slot; a late loop catches up instead of drifting
+      const delay = start + i * intervalMs - performance.now()
+      if (delay > 1) await new Promise(resolve => setTimeout(resolve, delay))
+
+      if (pending.size >= this.maxInFlight) {
+        skipped++
+        continue
+      }
+
+      const url = this.urls[i % this.urls.length]
+      const offsetMs = i * intervalMs
+      // Latency counts from the scheduled slot, so a stalled loop cannot hide slow responses
+      const request = this.send(url, agents[url.protocol], start + offsetMs).then(result => {
+        samples.push({ offsetMs, latencyMs: result.latencyMs, status: result.status || null })
+        if (result.status) {
+          statusCodes[result.status] = (statusCodes[result.status] || 0) + 1
+        } else {
+          errors[result.error] = (errors[result.error] || 0) + 1
+        }
+        pending.delete(request)
+      })
+      pending.add(request)
+    }
+
+    await Promise.all(pending)
+    agents['http:'].destroy()
+    agents['https:'].destroy()
+
+    return {
+      startTime,
+      endTime: Date.now(),
+      sent: samples.length,
+      skipped,
+      samples: samples.sort((a, b) => a.offsetMs - b.offsetMs),
+      statusCodes,
+      errors,
+      settings: {
+        urls: this.urls.map(url => url.href),
+        rate: this.rate,
+        durationMs: this.durationMs,
+        method: this.method
+      }
+    }
+  }
+
+  /**
+   * Send one request and read the whole response
+   * @param {URL} url - Request URL
+   * @param {http.Agent} agent - Keep-alive agent for the URL's protocol
+   * @param {number} scheduledAt - performance.now() time the request was due
+   * @returns {Promise<Object>} { latencyMs, status } or { latencyMs, error } - never rejects
+   */
+  send(url, agent, scheduledAt = performance.now()) {
+    const client = url.protocol === 'https:' ? https : http
+
+    return new Promise(resolve => {
+      const finish = (result) => resolve({ latencyMs: performance.now() - scheduledAt, ...result })
+      const request = client.request(url, { method: this.method, headers: this.headers, agent }, (response) => {
+        response.on('data', () => {})
+        response.on('end', () => finish({ status: response.statusCode }))
+        response.on('error', (error) => finish({ error: error.code || error.message }))
+      })
+      request.setTimeout(this.requestTimeoutMs, () => request.destroy(Object.assign(new Error('Request timed out'), { code: 'ETIMEDOUT' })))
+      request.on('error', (error) => finish({ error: error.code || error.message }))
+      request.end(this.body ?? undefined)
+    })
+  }
+}
@@ -0,0 +1,218 @@
+import fs from 'fs/promises'
+import path from 'path'
+import { DEFAULT_PROC_ROOT } from './ProcFs.js'
+import { delay } from '../utils/Formatters.js'
+
+export const DEFAULT_CGROUP_ROOT = '/sys/fs/cgroup'
+
+// cpu.stat is always present; memory.peak and io.stat need these controllers
+const ACCOUNTING_CONTROLLERS = ['memory', 'io']
+
+/**
+ * cgroup v2 accounting for a single analysis run
+ * Places the analyzed process in a dedicated cgroup and reads the kernel's
+ * exact CPU, memory and I/O totals instead of relying on polled samples
+ */
+export class CgroupAccountant {
+  constructor(options = {}) {
+    this.cgroupRoot = options.cgroupRoot || DEFAULT_CGROUP_ROOT
+    this.procRoot = options.procRoot || DEFAULT_PROC_ROOT
+    this.cgroupPath = null
+    this.reason = null
+  }
+
+  /**
+   * Create a dedicated cgroup below the analyzer's own cgroup
+   * The memory and io controllers are enabled for it where the parent allows; when they
+   * cannot be, the cgroup is still used for CPU time and `reason` says what is sampled
+   * @param {string} name - Directory name for the new cgroup
+   * @returns {Promise<boolean>} True if the cgroup was created and is writable
+   */
+  async create(name) {
+    try {
+      const mountPoint = await this.findUnifiedMount()
+      if (!mountPoint) {
+        this.reason = `No cgroup v2 hierarchy found under ${this.cgroupRoot}`
+        return false
+      }
+
+      const ownCgroup = await this.readOwnCgroup()
+      const parentPath = path.join(mountPoint, ownCgroup)
+      const cgroupPath = path.join(parentPath, name)
+
+      await fs.mkdir(cgroupPath)
+      this.cgroupPath = cgroupPath
+      this.reason = await this.enableControllers(parentPath)
+      return true
+    } catch (error) {
+      this.reason = `cgroup v2 not writable: ${error.message}`
+      return false
+    }
+  }
+
+  /**
+   * Enable the accounting controllers in the parent's cgroup.subtree_control
+   * @param {string} parentPath - Parent cgroup directory
+   * @returns {Promise<string|null>} Why some controllers are missing, or null when all are enabled
+   */
+  async enableControllers(parentPath) {
+    const readList = async (file) => {
+      try {
+        return (await fs.readFile(path.join(parentPath, file), 'utf8')).trim().split(/\s+/)
+      } catch (error) {
+        return []
+      }
+    }
+    const available = await readList('cgroup.controllers')
+    const enabled = await readList('cgroup.subtree_control')
+
+    const failures = []
+    for (const controller of ACCOUNTING_CONTROLLERS) {
+      if (enabled.includes(controller)) continue
+      if (!available.includes(controller)) {
+        failures.push(`${controller}: not offered by the parent cgroup`)
+        continue
+      }
+      try {
+        await fs.writeFile(path.join(parentPath, 'cgroup.subtree_control'), `+${controller}`)
+      } catch (error) {
+        // EBUSY: a non-root parent that holds processes (the analyzer) cannot delegate
+        failures.push(`${controller}: ${error.message}`)
+      }
+    }
+
+    if (failures.length === 0) return null
+    return `Could not enable cgroup controllers (${failures.join('; ')}), so peak memory and disk I/O are sampled`
+  }
+
+  /**
+   * Move a process into the cgroup
+   * @param {number} pid - Process ID
+   */
+  async addProcess(pid) {
+    await fs.writeFile(path.join(this.cgroupPath, 'cgroup.procs'), String(pid))
+  }
+
+  /**
+   * Read accumulated totals for everything that ran in the cgroup
+   * Files that depend on controllers not delegated to us are reported as null
+   * @returns {Promise<Object>} CPU (µs), memory (bytes) and I/O (bytes) totals
+   */
+  async readStats() {
+    const cpuStat = parseKeyValues(await this.readFile('cpu.stat'))
+    const ioTotals = parseIoStat(await this.readFile('io.stat'))
+    const memoryPeak = await this.readFile('memory.peak')
+    const memoryCurrent = await this.readFile('memory.current')
+
+    return {
+      cpuUsageUsec: cpuStat.usage_usec ?? null,
+      cpuUserUsec: cpuStat.user_usec ?? null,
+      cpuSystemUsec: cpuStat.system_usec ?? null,
+      memoryPeakBytes: memoryPeak !== null ? parseInt(memoryPeak, 10) : null,
+      memoryCurrentBytes: memoryCurrent !== null ? parseInt(memoryCurrent, 10) : null,
+      ioReadBytes: ioTotals ? ioTotals.rbytes : null,
+      ioWriteBytes: ioTotals ? ioTotals.wbytes : null
+    }
+  }
+
+  /**
+   * Kill anything left in the cgroup and remove it
+   */
+  async destroy() {
+    if (!this.cgroupPath) return
+
+    try {
+      // cgroup.kill exists since Linux 5.14; older kernels need the group to be empty
+      await fs.writeFile(path.join(this.cgroupPath, 'cgroup.kill'), '1').catch(() => {})
+      await removeWhenEmpty(this.cgroupPath)
+    } catch (error) {
+      // Leaving an empty cgroup behind is harmless
+    } finally {
+      this.cgroupPath = null
+    }
+  }
+
+  /**
+   * Locate the cgroup v2 mount (pure v2, or "unified" on hybrid systems)
+   * @returns {Promise<string|null>} Mount point path
+   */
+  async findUnifiedMount() {
+    for (const candidate of [this.cgroupRoot, path.join(this.cgroupRoot, 'unified')]) {
+      try {
+        await fs.access(path.join(candidate, 'cgroup.controllers'))
+        return candidate
+      } catch (error) {
+        // Try the next candidate
+      }
+    }
+    return null
+  }
+
+  /**
+   * Read the analyzer's own cgroup v2 path from /proc/self/cgroup
+   * @returns {Promise<string>} Path relative to the cgroup v2 mount
+   */
+  async readOwnCgroup() {
+    const content = await fs.readFile(path.join(this.procRoot, 'self', 'cgroup'), 'utf8')
+    const unifiedLine = content.split('\n').find(line => line.startsWith('0::'))
+    return unifiedLine ? unifiedLine.slice(3) : '/'
+  }
+
+  async readFile(name) {
+    try {
+      return (await fs.readFile(path.join(this.cgroupPath, name), 'utf8')).trim()
+    } catch (error) {
+      return null
+    }
+  }
+}
+
+/**
+ * Parse "key value" lines (cpu.stat format)
+ * @param {string|null} content - File content
+ * @returns {Object} Numeric values by key
+ */
+function parseKeyValues(content) {
+  const values = {}
+  if (!content) return values
+
+  for (const line of content.split('\n')) {
+    const [key, value] = line.trim().split(/\s+/)
+    if (key && value !== undefined) values[key] = Number(value)
+  }
+  return values
+}
+
+/**
+ * Sum read/write bytes over all devices in io.stat
+ * @param {string|null} content - File content ("8:0 rbytes=1 wbytes=2 ...")
+ * @returns {Object|null} { rbytes, wbytes } or null if io.stat is unavailable
+ */
+function parseIoStat(content) {
+  if (content === null) return null
+
+  const totals = { rbytes: 0, wbytes: 0 }
+  for (const line of content.split('\n')) {
+    for (const field of line.trim().split(/\s+/).slice(1)) {
+      const [key, value] = field.split('=')
+      if (key in totals) totals[key] += Number(value)
+    }
+  }
+  return totals
+}
+
+/**
+ * Remove a cgroup directory, retrying briefly while killed processes exit
+ * @param {string} cgroupPath - cgroup directory
+ */
+async function removeWhenEmpty(cgroupPath) {
+  for (let attempt = 0; attempt < 10; attempt++) {
+    try {
+      await fs.rmdir(cgroupPath)
+      return
+    } catch (error) {
+      if (error.code !== 'EBUSY') throw error
+      await delay(50)
+    }
+  }
+}
@@ -1,5 +1,16 @@
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
 import pidusage from 'pidusage'
 import { IMonitoringStrategy, TimelinePoint } from '../core/interfaces/Types.js'
+import {
+  DEFAULT_PROC_ROOT,
+  isProcFsAvailable,
+  listDescendants,
+  readProcessCommand,
+  readProcessIo,
+  readNetworkBytes
+} from './ProcFs.js'
 
 /**
  * High-precision process monitoring strategy
@@ -16,15 +27,19 @@ export class ProcessMonitoringStrategy extends IMonitoringStrategy {
    * @param {number} pid - Process ID to monitor
    * @param {number} maxDuration - Maximum monitoring duration in ms
    * @param {Function} onData - Callback for each data point
+   * @param {Object} options - { attached } true when the process was already running
    * @returns {Promise<Array>} Timeline data
    */
-  async monitor(pid, maxDuration, onData = null) {
+  async monitor(pid, maxDuration, onData = null, options = {}) {
     const timeline = []
     const startTime = Date.now()
+    const ioTracker = new IoTracker(pid)
     let totalCpu = 0
     let totalMemory = 0
     let samples = 0
 
+    await ioTracker.start(options.attached ? [pid] : [])
+
     return new Promise((resolve, reject) => {
       const monitoringInterval = setInterval(async () => {
         try {
@@ -37,7 +52,8 @@ export class ProcessMonitoringStrategy extends IMonitoringStrategy {
               timeline,
               avgCpuUsage: samples > 0 ? totalCpu / samples : 0,
               avgMemoryUsage: samples > 0 ? totalMemory / samples : 0,
-              samples
+              samples,
+              io: ioTracker.totals()
             })
             return
           }
@@ -46,9 +62,11 @@ export class ProcessMonitoringStrategy extends IMonitoringStrategy {
           const stats = await pidusage(pid)
           const timeSeconds = elapsedTime / 1000
           const memoryMB = stats.memory / (1024 * 1024)
+          await ioTracker.sample([pid])
 
           // Create timeline point
           const point = new TimelinePoint(timeSeconds, stats.cpu, memoryMB)
+          point.io = ioTracker.snapshot()
           timeline.push(point)
 
           // Update totals
@@ -62,14 +80,15 @@ export class ProcessMonitoringStrategy extends IMonitoringStrategy {
           }
 
         } catch (error) {
-          if (error.code === 'ESRCH') {
+          if (error.code === 'ESRCH' || error.code === 'ENOENT') {
             // Process finished
             clearInterval(monitoringInterval)
             resolve({
               timeline,
               avgCpuUsage: samples > 0 ? totalCpu / samples : 0,
               avgMemoryUsage: samples > 0 ? totalMemory / samples : 0,
-              samples
+              samples,
+              io: ioTracker.totals()
             })
           } else {
             clearInterval(monitoringInterval)
@@ -81,6 +100,498 @@ export class ProcessMonitoringStrategy extends IMonitoringStrategy {
   }
 }
 
+/**
+ * Process-tree monitoring strategy
+ * Discovers the full descendant tree of the monitored process on every tick
+ * (child_process, cluster workers, spawned CLIs) and aggregates CPU and memory
+ * across it. Worker threads are part of their process and are included as-is.
+ * Hosts without /proc (macOS, Windows) cannot list descendants, so there only the
+ * process itself is monitored with pidusage.
+ */
+export class ProcessTreeMonitoringStrategy extends IMonitoringStrategy {
+  constructor(interval = 50, procRoot = DEFAULT_PROC_ROOT) {
+    super()
+    this.interval = interval
+    this.procRoot = procRoot
+    this.singleProcessMonitor = new ProcessMonitoringStrategy(interval)
+  }
+
+  /**
+   * Monitor a process tree and collect aggregated and per-process data
+   * @param {number} pid - Root process ID to monitor
+   * @param {number} maxDuration - Maximum monitoring duration in ms
+   * @param {Function} onData - Callback for each aggregated data point
+   * @param {Object} options - { attached } true when the process tree was already running
+   * @returns {Promise<Object>} Timeline data with per-process summaries
+   */
+  async monitor(pid, maxDuration, onData = null, options = {}) {
+    if (!await isProcFsAvailable(this.procRoot)) {
+      return this.singleProcessMonitor.monitor(pid, maxDuration, onData, options)
+    }
+
+    const timeline = []
+    const processes = new Map()
+    const startTime = Date.now()
+    const ioTracker = new IoTracker(pid, this.procRoot)
+    let totalCpu = 0
+    let totalMemory = 0
+    let samples = 0
+    let sampling = false
+
+    const buildResult = () => ({
+      timeline,
+      avgCpuUsage: samples > 0 ? totalCpu / samples : 0,
+      avgMemoryUsage: samples > 0 ? totalMemory / samples : 0,
+      samples,
+      processes: this.summarizeProcesses(processes, samples),
+      io: ioTracker.totals()
+    })
+
+    await ioTracker.start(options.attached ? [pid, ...await listDescendants(pid, this.procRoot)] : [])
+
+    return new Promise((resolve, reject) => {
+      const monitoringInterval = setInterval(async () => {
+        // Tree discovery can outlast a short interval; skip overlapping ticks
+        if (sampling) return
+        sampling = true
+
+        try {
+          const elapsedTime = Date.now() - startTime
+
+          if (elapsedTime >= maxDuration) {
+            clearInterval(monitoringInterval)
+            resolve(buildResult())
+            return
+          }
+
+          const pids = [pid, ...await listDescendants(pid, this.procRoot)]
+          const stats = await pidusage(pids)
+
+          if (!stats[pid]) {
+            // Root process finished
+            clearInterval(monitoringInterval)
+            resolve(buildResult())
+            return
+          }
+
+          const timeSeconds = elapsedTime / 1000
+          const perProcess = {}
+          let cpu = 0
+          let memoryMB = 0
+
+          for (const processPid of pids) {
+            const processStats = stats[processPid]
+            if (!processStats) continue
+
+            const processMemoryMB = processStats.memory / (1024 * 1024)
+            cpu += processStats.cpu
+            memoryMB += processMemoryMB
+            perProcess[processPid] = { cpu: processStats.cpu, memoryMB: processMemoryMB }
+
+            await this.trackProcess(processes, processStats, processMemoryMB, timeSeconds)
+          }
+
+          await ioTracker.sample(pids)
+
+          const point = new TimelinePoint(timeSeconds, cpu, memoryMB)
+          point.processes = perProcess
+          point.io = ioTracker.snapshot()
+          timeline.push(point)
+
+          totalCpu += cpu
+          totalMemory += memoryMB
+          samples++
+
+          if (onData) {
+            onData(cpu, memoryMB)
+          }
+
+        } catch (error) {
+          clearInterval(monitoringInterval)
+          if (error.code === 'ESRCH' || error.code === 'ENOENT') {
+            // Process finished
+            resolve(buildResult())
+          } else {
+            reject(error)
+          }
+        } finally {
+          sampling = false
+        }
+      }, this.interval)
+    })
+  }
+
+  /**
+   * Update the running summary for one process of the tree
+   * @param {Map} processes - Summaries keyed by PID
+   * @param {Object} stats - pidusage stats for the process
+   * @param {number} memoryMB - Resident memory in MB
+   * @param {number} timeSeconds - Sample time
+   */
+  async trackProcess(processes, stats, memoryMB, timeSeconds) {
+    let entry = processes.get(stats.pid)
+
+    if (!entry) {
+      entry = {
+        pid: stats.pid,
+        ppid: stats.ppid,
+        command: await readProcessCommand(stats.pid, this.procRoot),
+        firstSeen: timeSeconds,
+        lastSeen: timeSeconds,
+        totalCpu: 0,
+        peakCpu: 0,
+        peakMemoryMB: 0,
+        samples: 0
+      }
+      processes.set(stats.pid, entry)
+    }
+
+    entry.lastSeen = timeSeconds
+    entry.totalCpu += stats.cpu
+    entry.peakCpu = Math.max(entry.peakCpu, stats.cpu)
+    entry.peakMemoryMB = Math.max(entry.peakMemoryMB, memoryMB)
+    entry.samples++
+  }
+
+  /**
+   * Turn running per-process totals into summaries sorted by CPU share
+   * @param {Map} processes - Summaries keyed by PID
+   * @param {number} samples - Number of aggregated samples taken
+   * @returns {Array} Per-process summaries
+   */
+  summarizeProcesses(processes, samples) {
+    const entries = [...processes.values()]
+    const treeCpu = entries.reduce((sum, entry) => sum + entry.totalCpu, 0)
+
+    return entries
+      .map(({ totalCpu, ...entry }) => ({
+        ...entry,
+        // Averaged over the whole run so short-lived children weigh less
+        avgCpu: samples > 0 ? totalCpu / samples : 0,
+        cpuShare: treeCpu > 0 ? totalCpu / treeCpu : 0
+      }))
+      .sort((a, b) => b.cpuShare - a.cpuShare)
+  }
+}
+
+/**
+ * RAPL hardware energy monitoring strategy
+ * Reads Intel/AMD RAPL package and DRAM energy counters exposed through the
+ * Linux powercap sysfs interface while a wrapped strategy samples the process.
+ * The measured energy is apportioned to the process by its share of system CPU time.
+ */
+export class RaplMonitoringStrategy extends IMonitoringStrategy {
+  constructor(interval = 50, options = {}) {
+    super()
+    this.interval = interval
+    this.sysfsRoot = options.sysfsRoot || '/sys/class/powercap'
+    this.procRoot = options.procRoot || DEFAULT_PROC_ROOT
+    this.processMonitor = options.processMonitor || new ProcessTreeMonitoringStrategy(interval, this.procRoot)
+  }
+
+  /**
+   * Monitor a process while accumulating RAPL energy counters
+   * @param {number} pid - Process ID to monitor
+   * @param {number} maxDuration - Maximum monitoring duration in ms
+   * @param {Function} onData - Callback for each data point
+   * @param {Object} options - Passed on to the wrapped strategy
+   * @returns {Promise<Object>} Wrapped strategy result with a `rapl` block
+   */
+  async monitor(pid, maxDuration, onData = null, options = {}) {
+    const domains = await this.discoverDomains()
+
+    if (domains.length === 0) {
+      const result = await this.processMonitor.monitor(pid, maxDuration, onData, options)
+      return {
+        ...result,
+        rapl: { available: false, reason: `No readable RAPL domains under ${this.sysfsRoot}` }
+      }
+    }
+
+    // Reads are chained so overlapping ticks never count the same delta twice
+    let pendingSample = Promise.resolve()
+    // A counter that stops being readable (permissions dropped, zone removed) leaves a gap
+    // the totals cannot account for, so the first failure invalidates the measurement
+    let readError = null
+    const sample = () => {
+      pendingSample = pendingSample.then(() => this.sampleDomains(domains)).catch((error) => {
+        readError = readError || error
+      })
+      return pendingSample
+    }
+
+    const startCpuTicks = await this.readSystemCpuTicks()
+    const startTime = Date.now()
+    await sample()
+
+    // Counters wrap around; sampling on every tick keeps each delta under one wrap
+    const counterInterval = setInterval(sample, this.interval)
+
+    let result
+    try {
+      result = await this.processMonitor.monitor(pid, maxDuration, onData, options)
+    } finally {
+      clearInterval(counterInterval)
+    }
+
+    await sample()
+    const durationSeconds = (Date.now() - startTime) / 1000
+    const endCpuTicks = await this.readSystemCpuTicks()
+
+    if (readError) {
+      return {
+        ...result,
+        rapl: { available: false, reason: `RAPL counters became unreadable during the run (${readError.message}); energy is the model estimate` }
+      }
+    }
+
+    return {
+      ...result,
+      rapl: this.summarize(domains, result, durationSeconds, startCpuTicks, endCpuTicks)
+    }
+  }
+
+  /**
+   * Find readable package and DRAM energy domains
+   * Core/uncore subzones are part of the package and psys overlaps both,
+   * so they are skipped to avoid double counting
+   * @returns {Promise<Array>} Domains with counter paths and wrap ranges
+   */
+  async discoverDomains() {
+    let entries = []
+    try {
+      entries = await fs.readdir(this.sysfsRoot)
+    } catch (error) {
+      return []
+    }
+
+    const domains = []
+    for (const entry of entries) {
+      if (!/^intel-rapl:\d+(:\d+)?$/.test(entry)) continue
+
+      const zonePath = path.join(this.sysfsRoot, entry)
+      try {
+        const name = (await fs.readFile(path.join(zonePath, 'name'), 'utf8')).trim()
+        const type = name.startsWith('package') ? 'package' : name === 'dram' ? 'dram' : null
+        if (!type) continue
+
+        const maxRange = await fs.readFile(path.join(zonePath, 'max_energy_range_uj'), 'utf8')
+        // Reading the counter once up front surfaces permission errors early
+        await fs.readFile(path.join(zonePath, 'energy_uj'), 'utf8')
+
+        domains.push({
+          zone: entry,
+          name,
+          type,
+          counterPath: path.join(zonePath, 'energy_uj'),
+          maxEnergyRangeUj: parseFloat(maxRange),
+          lastUj: null,
+          totalUj: 0
+        })
+      } catch (error) {
+        // Unreadable zone (commonly root-only energy_uj); skip it
+      }
+    }
+
+    return domains
+  }
+
+  /**
+   * Read every domain counter and accumulate the delta since the last read
+   * @param {Array} domains - Domains from discoverDomains()
+   */
+  async sampleDomains(domains) {
+    await Promise.all(domains.map(async (domain) => {
+      const valueUj = parseFloat(await fs.readFile(domain.counterPath, 'utf8'))
+      if (domain.lastUj !== null) {
+        const delta = valueUj >= domain.lastUj
+          ? valueUj - domain.lastUj
+          : (domain.maxEnergyRangeUj - domain.lastUj) + valueUj
+        domain.totalUj += delta
+      }
+      domain.lastUj = valueUj
+    }))
+  }
+
+  /**
+   * Read busy and total CPU ticks for the whole system from /proc/stat
+   * @returns {Promise<Object|null>} { busy, total } in clock ticks, or null
+   */
+  async readSystemCpuTicks() {
+    try {
+      const stat = await fs.readFile(path.join(this.procRoot, 'stat'), 'utf8')
+      const values = stat.split('\n')[0].trim().split(/\s+/).slice(1).map(Number)
+      const total = values.reduce((sum, value) => sum + value, 0)
+      const idle = values[3] + (values[4] || 0) // idle + iowait
+      return { busy: total - idle, total }
+    } catch (error) {
+      return null
+    }
+  }
+
+  /**
+   * Build the RAPL summary and the share attributed to the monitored process
+   * @returns {Object} RAPL energy summary in joules
+   */
+  summarize(domains, result, durationSeconds, startCpuTicks, endCpuTicks) {
+    const joulesOf = (type) => domains
+      .filter(domain => domain.type === type)
+      .reduce((sum, domain) => sum + domain.totalUj / 1e6, 0)
+
+    const packageJoules = joulesOf('package')
+    const dramJoules = joulesOf('dram')
+    const totalJoules = packageJoules + dramJoules
+
+    // avgCpuUsage is in "% of one core", so this is CPU-seconds used by the process
+    const processCpuSeconds = (result.avgCpuUsage / 100) * durationSeconds
+    const cores = os.cpus().length || 1
+    let systemCpuSeconds = cores * durationSeconds
+
+    if (startCpuTicks && endCpuTicks) {
+      const busyTicks = endCpuTicks.busy - startCpuTicks.busy
+      const totalTicks = endCpuTicks.total - startCpuTicks.total
+      if (busyTicks > 0 && totalTicks > 0) {
+        // Convert busy ticks to seconds using the elapsed wall time per tick
+        systemCpuSeconds = (busyTicks / totalTicks) * cores * durationSeconds
+      }
+    }
+
+    const cpuShare = systemCpuSeconds > 0
+      ? Math.min(1, Math.max(0, processCpuSeconds / systemCpuSeconds))
+      : 0
+
+    return {
+      available: true,
+      domains: domains.map(domain => ({
+        zone: domain.zone,
+        name: domain.name,
+        joules: domain.totalUj / 1e6
+      })),
+      packageJoules,
+      dramJoules,
+      totalJoules,
+      durationSeconds,
+      cpuShare,
+      attributedJoules: totalJoules * cpuShare
+    }
+  }
+}
+
+/**
+ * Accumulates disk and network I/O for a process (tree) across samples
+ * When a child is reaped the kernel adds its I/O to its parent's /proc/<pid>/io, so
+ * only the root and the live descendants are summed: a child's bytes count once,
+ * in its own counters while it runs and in its parent's once it is gone
+ */
+class IoTracker {
+  constructor(rootPid, procRoot = DEFAULT_PROC_ROOT) {
+    this.rootPid = rootPid
+    this.procRoot = procRoot
+    this.countersByPid = new Map()
+    this.baselineByPid = new Map()
+    // Baselines of exited processes, whose whole-life counters moved into their parents
+    this.reapedBaseline = createIoCounters()
+    this.networkStart = null
+    this.networkLast = null
+  }
+
+  /**
+   * Take the baselines before the first sample
+   * /proc/<pid>/io counts over a process's whole life, so processes that were already
+   * running only count from here; processes started later count from zero
+   * @param {number[]} existingPids - PIDs that were running before monitoring started
+   */
+  async start(existingPids = []) {
+    const readings = await Promise.all(existingPids.map(pid => readProcessIo(pid, this.procRoot)))
+    existingPids.forEach((pid, index) => {
+      if (readings[index]) this.baselineByPid.set(pid, readings[index])
+    })
+
+    this.networkStart = await readNetworkBytes(this.rootPid, this.procRoot)
+    this.networkLast = this.networkStart
+  }
+
+  /**
+   * Read the latest counters for the given PIDs
+   * @param {number[]} pids - Live PIDs of the monitored tree
+   */
+  async sample(pids) {
+    const readings = await Promise.all(pids.map(pid => readProcessIo(pid, this.procRoot)))
+    const live = new Set()
+    pids.forEach((pid, index) => {
+      if (!readings[index]) return
+      this.countersByPid.set(pid, readings[index])
+      live.add(pid)
+    })
+
+    // The root's last reading stays; an exited descendant's bytes are now in its parent
+    for (const pid of this.countersByPid.keys()) {
+      if (pid === this.rootPid || live.has(pid)) continue
+      this.countersByPid.delete(pid)
+      const baseline = this.baselineByPid.get(pid)
+      if (baseline) {
+        for (const key of Object.keys(this.reapedBaseline)) this.reapedBaseline[key] += baseline[key]
+        this.baselineByPid.delete(pid)
+      }
+    }
+
+    const network = await readNetworkBytes(this.rootPid, this.procRoot)
+    if (network) this.networkLast = network
+  }
+
+  /**
+   * Cumulative I/O since monitoring started, for a timeline point
+   * @returns {Object} Disk and network bytes so far
+   */
+  snapshot() {
+    const totals = this.totals()
+    return {
+      readBytes: totals.diskReadBytes,
+      writeBytes: totals.diskWriteBytes,
+      netRxBytes: totals.networkRxBytes,
+      netTxBytes: totals.networkTxBytes
+    }
+  }
+
+  /**
+   * Totals over the monitored tree
+   * @returns {Object} Disk, character I/O, syscall and network totals
+   */
+  totals() {
+    const totals = {
+      diskReadBytes: 0,
+      diskWriteBytes: 0,
+      readChars: 0,
+      writeChars: 0,
+      readSyscalls: 0,
+      writeSyscalls: 0,
+      networkRxBytes: 0,
+      networkTxBytes: 0
+    }
+
+    const sums = createIoCounters()
+    for (const [pid, counters] of this.countersByPid) {
+      const baseline = this.baselineByPid.get(pid)
+      for (const key of Object.keys(sums)) sums[key] += counters[key] - (baseline ? baseline[key] : 0)
+    }
+    // A reaped child's pre-monitoring I/O arrived in its parent along with the rest
+    const since = (key) => Math.max(0, sums[key] - this.reapedBaseline[key])
+    totals.diskReadBytes = since('readBytes')
+    totals.diskWriteBytes = since('writeBytes')
+    totals.readChars = since('readChars')
+    totals.writeChars = since('writeChars')
+    totals.readSyscalls = since('readSyscalls')
+    totals.writeSyscalls = since('writeSyscalls')
+
+    if (this.networkStart && this.networkLast) {
+      totals.networkRxBytes = Math.max(0, this.networkLast.rxBytes - this.networkStart.rxBytes)
+      totals.networkTxBytes = Math.max(0, this.networkLast.txBytes - this.networkStart.txBytes)
+    }
+
+    return totals
+  }
+}
+
 /**
  * Mock monitoring strategy for testing
  */
@@ -110,3 +621,7 @@ export class MockMonitoringStrategy extends IMonitoringStrategy {
     })
   }
 }
+
+function createIoCounters() {
+  return { readBytes: 0, writeBytes: 0, readChars: 0, writeChars: 0, readSyscalls: 0, writeSyscalls: 0 }
+}
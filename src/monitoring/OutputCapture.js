@@ -0,0 +1,125 @@
+import { StringDecoder } from 'string_decoder'
+
+// Longer lines are cut so one minified blob cannot dominate the report
+const MAX_LINE_LENGTH = 2000
+
+/**
+ * Reads a child's stdout/stderr into timestamped lines
+ * Draining the pipes keeps chatty processes from stalling on a full pipe buffer.
+ * At most `maxLines` lines are kept: the first half and the most recent half,
+ * so both the startup output and the final errors survive
+ */
+export class OutputCapture {
+  /**
+   * @param {Object} options - { maxLines, tee, startTime }
+   * @param {number} options.maxLines - Maximum number of lines kept
+   * @param {boolean} options.tee - Also write the output to this process' stdout/stderr
+   * @param {number} options.startTime - Date.now() of the spawn; line times are relative to it
+   */
+  constructor(options = {}) {
+    this.maxLines = options.maxLines ?? 1000
+    this.headSize = Math.ceil(this.maxLines / 2)
+    this.tailSize = this.maxLines - this.headSize
+    this.tee = Boolean(options.tee)
+    this.startTime = options.startTime ?? Date.now()
+    this.head = []
+    this.tail = []
+    this.totalLines = 0
+    this.streams = []
+  }
+
+  /**
+   * Start reading a stream
+   * @param {Readable} stream - Child stdout or stderr
+   * @param {string} name - 'stdout' or 'stderr'
+   */
+  attach(stream, name) {
+    if (!stream) return
+
+    const decoder = new StringDecoder('utf8')
+    const state = { name, pending: '', pendingTime: null }
+    const mirror = name === 'stderr' ? process.stderr : process.stdout
+    this.streams.push(state)
+
+    stream.on('data', (chunk) => {
+      if (this.tee) mirror.write(chunk)
+      this.consume(state, decoder.write(chunk))
+    })
+    stream.on('end', () => {
+      this.consume(state, decoder.end())
+      this.flush(state)
+    })
+  }
+
+  /**
+   * Split decoded text into lines, keeping an unterminated remainder for the next chunk
+   * @param {Object} state - Per-stream state
+   * @param {string} text - Decoded text
+   */
+  consume(state, text) {
+    if (!text) return
+
+    const now = this.elapsedSeconds()
+    // A line is stamped with the time its first character arrived
+    if (state.pendingTime === null) state.pendingTime = now
+
+    const parts = (state.pending + text).split('\n')
+    state.pending = parts.pop()
+
+    for (const line of parts) {
+      this.addLine(state.name, line, state.pendingTime)
+      state.pendingTime = now
+    }
+    if (!state.pending) state.pendingTime = null
+  }
+
+  /**
+   * Record the unterminated last line of a stream
+   * @param {Object} state - Per-stream state
+   */
+  flush(state) {
+    if (state.pending) this.addLine(state.name, state.pending, state.pendingTime)
+    state.pending = ''
+    state.pendingTime = null
+  }
+
+  addLine(stream, line, timeSeconds) {
+    const text = line.endsWith('\r') ? line.slice(0, -1) : line
+    const entry = {
+      timeSeconds,
+      stream,
+      text: text.length > MAX_LINE_LENGTH ? `${text.slice(0, MAX_LINE_LENGTH)}…` : text
+    }
+
+    this.totalLines++
+    if (this.head.length < this.headSize) {
+      this.head.push(entry)
+      return
+    }
+    this.tail.push(entry)
+    // Trim in batches rather than shifting on every line
+    if (this.tail.length > this.maxLines) {
+      this.tail.splice(0, this.tail.length - this.tailSize)
+    }
+  }
+
+  elapsedSeconds() {
+    return (Date.now() - this.startTime) / 1000
+  }
+
+  /**
+   * Captured output, including lines still waiting for a newline
+   * @returns {Object} { lines, totalLines, droppedLines }
+   */
+  getResult() {
+    for (const state of this.streams) this.flush(state)
+
+    const tail = this.tail.slice(Math.max(0, this.tail.length - this.tailSize))
+    const lines = [...this.head, ...tail]
+    return {
+      lines,
+      totalLines: this.totalLines,
+      droppedLines: this.totalLines - lines.length
+    }
+  }
+}
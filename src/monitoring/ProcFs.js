@@ -0,0 +1,226 @@
+import fs from 'fs/promises'
+import path from 'path'
+
+/**
+ * Helpers for reading process information from the Linux /proc filesystem
+ * Kept free of monitoring logic so strategies can share them
+ */
+
+export const DEFAULT_PROC_ROOT = '/proc'
+
+const childrenFileSupport = new Map()
+
+/**
+ * Check whether a /proc filesystem is available
+ * @param {string} procRoot - Root of the proc filesystem
+ * @returns {Promise<boolean>} True if /proc can be read
+ */
+export async function isProcFsAvailable(procRoot = DEFAULT_PROC_ROOT) {
+  try {
+    await fs.access(path.join(procRoot, 'self', 'stat'))
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * Read the parent PID of a process from /proc/<pid>/stat
+ * @param {number} pid - Process ID
+ * @param {string} procRoot - Root of the proc filesystem
+ * @returns {Promise<number|null>} Parent PID or null if the process is gone
+ */
+export async function readParentPid(pid, procRoot = DEFAULT_PROC_ROOT) {
+  try {
+    const stat = await fs.readFile(path.join(procRoot, String(pid), 'stat'), 'utf8')
+    // The command name may contain spaces, so parse after the last ')'
+    const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ')
+    return parseInt(fields[1], 10)
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Read the command line of a process
+ * @param {number} pid - Process ID
+ * @param {string} procRoot - Root of the proc filesystem
+ * @returns {Promise<string>} Command line, or the short command name as fallback
+ */
+export async function readProcessCommand(pid, procRoot = DEFAULT_PROC_ROOT) {
+  try {
+    const cmdline = await fs.readFile(path.join(procRoot, String(pid), 'cmdline'), 'utf8')
+    const command = cmdline.split('\0').filter(Boolean).join(' ')
+    if (command) return command
+  } catch (error) {
+    // Fall through to comm
+  }
+
+  try {
+    const comm = await fs.readFile(path.join(procRoot, String(pid), 'comm'), 'utf8')
+    return comm.trim()
+  } catch (error) {
+    return ''
+  }
+}
+
+/**
+ * Read I/O counters of a process from /proc/<pid>/io
+ * read_bytes/write_bytes are storage I/O; rchar/wchar include pipes, sockets and cache hits
+ * @param {number} pid - Process ID
+ * @param {string} procRoot - Root of the proc filesystem
+ * @returns {Promise<Object|null>} I/O counters or null if unreadable
+ */
+export async function readProcessIo(pid, procRoot = DEFAULT_PROC_ROOT) {
+  try {
+    const content = await fs.readFile(path.join(procRoot, String(pid), 'io'), 'utf8')
+    const values = {}
+    for (const line of content.split('\n')) {
+      const [key, value] = line.split(':')
+      if (key && value !== undefined) values[key.trim()] = Number(value)
+    }
+
+    return {
+      readBytes: values.read_bytes || 0,
+      writeBytes: values.write_bytes || 0,
+      readChars: values.rchar || 0,
+      writeChars: values.wchar || 0,
+      readSyscalls: values.syscr || 0,
+      writeSyscalls: values.syscw || 0
+    }
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Read network byte counters visible to a process from /proc/<pid>/net/dev
+ * Counters cover the whole network namespace, loopback excluded: on a host that is every
+ * process's traffic, and only inside a single-process container is it the process's own
+ * @param {number} pid - Process ID
+ * @param {string} procRoot - Root of the proc filesystem
+ * @returns {Promise<Object|null>} { rxBytes, txBytes } or null if unreadable
+ */
+export async function readNetworkBytes(pid, procRoot = DEFAULT_PROC_ROOT) {
+  try {
+    const content = await fs.readFile(path.join(procRoot, String(pid), 'net', 'dev'), 'utf8')
+    let rxBytes = 0
+    let txBytes = 0
+
+    // Two header lines, then "iface: rx_bytes rx_packets ... tx_bytes ..."
+    for (const line of content.split('\n').slice(2)) {
+      const [iface, counters] = line.split(':')
+      if (!counters || iface.trim() === 'lo') continue
+      const fields = counters.trim().split(/\s+/).map(Number)
+      rxBytes += fields[0]
+      txBytes += fields[8]
+    }
+
+    return { rxBytes, txBytes }
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * List all descendants (children, grandchildren, ...) of a process
+ * Uses /proc/<pid>/task/<tid>/children when the kernel exposes it and
+ * falls back to scanning every process' parent PID otherwise
+ * @param {number} rootPid - Process ID whose descendants to find
+ * @param {string} procRoot - Root of the proc filesystem
+ * @returns {Promise<number[]>} Descendant PIDs in breadth-first order
+ */
+export async function listDescendants(rootPid, procRoot = DEFAULT_PROC_ROOT) {
+  const getChildren = (await supportsChildrenFile(procRoot))
+    ? (pid) => readChildPids(pid, procRoot)
+    : await createParentMapLookup(procRoot)
+
+  const descendants = []
+  const visited = new Set([rootPid])
+  const queue = [rootPid]
+
+  while (queue.length > 0) {
+    const pid = queue.shift()
+    const children = await getChildren(pid)
+
+    for (const childPid of children) {
+      if (visited.has(childPid)) continue
+      visited.add(childPid)
+      descendants.push(childPid)
+      queue.push(childPid)
+    }
+  }
+
+  return descendants
+}
+
+/**
+ * Read direct children of a process from every thread's children file
+ * @param {number} pid - Process ID
+ * @param {string} procRoot - Root of the proc filesystem
+ * @returns {Promise<number[]>} Child PIDs
+ */
+async function readChildPids(pid, procRoot) {
+  try {
+    const taskDir = path.join(procRoot, String(pid), 'task')
+    const tids = await fs.readdir(taskDir)
+    const lists = await Promise.all(tids.map(tid =>
+      fs.readFile(path.join(taskDir, tid, 'children'), 'utf8').catch(() => '')
+    ))
+
+    return lists
+      .join(' ')
+      .split(/\s+/)
+      .filter(Boolean)
+      .map(Number)
+  } catch (error) {
+    return []
+  }
+}
+
+/**
+ * Build a parent -> children lookup by scanning all processes once
+ * @param {string} procRoot - Root of the proc filesystem
+ * @returns {Promise<Function>} Lookup returning child PIDs for a PID
+ */
+async function createParentMapLookup(procRoot) {
+  const childrenByParent = new Map()
+
+  let entries = []
+  try {
+    entries = await fs.readdir(procRoot)
+  } catch (error) {
+    return async () => []
+  }
+
+  const pids = entries.filter(entry => /^\d+$/.test(entry)).map(Number)
+  const parents = await Promise.all(pids.map(pid => readParentPid(pid, procRoot)))
+
+  pids.forEach((pid, index) => {
+    const ppid = parents[index]
+    if (ppid === null) return
+    if (!childrenByParent.has(ppid)) childrenByParent.set(ppid, [])
+    childrenByParent.get(ppid).push(pid)
+  })
+
+  return async (pid) => childrenByParent.get(pid) || []
+}
+
+/**
+ * Detect (once per proc root) whether the kernel exposes children files
+ * @param {string} procRoot - Root of the proc filesystem
+ * @returns {Promise<boolean>} True if /proc/<pid>/task/<tid>/children exists
+ */
+async function supportsChildrenFile(procRoot) {
+  if (!childrenFileSupport.has(procRoot)) {
+    let supported = false
+    try {
+      await fs.access(path.join(procRoot, 'self', 'task', String(process.pid), 'children'))
+      supported = true
+    } catch (error) {
+      supported = false
+    }
+    childrenFileSupport.set(procRoot, supported)
+  }
+  return childrenFileSupport.get(procRoot)
+}
@@ -0,0 +1,91 @@
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+
+/**
+ * Helpers for the resource limits of analyzed processes
+ * Heap is bounded by V8 (--max-old-space-size), RSS and time by the analyzer's monitor,
+ * CPUs by `taskset` affinity; a process over a limit is stopped with SIGTERM, then SIGKILL
+ */
+
+// V8's last words when the old space limit is reached
+const HEAP_OUT_OF_MEMORY_PATTERN = /JavaScript heap out of memory|Reached heap limit/
+
+/**
+ * Turn a CPU limit into a taskset CPU list
+ * @param {number|string} cpus - Number of cores (first N) or a list such as "0,2-3"
+ * @returns {string} CPU list for `taskset -c`
+ */
+export function resolveCpuList(cpus) {
+  if (typeof cpus === 'number') {
+    const available = os.cpus().length
+    if (!Number.isInteger(cpus) || cpus < 1) throw new Error('CPU count must be a positive integer')
+    if (cpus > available) throw new Error(`CPU count ${cpus} exceeds the ${available} CPUs of this machine`)
+    return cpus === 1 ? '0' : `0-${cpus - 1}`
+  }
+
+  const list = String(cpus).trim()
+  if (!/^\d+(-\d+)?(,\d+(-\d+)?)*$/.test(list)) {
+    throw new Error(`Invalid CPU list "${cpus}" (use e.g. 2 or 0,2-3)`)
+  }
+  return list
+}
+
+/**
+ * Find an executable on the PATH
+ * @param {string} name - Executable name
+ * @returns {Promise<string|null>} Full path, or null when missing
+ */
+export async function findExecutable(name) {
+  for (const dir of (process.env.PATH || '').split(path.delimiter)) {
+    if (!dir) continue
+    const candidate = path.join(dir, name)
+    try {
+      await fs.access(candidate, fs.constants.X_OK)
+      return candidate
+    } catch (error) {
+      // Not in this directory
+    }
+  }
+  return null
+}
+
+/**
+ * Ask a process to stop, then kill it if it has not exited after a grace period
+ * @param {ChildProcess} childProcess - Process to stop
+ * @param {number} graceMs - Time between SIGTERM and SIGKILL
+ * @param {Function} onSignal - Called with each signal as it is sent
+ * @returns {Promise<string|null>} Last signal sent, once the process has exited
+ */
+export function terminateProcess(childProcess, graceMs, onSignal = () => {}) {
+  if (childProcess.exitCode !== null || childProcess.signalCode !== null) {
+    return Promise.resolve(null)
+  }
+
+  return new Promise(resolve => {
+    let signal = 'SIGTERM'
+    const escalation = setTimeout(() => {
+      signal = 'SIGKILL'
+      onSignal(signal)
+      childProcess.kill(signal)
+    }, graceMs)
+
+    // 'exit' rather than 'close': grandchildren may keep the output pipes open
+    childProcess.once('exit', () => {
+      clearTimeout(escalation)
+      resolve(signal)
+    })
+    onSignal(signal)
+    childProcess.kill(signal)
+  })
+}
+
+/**
+ * Whether captured output shows V8 ran out of heap
+ * @param {Object|null} output - OutputCapture result
+ * @returns {boolean} True when V8 reported the heap limit
+ */
+export function isHeapOutOfMemory(output) {
+  if (!output) return false
+  return output.lines.some(line => line.stream === 'stderr' && HEAP_OUT_OF_MEMORY_PATTERN.test(line.text))
+}
@@ -0,0 +1,249 @@
+import fs from 'fs/promises'
+import path from 'path'
+
+/**
+ * Helpers for reading V8 CPU profiles (.cpuprofile) written by `node --cpu-prof`
+ * A profile is a call tree of nodes plus a list of sampled node IDs with time deltas
+ */
+
+// Pseudo frames that are not JavaScript functions
+const ROOT_FRAME = '(root)'
+const IDLE_FRAME = '(idle)'
+
+/**
+ * Read and parse every profile with the given extension in a directory
+ * Unreadable or truncated files (e.g. from a killed process) are skipped
+ * @param {string} directory - Directory the profiles were written to
+ * @param {string} extension - File extension such as '.cpuprofile'
+ * @returns {Promise<Array<Object>>} Parsed profiles in file name order
+ */
+export async function readProfileFiles(directory, extension) {
+  let entries = []
+  try {
+    entries = await fs.readdir(directory)
+  } catch (error) {
+    return []
+  }
+
+  const profiles = []
+  for (const entry of entries.filter(name => name.endsWith(extension)).sort()) {
+    try {
+      profiles.push(JSON.parse(await fs.readFile(path.join(directory, entry), 'utf8')))
+    } catch (error) {
+      // Skip partial profiles
+    }
+  }
+  return profiles
+}
+
+/**
+ * Build a stable key identifying a function across nodes and profiles
+ * @param {Object} callFrame - V8 call frame
+ * @returns {string} Function key
+ */
+export function getFunctionKey(callFrame) {
+  return `${callFrame.functionName}|${callFrame.url}|${callFrame.lineNumber}|${callFrame.columnNumber}`
+}
+
+/**
+ * Compute how long each sample lasted
+ * timeDeltas[i] is the gap before sample i, so a sample lasts until the next one starts
+ * @param {Object} profile - V8 CPU profile
+ * @returns {Array<number>} Duration of each sample in microseconds
+ */
+export function getSampleDurations(profile) {
+  const { samples = [], timeDeltas = [], endTime } = profile
+  const durations = new Array(samples.length)
+  let timestamp = profile.startTime
+
+  for (let i = 0; i < samples.length; i++) {
+    timestamp += timeDeltas[i] || 0
+    const next = i + 1 < samples.length ? timestamp + (timeDeltas[i + 1] || 0) : endTime
+    durations[i] = Math.max(0, next - timestamp)
+  }
+  return durations
+}
+
+/**
+ * Aggregate sampled self time per node of a profile
+ * @param {Object} profile - V8 CPU profile
+ * @returns {Map<number, number>} Self time in microseconds by node ID
+ */
+export function getNodeSelfTimes(profile) {
+  const selfTimes = new Map()
+  const durations = getSampleDurations(profile)
+
+  profile.samples.forEach((nodeId, index) => {
+    selfTimes.set(nodeId, (selfTimes.get(nodeId) || 0) + durations[index])
+  })
+  return selfTimes
+}
+
+/**
+ * Summarize one or more CPU profiles into per-function self and total time
+ * Total time counts a function once per sample even when it recurses
+ * @param {Array<Object>} profiles - V8 CPU profiles
+ * @returns {Object} { sampledMs, idleMs, activeMs, functions } with functions sorted by self time
+ */
+export function summarizeCpuProfiles(profiles) {
+  const functions = new Map()
+  let sampledUs = 0
+  let idleUs = 0
+
+  for (const profile of profiles) {
+    if (!isValidProfile(profile)) continue
+
+    const { nodesById, parents } = indexProfile(profile)
+
+    for (const [nodeId, selfUs] of getNodeSelfTimes(profile)) {
+      const node = nodesById.get(nodeId)
+      if (!node) continue
+      sampledUs += selfUs
+
+      if (node.callFrame.functionName === IDLE_FRAME) {
+        idleUs += selfUs
+        continue
+      }
+
+      // Walk to the root, charging every distinct function on the stack once
+      const seen = new Set()
+      let currentId = nodeId
+      while (currentId !== undefined) {
+        const current = nodesById.get(currentId)
+        const { callFrame } = current
+
+        if (callFrame.functionName !== ROOT_FRAME) {
+          const key = getFunctionKey(callFrame)
+          const entry = getOrCreateFunction(functions, key, callFrame)
+          if (currentId === nodeId) entry.selfUs += selfUs
+          if (!seen.has(key)) {
+            entry.totalUs += selfUs
+            seen.add(key)
+          }
+        }
+        currentId = parents.get(currentId)
+      }
+    }
+  }
+
+  return {
+    sampledMs: sampledUs / 1000,
+    idleMs: idleUs / 1000,
+    activeMs: (sampledUs - idleUs) / 1000,
+    functions: [...functions.values()]
+      .map(({ selfUs, totalUs, ...frame }) => ({
+        ...frame,
+        selfTimeMs: selfUs / 1000,
+        totalTimeMs: totalUs / 1000
+      }))
+      .sort((a, b) => b.selfTimeMs - a.selfTimeMs)
+  }
+}
+
+/**
+ * Merge the call stacks of one or more CPU profiles into a single call tree
+ * Stacks with the same sequence of functions share a node; idle samples are dropped.
+ * Each sample also carries a weight (its duration times weightAt(offset)), so callers
+ * can make node sizes follow something other than plain CPU time
+ * @param {Array<Object>} profiles - V8 CPU profiles
+ * @param {Function} weightAt - Relative weight for a sample taken `seconds` after profile start
+ * @returns {Object} Root node { name, url, lineNumber, selfTimeMs, timeMs, weight, children }
+ */
+export function buildCallTree(profiles, weightAt = () => 1) {
+  const root = createTreeNode({ functionName: '(all)', url: '', lineNumber: -1 })
+
+  for (const profile of profiles) {
+    if (!isValidProfile(profile)) continue
+
+    const { nodesById, parents } = indexProfile(profile)
+    const durations = getSampleDurations(profile)
+    const treeNodes = new Map()
+
+    const resolve = (nodeId) => {
+      if (treeNodes.has(nodeId)) return treeNodes.get(nodeId)
+
+      const { callFrame } = nodesById.get(nodeId)
+      const parentId = parents.get(nodeId)
+      let treeNode = root
+      if (callFrame.functionName !== ROOT_FRAME && parentId !== undefined) {
+        const parent = resolve(parentId)
+        const key = getFunctionKey(callFrame)
+        if (!parent.childrenByKey.has(key)) parent.childrenByKey.set(key, createTreeNode(callFrame))
+        treeNode = parent.childrenByKey.get(key)
+      }
+      treeNodes.set(nodeId, treeNode)
+      return treeNode
+    }
+
+    const timeDeltas = profile.timeDeltas || []
+    let offsetUs = 0
+    profile.samples.forEach((nodeId, index) => {
+      offsetUs += timeDeltas[index] || 0
+      const node = nodesById.get(nodeId)
+      if (!node || node.callFrame.functionName === IDLE_FRAME) return
+
+      const treeNode = resolve(nodeId)
+      treeNode.selfUs += durations[index]
+      treeNode.selfWeight += durations[index] * weightAt(offsetUs / 1000000)
+    })
+  }
+
+  return finalizeTreeNode(root)
+}
+
+function createTreeNode(callFrame) {
+  return {
+    name: callFrame.functionName || '(anonymous)',
+    url: callFrame.url,
+    lineNumber: callFrame.lineNumber + 1,
+    selfUs: 0,
+    selfWeight: 0,
+    childrenByKey: new Map()
+  }
+}
+
+function finalizeTreeNode(treeNode) {
+  const children = [...treeNode.childrenByKey.values()]
+    .map(finalizeTreeNode)
+    .sort((a, b) => b.timeMs - a.timeMs)
+
+  const selfTimeMs = treeNode.selfUs / 1000
+  return {
+    name: treeNode.name,
+    url: treeNode.url,
+    lineNumber: treeNode.lineNumber,
+    selfTimeMs,
+    timeMs: children.reduce((sum, child) => sum + child.timeMs, selfTimeMs),
+    weight: children.reduce((sum, child) => sum + child.weight, treeNode.selfWeight),
+    children
+  }
+}
+
+function isValidProfile(profile) {
+  return Boolean(profile) && Array.isArray(profile.nodes) && Array.isArray(profile.samples)
+}
+
+function indexProfile(profile) {
+  const nodesById = new Map(profile.nodes.map(node => [node.id, node]))
+  const parents = new Map()
+  for (const node of profile.nodes) {
+    for (const childId of node.children || []) parents.set(childId, node.id)
+  }
+  return { nodesById, parents }
+}
+
+function getOrCreateFunction(functions, key, callFrame) {
+  if (!functions.has(key)) {
+    functions.set(key, {
+      key,
+      functionName: callFrame.functionName || '(anonymous)',
+      url: callFrame.url,
+      // V8 positions are zero-based
+      lineNumber: callFrame.lineNumber + 1,
+      columnNumber: callFrame.columnNumber + 1,
+      selfUs: 0,
+      totalUs: 0
+    })
+  }
+  return functions.get(key)
+}
@@ -0,0 +1,85 @@
+import { getFunctionKey } from './CpuProfile.js'
+
+/**
+ * Helpers for reading V8 sampling heap profiles (.heapprofile)
+ * A profile is an allocation call tree whose nodes carry the sampled bytes allocated
+ * directly by that frame (selfSize)
+ */
+
+const ROOT_FRAME = '(root)'
+
+/**
+ * Summarize one or more heap profiles into allocation sites
+ * Inclusive bytes count a function once per stack even when it recurses
+ * @param {Array<Object>} profiles - V8 sampling heap profiles
+ * @returns {Object} { totalBytes, sites } with sites sorted by bytes allocated directly
+ */
+export function summarizeHeapProfiles(profiles) {
+  const sites = new Map()
+  let totalBytes = 0
+
+  for (const profile of profiles) {
+    if (!profile || !profile.head) continue
+    totalBytes += visit(profile.head, sites, new Map())
+  }
+
+  return {
+    totalBytes,
+    sites: [...sites.values()]
+      .filter(site => site.selfBytes > 0 || site.totalBytes > 0)
+      .sort((a, b) => b.selfBytes - a.selfBytes || b.totalBytes - a.totalBytes)
+  }
+}
+
+/**
+ * Depth-first walk that charges self bytes to a node's function and subtree bytes
+ * to every distinct function on the stack
+ * @param {Object} node - Heap profile node
+ * @param {Map} sites - Allocation sites by function key
+ * @param {Map} onStack - Function keys currently on the stack with their depth count
+ * @returns {number} Bytes allocated in the node's subtree
+ */
+function visit(node, sites, onStack) {
+  const { callFrame } = node
+  const isRoot = callFrame.functionName === ROOT_FRAME && !callFrame.url
+  const key = getFunctionKey(callFrame)
+
+  if (!isRoot) onStack.set(key, (onStack.get(key) || 0) + 1)
+
+  let subtreeBytes = node.selfSize || 0
+  for (const child of node.children || []) {
+    subtreeBytes += visit(child, sites, onStack)
+  }
+
+  if (!isRoot) {
+    const site = getOrCreateSite(sites, key, callFrame)
+    site.selfBytes += node.selfSize || 0
+
+    // Only the outermost frame of a recursive function adds the subtree
+    const depth = onStack.get(key) - 1
+    if (depth === 0) {
+      site.totalBytes += subtreeBytes
+      onStack.delete(key)
+    } else {
+      onStack.set(key, depth)
+    }
+  }
+
+  return subtreeBytes
+}
+
+function getOrCreateSite(sites, key, callFrame) {
+  if (!sites.has(key)) {
+    sites.set(key, {
+      key,
+      functionName: callFrame.functionName || '(anonymous)',
+      url: callFrame.url,
+      // V8 positions are zero-based
+      lineNumber: callFrame.lineNumber + 1,
+      columnNumber: callFrame.columnNumber + 1,
+      selfBytes: 0,
+      totalBytes: 0
+    })
+  }
+  return sites.get(key)
+}
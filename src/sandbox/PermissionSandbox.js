@@ -0,0 +1,86 @@
+import fs from 'fs/promises'
+import path from 'path'
+
+/**
+ * Helpers for sandboxed runs on Node's permission model
+ * File system reads and writes are limited to allowed paths; child processes, worker
+ * threads and native addons are disabled by leaving out their --allow flags
+ */
+
+/**
+ * Node flag enabling the permission model, which lost its "experimental" prefix in Node 22
+ * @returns {string|null} Flag, or null when this Node.js has no permission model
+ */
+export function getPermissionFlag() {
+  const flags = process.allowedNodeEnvironmentFlags
+  if (flags.has('--permission')) return '--permission'
+  if (flags.has('--experimental-permission')) return '--experimental-permission'
+  return null
+}
+
+/**
+ * Directory a script's own files and dependencies live in
+ * The nearest directory with a package.json above the script, or the script's directory
+ * @param {string} scriptPath - Script path
+ * @returns {Promise<string>} Directory the sandbox may read
+ */
+export async function findPackageRoot(scriptPath) {
+  const scriptDir = path.dirname(path.resolve(scriptPath))
+  let dir = scriptDir
+  while (true) {
+    try {
+      await fs.access(path.join(dir, 'package.json'))
+      return dir
+    } catch (error) {
+      const parent = path.dirname(dir)
+      if (parent === dir) return scriptDir
+      dir = parent
+    }
+  }
+}
+
+/**
+ * Node arguments for a sandboxed child
+ * @param {Object} access - { allowRead, allowWrite } absolute paths
+ * @returns {Array<string>} Permission model arguments
+ */
+export function buildPermissionArgs(access) {
+  const flag = getPermissionFlag()
+  if (!flag) throw new Error('This Node.js version has no permission model (Node.js 20 or newer is required)')
+
+  return [
+    flag,
+    ...access.allowRead.map(dir => `--allow-fs-read=${dir}`),
+    ...access.allowWrite.map(dir => `--allow-fs-write=${dir}`),
+    '--no-addons'
+  ]
+}
+
+/**
+ * Permission errors the script printed itself, e.g. after catching them
+ * Node prints them as an inspected error object with code, permission and resource lines
+ * @param {Object|null} output - OutputCapture result
+ * @returns {Array<Object>} { permission, resource, timeSeconds }
+ */
+export function parsePermissionErrors(output) {
+  if (!output) return []
+
+  const violations = []
+  let current = null
+  for (const line of output.lines) {
+    if (line.stream !== 'stderr') continue
+    if (line.text.includes("code: 'ERR_ACCESS_DENIED'")) {
+      current = { permission: null, resource: null, timeSeconds: line.timeSeconds }
+      violations.push(current)
+      continue
+    }
+    if (!current) continue
+
+    const permission = line.text.match(/^\s*permission: '([^']*)'/)
+    const resource = line.text.match(/^\s*resource: '([^']*)'/)
+    if (permission) current.permission = permission[1]
+    else if (resource) current.resource = resource[1] || null
+    else current = null
+  }
+  return violations.filter(violation => violation.permission)
+}
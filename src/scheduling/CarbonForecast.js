@@ -0,0 +1,153 @@
+import fs from 'fs'
+import path from 'path'
+import { getIntensityAt } from '../calculations/GridIntensity.js'
+
+/**
+ * Carbon intensity forecasts for carbon-aware scheduling
+ * A forecast answers "how dirty is the grid at time t" from an intensity file (a dated
+ * hourly series, or a typical day of 24 hourly values) or a bundled grid region profile
+ */
+
+const HOUR_MS = 3600000
+
+/**
+ * Turn parsed rows into a profile
+ * @param {Array<Object>} rows - { time, intensity } or { hour, intensity }
+ * @param {string} file - Source file, for error messages
+ * @param {string|null} timeZone - Time zone of hour-of-day rows
+ * @returns {Object} { file, series } or { file, hourly, timeZone }
+ */
+function buildProfile(rows, file, timeZone) {
+  if (rows.length === 0) throw new Error(`Intensity file ${file} has no rows`)
+  if (rows.some(row => !(row.intensity >= 0))) throw new Error(`Intensity file ${file}: every row needs a non-negative intensity (g CO₂/kWh)`)
+
+  if (rows.every(row => row.hour !== undefined)) {
+    const hourly = new Array(24).fill(null)
+    for (const row of rows) {
+      if (!Number.isInteger(row.hour) || row.hour < 0 || row.hour > 23) throw new Error(`Intensity file ${file}: hour ${row.hour} is not 0-23`)
+      hourly[row.hour] = row.intensity
+    }
+    if (hourly.includes(null)) throw new Error(`Intensity file ${file}: a typical-day profile needs all 24 hours`)
+    return { file, hourly, timeZone }
+  }
+
+  const series = rows.map(row => ({ time: new Date(row.time).getTime(), intensity: row.intensity }))
+  if (series.some(point => Number.isNaN(point.time))) throw new Error(`Intensity file ${file}: every row needs an hour (0-23) or a timestamp`)
+  return { file, series: series.sort((a, b) => a.time - b.time) }
+}
+
+/**
+ * Load an intensity file
+ * CSV: `time,intensity` rows with ISO timestamps, or `hour,intensity` rows for a typical day
+ * (a header line is optional). JSON: an array of { time, intensity } or { hour, intensity }
+ * objects, or { timeZone, hourly: [24 values] }. Typical days use the local time zone
+ * unless the JSON names one
+ * @param {string} file - CSV or JSON file
+ * @returns {Object} Profile for createIntensityForecast()
+ */
+export function loadIntensityProfile(file) {
+  let text
+  try {
+    text = fs.readFileSync(file, 'utf8')
+  } catch (error) {
+    throw new Error(`Cannot read intensity file ${file}: ${error.message}`)
+  }
+
+  if (path.extname(file).toLowerCase() === '.json') {
+    let data
+    try {
+      data = JSON.parse(text)
+    } catch (error) {
+      throw new Error(`Invalid JSON in intensity file ${file}: ${error.message}`)
+    }
+    if (Array.isArray(data)) {
+      return buildProfile(data.map(row => ({ time: row.time ?? row.timestamp, hour: row.hour, intensity: row.intensity })), file, null)
+    }
+    if (Array.isArray(data.hourly)) {
+      return buildProfile(data.hourly.map((intensity, hour) => ({ hour, intensity })), file, data.timeZone || null)
+    }
+    throw new Error(`Intensity file ${file} must hold an array of rows or { hourly: [...] }`)
+  }
+
+  const rows = text.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => line.split(',').map(field => field.trim()))
+    // A header names its columns instead of holding a number
+    .filter((fields, index) => index > 0 || !Number.isNaN(parseFloat(fields[1])))
+    .map(([time, intensity]) => /^\d{1,2}$/.test(time)
+      ? { hour: parseInt(time, 10), intensity: parseFloat(intensity) }
+      : { time, intensity: parseFloat(intensity) })
+  return buildProfile(rows, file, null)
+}
+
+/**
+ * Local hour of a moment, in a time zone or the machine's own
+ * @param {number} time - Epoch milliseconds
+ * @param {string|null} timeZone - IANA time zone
+ * @returns {number} Hour 0-23
+ */
+function getLocalHour(time, timeZone) {
+  if (!timeZone) return new Date(time).getHours()
+  const hour = new Intl.DateTimeFormat('en-US', { timeZone, hour: 'numeric', hourCycle: 'h23' }).format(new Date(time))
+  return parseInt(hour, 10)
+}
+
+/**
+ * Combine an intensity file and a grid region into one forecast
+ * The file wins where it has data; a dated series only covers its own time span
+ * (each value holds for the hour after its timestamp), after which the region takes over
+ * @param {Object} sources - { profile, grid }
+ * @param {Object|null} sources.profile - Result of loadIntensityProfile()
+ * @param {Object|null} sources.grid - Result of resolveGridRegion()
+ * @returns {Object|null} { source, varies, intensityAt(time) }, or null without sources
+ */
+export function createIntensityForecast({ profile = null, grid = null }) {
+  if (!profile && !grid) return null
+
+  const fromProfile = (time) => {
+    if (!profile) return null
+    if (profile.hourly) return profile.hourly[getLocalHour(time, profile.timeZone)]
+
+    const { series } = profile
+    if (time < series[0].time || time >= series[series.length - 1].time + HOUR_MS) return null
+    let index = series.length - 1
+    while (series[index].time > time) index--
+    return series[index].intensity
+  }
+
+  return {
+    source: profile ? profile.file : grid.code,
+    // Only hourly data gives a greener time of day to wait for
+    varies: Boolean(profile || grid.hourly),
+    intensityAt(time) {
+      const value = fromProfile(time)
+      if (value !== null) return value
+      return grid ? getIntensityAt(grid, new Date(time)).intensity : null
+    }
+  }
+}
+
+/**
+ * First moment the intensity drops below a threshold
+ * When it never does within maxWaitMs, the greenest moment in that span is returned instead
+ * @param {Object} forecast - Result of createIntensityForecast()
+ * @param {Object} options - { threshold, maxWaitMs, now }
+ * @returns {Object} { time, intensity, belowThreshold }
+ */
+export function findGreenStart(forecast, { threshold, maxWaitMs, now = Date.now() }) {
+  let greenest = null
+  // Check now, then every full hour, when hourly values change
+  const firstHour = Math.ceil(now / HOUR_MS) * HOUR_MS
+  const candidates = [now]
+  for (let time = firstHour; time <= now + maxWaitMs; time += HOUR_MS) candidates.push(time)
+
+  for (const time of candidates) {
+    const intensity = forecast.intensityAt(time)
+    if (intensity === null) continue
+    if (intensity < threshold) return { time, intensity, belowThreshold: true }
+    if (!greenest || intensity < greenest.intensity) greenest = { time, intensity, belowThreshold: false }
+  }
+  if (!greenest) throw new Error('The intensity forecast has no data for the waiting period')
+  return greenest
+}
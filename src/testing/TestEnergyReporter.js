@@ -0,0 +1,204 @@
+import fs from 'fs/promises'
+import path from 'path'
+import { AnalyzerConfig } from '../core/interfaces/Types.js'
+import { TestEnergyCalculationStrategy } from '../calculations/CalculationStrategies.js'
+import { formatEnergy, formatCO2 } from '../utils/Formatters.js'
+
+/**
+ * node:test reporter that ranks tests by estimated energy
+ * Per-test CPU time comes from the TestCpuPreload.cjs preload, which must be loaded too:
+ *
+ *   GAYACODE_TEST_CPU_FILE=/tmp/cpu.jsonl node --test \
+ *     --require gayacode/test-preload \
+ *     --test-reporter=spec --test-reporter-destination=stdout \
+ *     --test-reporter=gayacode/test-reporter --test-reporter-destination=stdout
+ *
+ * Environment:
+ *   GAYACODE_TEST_CPU_FILE    - JSON lines written by the preload (required)
+ *   GAYACODE_TEST_REPORT_FILE - Where to write the full results as JSON (optional)
+ *   GAYACODE_TEST_CONFIG      - JSON AnalyzerConfig options such as emissionFactor (optional)
+ *   GAYACODE_TEST_TOP         - Number of tests in the printed ranking (default 10)
+ *
+ * Test files running in parallel (--test-concurrency above 1) compete for the CPU, so each
+ * test's duration and energy also absorb the others' load; attribution is then approximate.
+ */
+export default async function * testEnergyReporter(source) {
+  const collector = new TestEventCollector()
+  for await (const event of source) {
+    collector.add(event)
+  }
+
+  const cpuFile = process.env.GAYACODE_TEST_CPU_FILE
+  if (!cpuFile) {
+    yield '\n⚠️  GayaCode test energy: GAYACODE_TEST_CPU_FILE is not set, load the test preload to measure CPU\n'
+    return
+  }
+
+  const records = await readCpuRecords(cpuFile)
+  // Consumed, so a repeated run of the same command starts from an empty file
+  await fs.rm(cpuFile, { force: true })
+  const config = new AnalyzerConfig(parseConfig(process.env.GAYACODE_TEST_CONFIG))
+  const results = new TestEnergyCalculationStrategy(config).calculate(collector.resolve(records))
+
+  if (process.env.GAYACODE_TEST_REPORT_FILE) {
+    await fs.writeFile(process.env.GAYACODE_TEST_REPORT_FILE, JSON.stringify(results, null, 2))
+  }
+
+  yield formatRanking(results, parseInt(process.env.GAYACODE_TEST_TOP, 10) || 10)
+}
+
+/**
+ * Rebuilds the test tree from reporter events
+ * Events of one file arrive in order; a test's start comes after its parent's start
+ */
+export class TestEventCollector {
+  constructor() {
+    this.tests = []
+    this.stacks = new Map()
+    this.nextId = 1
+  }
+
+  add(event) {
+    const { type, data } = event
+    if (type !== 'test:start' && type !== 'test:pass' && type !== 'test:fail') return
+    // The runner reports each test file as a test of its own
+    if (!data.file || data.name === data.file) return
+
+    const file = path.resolve(data.file)
+    if (!this.stacks.has(file)) this.stacks.set(file, [])
+    const stack = this.stacks.get(file)
+
+    if (type === 'test:start') {
+      stack.length = data.nesting
+      stack.push({ id: this.nextId++, name: data.name })
+      return
+    }
+
+    // Skipped tests never ran, so there is nothing to attribute (todo tests do run)
+    if (data.skip) return
+
+    const own = stack[data.nesting]
+    const parent = data.nesting > 0 ? stack[data.nesting - 1] : null
+    const details = data.details || {}
+    this.tests.push({
+      id: own && own.name === data.name ? own.id : this.nextId++,
+      parentId: parent ? parent.id : null,
+      name: data.name,
+      path: [...stack.slice(0, data.nesting).map(entry => entry.name), data.name],
+      type: details.type === 'suite' ? 'suite' : 'test',
+      file,
+      status: type === 'test:pass' ? 'pass' : 'fail',
+      durationMs: details.duration_ms || 0
+    })
+  }
+
+  /**
+   * Join the collected tests with the preload's CPU records
+   * Both sides see a file's tests in completion order, so the n-th test named X
+   * in a file matches the n-th record named X from that file
+   * @param {Array<Object>} records - Preload records
+   * @returns {Object} { tests, files } for TestEnergyCalculationStrategy
+   */
+  resolve(records) {
+    const queues = new Map()
+    const files = []
+    for (const record of records) {
+      if (record.type === 'file') {
+        files.push({ file: record.file, cpuMs: record.cpuUs / 1000, durationMs: 0 })
+        continue
+      }
+      const key = `${record.file}\0${record.name}`
+      if (!queues.has(key)) queues.set(key, [])
+      queues.get(key).push(record)
+    }
+
+    const tests = this.tests.map(test => {
+      // Suites never run the preload's hooks
+      const record = test.type === 'test'
+        ? (queues.get(`${test.file}\0${test.name}`) || []).shift()
+        : null
+      return {
+        ...test,
+        cpuMs: record ? record.cpuUs / 1000 : 0,
+        heapUsedMB: record ? record.heapUsedBytes / (1024 * 1024) : 0
+      }
+    })
+
+    // A file runs for as long as its top-level tests together
+    for (const file of files) {
+      file.durationMs = tests
+        .filter(test => test.file === file.file && test.parentId === null)
+        .reduce((sum, test) => sum + test.durationMs, 0)
+    }
+
+    return { tests, files }
+  }
+}
+
+async function readCpuRecords(cpuFile) {
+  let content = ''
+  try {
+    content = await fs.readFile(cpuFile, 'utf8')
+  } catch (error) {
+    return []
+  }
+
+  const records = []
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue
+    try {
+      records.push(JSON.parse(line))
+    } catch (error) {
+      // Skip lines cut short by a killed test process
+    }
+  }
+  return records
+}
+
+function plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`
+}
+
+function parseConfig(json) {
+  if (!json) return {}
+  try {
+    return JSON.parse(json)
+  } catch (error) {
+    return {}
+  }
+}
+
+/**
+ * Plain-text ranking of the most energy-hungry tests
+ * @param {Object|null} results - TestEnergyCalculationStrategy results
+ * @param {number} top - Number of tests to list
+ * @returns {string} Report text
+ */
+export function formatRanking(results, top) {
+  if (!results) return '\n🌱 GayaCode test energy: no tests were measured\n'
+
+  const { totals } = results
+  const insideTests = totals.energyKwh > 0 ? totals.testEnergyKwh / totals.energyKwh : 0
+  const rows = results.tests.slice(0, top).map((test, index) => [
+    String(index + 1),
+    `${test.status === 'fail' ? '✖ ' : ''}${test.path.join(' › ')}`,
+    `${test.cpuMs.toFixed(1)}ms`,
+    formatEnergy(test.energyKwh),
+    formatCO2(test.co2Grams),
+    `${(test.share * 100).toFixed(1)}%`
+  ])
+  const header = ['#', 'Test', 'CPU', 'Energy', 'CO₂', 'Share']
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)))
+  const line = (cells) => cells.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd()
+
+  return [
+    '',
+    `🌱 Test energy: ${formatEnergy(totals.energyKwh)}, ${formatCO2(totals.co2Grams)} CO₂, ${totals.cpuMs.toFixed(0)}ms CPU across ${plural(totals.testCount, 'test')} in ${plural(totals.fileCount, 'file')}`,
+    ...(totals.fileCount > 0 ? [`   ${(insideTests * 100).toFixed(1)}% inside tests, the rest loading, hooks and teardown; shares are of the total`] : []),
+    '',
+    line(header),
+    widths.map(width => '─'.repeat(width)).join('  '),
+    ...rows.map(line),
+    ''
+  ].join('\n') + '\n'
+}
@@ -27,6 +27,71 @@ export function formatCO2(grams) {
   return `${(grams / 1000).toFixed(2)} kg`
 }
 
+/**
+ * Format byte counts with binary units
+ * @param {number} bytes - Number of bytes
+ * @returns {string} Formatted size string
+ */
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`
+}
+
+/**
+ * Format a duration in milliseconds as a short human-readable string
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted duration such as "850ms", "12.5s", "5m 30s" or "2h 5m"
+ */
+export function formatDuration(ms) {
+  if (ms < 1000) return `${Math.round(ms)}ms`
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`
+
+  const totalSeconds = Math.round(ms / 1000)
+  const hours = Math.floor(totalSeconds / 3600)
+  const minutes = Math.floor((totalSeconds % 3600) / 60)
+  const seconds = totalSeconds % 60
+  if (hours > 0) return `${hours}h ${minutes}m`
+  return `${minutes}m ${seconds}s`
+}
+
+/**
+ * Format a moment as a local weekday and clock time, e.g. "Tue 14:00"
+ * @param {number} time - Epoch milliseconds
+ * @returns {string} Formatted time
+ */
+export function formatStartTime(time) {
+  return new Date(time).toLocaleString('en-GB', { weekday: 'short', hour: '2-digit', minute: '2-digit' })
+}
+
+/**
+ * Parse a duration such as "500ms", "30s", "5m", "1h" or "1h30m"
+ * A bare number is read as seconds
+ * @param {string|number} value - Duration to parse
+ * @returns {number} Duration in milliseconds
+ */
+export function parseDuration(value) {
+  const text = String(value).trim()
+  if (/^\d+(\.\d+)?$/.test(text)) return parseFloat(text) * 1000
+
+  const units = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 }
+  const pattern = /(\d+(?:\.\d+)?)(ms|s|m|h|d)/g
+  let total = 0
+  let consumed = ''
+  let match
+
+  while ((match = pattern.exec(text)) !== null) {
+    total += parseFloat(match[1]) * units[match[2]]
+    consumed += match[0]
+  }
+
+  if (consumed !== text || total <= 0) {
+    throw new Error(`Invalid duration: "${value}" (use e.g. 30s, 5m, 1h)`)
+  }
+  return total
+}
+
 /**
  * Format numbers for display with appropriate precision
  * @param {number} value - Number to format
@@ -96,6 +161,30 @@ export function sanitizeString(str) {
     .replace(/'/g, '&#x27;')
 }
 
+/**
+ * Join a command and its arguments into a copy-pasteable shell command line
+ * @param {Array<string>} parts - Command followed by its arguments
+ * @returns {string} Command line with arguments quoted where needed
+ */
+export function formatCommandLine(parts) {
+  return parts
+    .map(part => /^[\w@%+=:,./-]+$/.test(part) ? part : `'${part.replace(/'/g, `'\\''`)}'`)
+    .join(' ')
+}
+
+/**
+ * Serialize a value as JSON that is safe to embed in an inline <script>
+ * @param {*} value - Value to serialize
+ * @returns {string} JSON with characters that could end the script escaped
+ */
+export function serializeForScript(value) {
+  return JSON.stringify(value)
+    .replace(/</g, '\\u003c')
+    .replace(/>/g, '\\u003e')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029')
+}
+
 /**
  * Calculate percentage with safe division
  * @param {number} value - Current value
@@ -1,4 +1,6 @@
 // Moderately intensive test script for GayaCode analysis (targeting ~70 // Moderate nested loops
+import { mark } from 'gayacode/phases'
+
 console.log('🔢 Phase 4: Computational loops...')
 let computeResult = 0
 for (let i = 0; i < 200; i++) {
@@ -11,6 +13,7 @@ for (let i = 0; i < 200; i++) {
 }console.log('⚡ Starting moderate test script...')
 
 // Moderate CPU computational tasks
+mark('compute')
 console.log('🧮 Phase 1: Computational work...')
 for (let round = 0; round < 2; round++) {
   console.log(`  🔄 Round ${round + 1}/2`)
@@ -36,6 +39,7 @@ for (let round = 0; round < 2; round++) {
 }
 
 // Moderate memory operations
+mark('memory')
 console.log('💾 Phase 2: Memory operations...')
 const dataArrays = []
 for (let i = 0; i < 3; i++) {
@@ -58,6 +62,7 @@ for (let i = 0; i < 3; i++) {
 }
 
 // Simulated data processing
+mark('processing')
 console.log('� Phase 3: Data processing...')
 for (let i = 0; i < 50; i++) {
   // Generate and process data
@@ -81,6 +86,7 @@ for (let i = 0; i < 50; i++) {
 }
 
 // Moderate nested loops
+mark('loops')
 console.log('� Phase 4: Computational loops...')
 let result = 0
 for (let i = 0; i < 300; i++) {
@@ -93,6 +99,7 @@ for (let i = 0; i < 300; i++) {
 }
 
 // Brief intensive work
+mark('final')
 console.log('⚡ Phase 5: Final processing...')
 await new Promise(resolve => {
   let counter = 0